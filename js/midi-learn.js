@@ -0,0 +1,224 @@
+/* js/midi-learn.js */
+
+/**
+ * MIDI learn: binds UI targets (sliders, toggles, XY axes, visual parameters)
+ * to MIDI continuous controllers. A target enters learn mode, the next CC that
+ * arrives is bound to it, and from then on that CC drives the target through a
+ * per-mapping range, response curve and invert flag.
+ *
+ * This class only deals in target ids and normalized 0-1 values; the UI decides
+ * what a target id means and applies the values (onValue callback). Mappings
+ * are persisted in localStorage, so each user/browser keeps their own setup.
+ */
+
+const MIDI_LEARN_STORAGE_KEY = 'maleficarum.midiLearn.v1';
+const CONTROL_CHANGE = 0xB0;
+
+/** Response curves applied to the normalized controller value. */
+const LEARN_CURVES = {
+    linear: (x) => x,
+    exponential: (x) => x * x,       // Fine control at the low end
+    logarithmic: (x) => Math.sqrt(x), // Fine control at the high end
+};
+
+class MidiLearn {
+    /**
+     * Creates a new MidiLearn instance.
+     * @param {object} [options={}] - Configuration options.
+     * @param {Storage|null} [options.storage=localStorage] - Where mappings are persisted (null disables persistence).
+     * @param {string} [options.storageKey] - Storage key for the mappings.
+     * @param {object} [options.callbacks={}] - { onValue(targetId, value, mapping), onLearnStateChanged(targetId|null), onMappingsChanged(mappings) }.
+     */
+    constructor(options = {}) {
+        this.options = this._mergeDefaults(options);
+        /** @type {Object.<string, object>} Mappings keyed by target id. */
+        this.mappings = {};
+        this.learningTarget = null;
+        this._unsubscribe = null;
+        this.load();
+    }
+
+    _mergeDefaults(options) {
+        return {
+            storage: typeof localStorage !== 'undefined' ? localStorage : null,
+            storageKey: MIDI_LEARN_STORAGE_KEY,
+            ...options,
+            callbacks: { onValue: null, onLearnStateChanged: null, onMappingsChanged: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    // --- Persistence ---
+
+    /** Loads mappings from storage, dropping any that are malformed. */
+    load() {
+        this.mappings = {};
+        if (!this.options.storage) return;
+        try {
+            const stored = JSON.parse(this.options.storage.getItem(this.options.storageKey) || '{}');
+            Object.entries(stored).forEach(([targetId, mapping]) => {
+                const normalized = this._normalizeMapping(targetId, mapping);
+                if (normalized) this.mappings[targetId] = normalized;
+            });
+        } catch (e) {
+            console.warn("MidiLearn: Could not read stored mappings:", e);
+        }
+    }
+
+    save() {
+        if (!this.options.storage) return;
+        try {
+            this.options.storage.setItem(this.options.storageKey, JSON.stringify(this.mappings));
+        } catch (e) {
+            console.warn("MidiLearn: Could not store mappings:", e);
+        }
+    }
+
+    _normalizeMapping(targetId, mapping) {
+        const cc = Math.round(Number(mapping?.cc));
+        const channel = Math.round(Number(mapping?.channel));
+        if (!(cc >= 0 && cc <= 127) || !(channel >= 1 && channel <= 16)) return null;
+        const clamp01 = (value, fallback) => Number.isFinite(Number(value)) ? Math.max(0, Math.min(1, Number(value))) : fallback;
+        return {
+            targetId,
+            cc,
+            channel,
+            min: clamp01(mapping.min, 0),
+            max: clamp01(mapping.max, 1),
+            curve: LEARN_CURVES[mapping.curve] ? mapping.curve : 'linear',
+            invert: !!mapping.invert,
+        };
+    }
+
+    _notifyMappingsChanged() {
+        this.save();
+        if (this.options.callbacks.onMappingsChanged) this.options.callbacks.onMappingsChanged(this.getMappings());
+    }
+
+    // --- Learn Mode ---
+
+    /**
+     * Waits for the next CC and binds it to a target (replacing the target's previous CC,
+     * but keeping its range/curve/invert settings).
+     * @param {string} targetId - UI target, e.g. 'slider-filter', 'xy-y', 'visual-morphFactor'.
+     */
+    startLearn(targetId) {
+        this.learningTarget = targetId;
+        if (this.options.callbacks.onLearnStateChanged) this.options.callbacks.onLearnStateChanged(targetId);
+    }
+
+    cancelLearn() {
+        if (this.learningTarget === null) return;
+        this.learningTarget = null;
+        if (this.options.callbacks.onLearnStateChanged) this.options.callbacks.onLearnStateChanged(null);
+    }
+
+    // --- Mappings ---
+
+    getMapping(targetId) {
+        return this.mappings[targetId] ? { ...this.mappings[targetId] } : null;
+    }
+
+    /** Returns copies of every mapping. */
+    getMappings() {
+        return Object.values(this.mappings).map(mapping => ({ ...mapping }));
+    }
+
+    /**
+     * Changes how a bound CC drives its target.
+     * @param {string} targetId - Mapped target.
+     * @param {object} settings - { min, max (0-1 of the target's range), curve ('linear' | 'exponential' | 'logarithmic'), invert }.
+     */
+    updateMapping(targetId, settings = {}) {
+        const mapping = this.mappings[targetId];
+        if (!mapping) return;
+        const updated = this._normalizeMapping(targetId, { ...mapping, ...settings, cc: mapping.cc, channel: mapping.channel });
+        if (updated) {
+            this.mappings[targetId] = updated;
+            this._notifyMappingsChanged();
+        }
+    }
+
+    removeMapping(targetId) {
+        if (!this.mappings[targetId]) return;
+        delete this.mappings[targetId];
+        this._notifyMappingsChanged();
+    }
+
+    clearMappings() {
+        this.mappings = {};
+        this._notifyMappingsChanged();
+    }
+
+    /**
+     * Converts a raw 7-bit controller value to the target's normalized value.
+     * @param {number} ccValue - 0-127.
+     * @param {object} mapping - Mapping with min, max, curve and invert.
+     * @returns {number} 0-1.
+     */
+    static applyMapping(ccValue, mapping) {
+        let x = Math.max(0, Math.min(127, ccValue)) / 127;
+        if (mapping.invert) x = 1 - x;
+        const shaped = (LEARN_CURVES[mapping.curve] || LEARN_CURVES.linear)(x);
+        return mapping.min + shaped * (mapping.max - mapping.min);
+    }
+
+    // --- MIDI ---
+
+    /**
+     * Listens to a MidiInput's raw messages. Bound CCs are consumed, so a learned CC 1 or 64
+     * drives its target instead of also moving the mod wheel or sustain pedal.
+     * @param {object} midiInput - MidiInput instance (anything with addMessageListener()).
+     */
+    connect(midiInput) {
+        this.disconnect();
+        if (midiInput?.addMessageListener) {
+            this._unsubscribe = midiInput.addMessageListener((data) => this.handleMessage(data));
+        }
+    }
+
+    disconnect() {
+        if (this._unsubscribe) this._unsubscribe();
+        this._unsubscribe = null;
+    }
+
+    /**
+     * Handles a raw MIDI message: binds it when learning, then drives every target mapped to it.
+     * @param {Uint8Array|number[]} data - Raw message bytes.
+     * @returns {boolean} True if the message is a CC bound to a target (and should not be handled elsewhere).
+     */
+    handleMessage(data) {
+        if (!data || data.length < 3 || (data[0] & 0xF0) !== CONTROL_CHANGE) return false;
+        const channel = (data[0] & 0x0F) + 1;
+        const cc = data[1];
+        const value = data[2];
+
+        if (this.learningTarget !== null) {
+            const targetId = this.learningTarget;
+            const previous = this.mappings[targetId] || {};
+            this.mappings[targetId] = this._normalizeMapping(targetId, { ...previous, cc, channel });
+            this.learningTarget = null;
+            this._notifyMappingsChanged();
+            if (this.options.callbacks.onLearnStateChanged) this.options.callbacks.onLearnStateChanged(null);
+        }
+
+        const bound = Object.values(this.mappings).filter(mapping => mapping.cc === cc && mapping.channel === channel);
+        if (this.options.callbacks.onValue) {
+            bound.forEach(mapping => {
+                try {
+                    this.options.callbacks.onValue(mapping.targetId, MidiLearn.applyMapping(value, mapping), mapping);
+                } catch (e) {
+                    console.error(`MidiLearn: Error applying CC ${cc} to '${mapping.targetId}':`, e);
+                }
+            });
+        }
+        return bound.length > 0;
+    }
+
+    dispose() {
+        this.disconnect();
+        this.learningTarget = null;
+    }
+}
+
+export { MidiLearn, LEARN_CURVES, MIDI_LEARN_STORAGE_KEY };
+export default MidiLearn;
@@ -0,0 +1,186 @@
+/* js/session-recorder.js */
+
+/**
+ * Records a live session as one video file: the synth's master output (tapped
+ * with SoundModule.createOutputStream()) and the visualizer canvas (through
+ * canvas.captureStream()) are combined into a single MediaStream and encoded
+ * by MediaRecorder. The container and codecs are the first ones the browser
+ * supports from RECORDING_MIME_TYPES (WebM in Chrome/Firefox, MP4 in Safari).
+ *
+ * The finished recording is handed over as a Blob (onComplete callback and the
+ * promise returned by stop()); the UI decides how to offer it for download.
+ */
+
+/** Preferred recording formats, best first. */
+const RECORDING_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4;codecs=avc1,mp4a',
+    'video/mp4',
+];
+// Encoded data is collected in chunks of this length (ms), so a crash loses little
+const RECORDING_TIMESLICE = 1000;
+
+class SessionRecorder {
+    /**
+     * Creates a new SessionRecorder instance.
+     * @param {object} soundModule - SoundModule whose master output is recorded.
+     * @param {HTMLCanvasElement} canvas - Visualizer canvas to record.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.frameRate=30] - Video frames per second captured from the canvas.
+     * @param {number} [options.videoBitsPerSecond=5000000] - Target video bitrate.
+     * @param {number} [options.audioBitsPerSecond=192000] - Target audio bitrate.
+     * @param {object} [options.callbacks={}] - { onStateChanged(isRecording), onComplete(blob, extension) }.
+     */
+    constructor(soundModule, canvas, options = {}) {
+        this.soundModule = soundModule;
+        this.canvas = canvas;
+        this.options = this._mergeDefaults(options);
+        this.recorder = null;
+        this.chunks = [];
+        this.audioStream = null;
+        this.videoStream = null;
+        this.startedAt = null; // performance.now() when recording started
+        this._stopPromise = null;
+    }
+
+    _mergeDefaults(options) {
+        return {
+            frameRate: 30,
+            videoBitsPerSecond: 5000000,
+            audioBitsPerSecond: 192000,
+            ...options,
+            callbacks: { onStateChanged: null, onComplete: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    /** True if the browser can record a canvas with sound. */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof MediaStream !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /** First recording format from RECORDING_MIME_TYPES the browser supports, or '' for its default. */
+    static getSupportedMimeType() {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') return '';
+        return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Changes the frame rate and bitrates; they apply from the next recording.
+     * @param {object} settings - { frameRate, videoBitsPerSecond, audioBitsPerSecond } (partial allowed).
+     */
+    configure(settings = {}) {
+        ['frameRate', 'videoBitsPerSecond', 'audioBitsPerSecond'].forEach(key => {
+            const value = Number(settings[key]);
+            if (settings[key] !== undefined && value > 0) this.options[key] = value;
+        });
+    }
+
+    isRecording() {
+        return this.recorder !== null && this.recorder.state !== 'inactive';
+    }
+
+    /** Seconds since recording started, or 0 when not recording. */
+    getElapsed() {
+        return this.isRecording() && this.startedAt !== null ? (SessionRecorder._now() - this.startedAt) / 1000 : 0;
+    }
+
+    /**
+     * Starts recording.
+     * @returns {boolean} True if recording started.
+     */
+    start() {
+        if (this.isRecording()) return true;
+        if (!SessionRecorder.isSupported() || !this.canvas) {
+            console.warn("SessionRecorder: Recording is not supported in this browser.");
+            return false;
+        }
+        this.audioStream = this.soundModule?.createOutputStream() || null;
+        if (!this.audioStream) {
+            console.warn("SessionRecorder: No audio output to record (is audio initialized?).");
+            return false;
+        }
+        try {
+            this.videoStream = this.canvas.captureStream(this.options.frameRate);
+            const stream = new MediaStream([...this.videoStream.getVideoTracks(), ...this.audioStream.getAudioTracks()]);
+            const mimeType = SessionRecorder.getSupportedMimeType();
+            this.recorder = new MediaRecorder(stream, {
+                ...(mimeType ? { mimeType } : {}),
+                videoBitsPerSecond: this.options.videoBitsPerSecond,
+                audioBitsPerSecond: this.options.audioBitsPerSecond,
+            });
+        } catch (e) {
+            console.error("SessionRecorder: Could not start recording:", e);
+            this._releaseStreams();
+            this.recorder = null;
+            return false;
+        }
+
+        this.chunks = [];
+        this._stopPromise = new Promise(resolve => {
+            this.recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) this.chunks.push(event.data);
+            };
+            this.recorder.onstop = () => resolve(this._finish());
+        });
+        this.recorder.onerror = (event) => {
+            console.error("SessionRecorder: Recording error:", event.error || event);
+            this.stop();
+        };
+        this.recorder.start(RECORDING_TIMESLICE);
+        this.startedAt = SessionRecorder._now();
+        if (this.options.callbacks.onStateChanged) this.options.callbacks.onStateChanged(true);
+        return true;
+    }
+
+    /**
+     * Stops recording.
+     * @returns {Promise<Blob|null>} The recording, or null if nothing was being recorded.
+     */
+    stop() {
+        if (!this.isRecording()) return this._stopPromise || Promise.resolve(null);
+        const promise = this._stopPromise;
+        this.recorder.stop(); // The last chunk arrives before onstop
+        return promise;
+    }
+
+    _finish() {
+        const type = this.recorder?.mimeType || SessionRecorder.getSupportedMimeType() || 'video/webm';
+        const blob = new Blob(this.chunks, { type: type.split(';')[0] });
+        this.chunks = [];
+        this.recorder = null;
+        this.startedAt = null;
+        this._stopPromise = null;
+        this._releaseStreams();
+        if (this.options.callbacks.onStateChanged) this.options.callbacks.onStateChanged(false);
+        if (this.options.callbacks.onComplete) this.options.callbacks.onComplete(blob, SessionRecorder.getFileExtension(blob.type));
+        return blob;
+    }
+
+    /** File extension matching a recording MIME type ('webm' or 'mp4'). */
+    static getFileExtension(mimeType) {
+        return /mp4/i.test(mimeType) ? 'mp4' : 'webm';
+    }
+
+    _releaseStreams() {
+        if (this.videoStream) this.videoStream.getTracks().forEach(track => track.stop());
+        if (this.audioStream) this.soundModule?.closeOutputStream(this.audioStream);
+        this.videoStream = null;
+        this.audioStream = null;
+    }
+
+    static _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /** Stops a recording in progress (its file is still delivered) and releases the streams. */
+    dispose() {
+        if (this.isRecording()) this.stop();
+        else this._releaseStreams();
+    }
+}
+
+export { SessionRecorder, RECORDING_MIME_TYPES };
+export default SessionRecorder;
@@ -12,6 +12,19 @@ import ShaderManager from '../core/ShaderManager.js';
 import GeometryManager from '../core/GeometryManager.js';
 import ProjectionManager from '../core/ProjectionManager.js';
 import SoundModule from '../sound/sound-module.js'; // This was already default
+import MidiInput from '../sound/midi-input.js';
+import MidiClock from '../sound/midi-clock.js';
+import MidiOutput from '../sound/midi-output.js';
+import MpeZone, { DEFAULT_MPE_BEND_RANGE } from '../sound/mpe-zone.js';
+import OfflineRenderer from '../sound/offline-renderer.js';
+import SessionRecorder from './session-recorder.js';
+import PerformanceRecorder from '../sound/performance-recorder.js';
+import PresetStore from '../sound/preset-store.js';
+import { MIN_BPM, MAX_BPM } from '../sound/transport.js';
+import { validatePreset, formatIssues, exportPreset, exportBank, parsePresetFile } from '../sound/preset-schema.js';
+import { morphParameters } from '../sound/preset-morph.js';
+import { midiToNoteName, noteNameToMidi, SCALES, parseScale } from '../sound/notes.js';
+import MidiLearn from './midi-learn.js';
 
 // --- Main Execution ---
 document.addEventListener('DOMContentLoaded', () => {
@@ -23,6 +36,17 @@ document.addEventListener('DOMContentLoaded', () => {
     let geometryManager = null;
     let projectionManager = null;
     let soundModule = null;
+    let midiInput = null;
+    let midiClock = null;
+    let midiOutput = null;
+    let mpeZone = null;
+    let midiLearn = null;
+    let sessionRecorder = null;
+    let performanceRecorder = null;
+    let presetStore = null;
+    let applyXYPosition = null; // Set by setupXYPadInteraction; lets MIDI move the pad
+    let updatePresetButtons = () => {}; // Set by setupPresetSelector once the save/rename/delete buttons exist
+    let updateMorphSelectors = () => {}; // Set by setupPresetMorph; refills its scroll lists after saves and imports
 
     // --- State ---
     const uiState = {
@@ -30,7 +54,12 @@ document.addEventListener('DOMContentLoaded', () => {
             'slider-filter': 0.5,
             'slider-resonance': 0.1,
             'slider-attack': 0.1,
+            'slider-decay': 0.3,
+            'slider-sustain': 1.0,
             'slider-release': 0.3,
+            'slider-arp-gate': 0.789,
+            'slider-arp-swing': 0.0,
+            'slider-portamento': 0.0,
         },
         xyPad: { x: 0.5, y: 0.5, active: false },
         toggles: {
@@ -38,18 +67,56 @@ document.addEventListener('DOMContentLoaded', () => {
             'toggle-reverb': false,
             'toggle-arpeggiator': false,
             'toggle-glitch': false,
+            'toggle-arp-latch': false,
         },
         glitchEnabled: false,
         activeInputMode: 'keyboard', // 'keyboard' or 'xy'
+        octaveShift: 0, // Octaves the on-screen keyboard and XY pad are shifted from C4-C5
+        // XY pad pitch: X snaps to `scale` in `key` (0 = C) over `span` octaves, or glides freely
+        xyScale: { key: 0, scale: 'chromatic', span: 1, custom: [0, 2, 3, 7, 8], glide: false },
         activeNoteSource: null,
         currentPreset: 'vaporwave',
         focusedModuleId: null, // Store ID of focused module
+        midiInputId: 'all', // Selected MIDI input port id, 'all', or null (off)
+        midiOutputId: null, // Selected MIDI output port id, or null (off)
+        midiClockMode: 'off', // 'off', 'receive' (follow external clock) or 'send'
+        midiOutputChannel: null, // Channel (1-16) played notes are mirrored on, or null (off)
+        mpeZone: 'off', // MPE input: 'off', 'lower' (master channel 1) or 'upper' (master channel 16)
+        mpeBendRange: DEFAULT_MPE_BEND_RANGE, // Per-note pitch bend range in semitones
+        exportBitDepth: 16, // WAV export: 16, 24 or 32 (float)
+        recordFrameRate: 30, // Session recording: canvas frames per second
+        recordVideoBitrate: 5000000, // Session recording: video bits per second
+        visualOverrides: {}, // Visual parameters driven by MIDI learn (normalized 0-1)
+        // Scrolls the morph slider glides between, its position (0-1) and the visuals shown when it began
+        morph: { from: null, to: null, amount: 0, visualBase: null },
     };
     const audioAnalysisState = {
-         bass: 0, mid: 0, high: 0, frequency: 440.0
+         bass: 0, mid: 0, high: 0, frequency: 440.0,
+         expressions: [], // Per-note expression of the held notes (MPE, poly pressure)
     };
 
     let mainLoopId = null;
+    let lastVisualParams = {}; // Visual parameters of the last frame
+
+    // Meters offered by the transport controls (others, e.g. from a preset, are added when in use)
+    const TRANSPORT_METERS = ['2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '12/8'];
+
+    // Visual parameters MIDI learn can drive, with the range their normalized value maps to
+    const VISUAL_PARAM_RANGES = {
+        morphFactor: [0.0, 1.0],
+        glitchIntensity: [0.0, 1.0],
+        rotationSpeed: [0.0, 2.0],
+        dimension: [3.0, 4.0],
+        gridDensity: [5.0, 20.0],
+    };
+    const LONG_PRESS_MS = 600;
+    // On-screen keyboard / XY pad span C4-C5 shifted by this many octaves (C0-C1 to C8-C9)
+    const MIN_OCTAVE_SHIFT = -4;
+    const MAX_OCTAVE_SHIFT = 4;
+    const BASE_NOTE_NUMBER = 60; // C4
+    const MAX_XY_SPAN = 4; // Octaves
+    const XY_GLIDE_TIME = 0.03; // Seconds to follow the pad in glide mode
+    const MIN_STRIKE_VELOCITY = 0.2; // Softest on-screen strike (bottom of the XY pad, lightest touch)
 
     // --- Initialization Functions ---
 
@@ -192,6 +259,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 uiState.params['slider-attack'] = normVal;
                 updateSliderVisual(attackSlider, normVal);
             }
+            // Decay: Log scale 0.01s to 5.0s
+            const decaySlider = document.getElementById('slider-decay');
+            if (decaySlider) {
+                const minLogD = Math.log10(0.01); const maxLogD = Math.log10(5.0);
+                const currentDecay = Math.max(0.01, Math.min(5.0, soundParams.envelope.decay ?? 0.1));
+                const normVal = Math.max(0, Math.min(1, (Math.log10(currentDecay) - minLogD) / (maxLogD - minLogD)));
+                uiState.params['slider-decay'] = normVal;
+                updateSliderVisual(decaySlider, normVal);
+            }
+            // Sustain: Linear 0 to 1 (level relative to peak)
+            const sustainSlider = document.getElementById('slider-sustain');
+            if (sustainSlider) {
+                const normVal = Math.max(0, Math.min(1, soundParams.envelope.sustain ?? 1.0));
+                uiState.params['slider-sustain'] = normVal;
+                updateSliderVisual(sustainSlider, normVal);
+            }
             // Release: Log scale 0.01s to 5.0s
              const releaseSlider = document.getElementById('slider-release');
              if(releaseSlider) {
@@ -201,6 +284,28 @@ document.addEventListener('DOMContentLoaded', () => {
                  uiState.params['slider-release'] = normVal;
                  updateSliderVisual(releaseSlider, normVal);
              }
+            // Arp Gate: Linear 0.05 to 1.0 (fraction of a step)
+            const arpGateSlider = document.getElementById('slider-arp-gate');
+            if (arpGateSlider) {
+                const currentGate = Math.max(0.05, Math.min(1.0, soundParams.effects.arpeggiator?.gate ?? 0.8));
+                const normVal = (currentGate - 0.05) / 0.95;
+                uiState.params['slider-arp-gate'] = normVal;
+                updateSliderVisual(arpGateSlider, normVal);
+            }
+            // Arp Swing: Linear 0 to 0.75
+            const arpSwingSlider = document.getElementById('slider-arp-swing');
+            if (arpSwingSlider) {
+                const normVal = Math.max(0, Math.min(1, (soundParams.effects.arpeggiator?.swing ?? 0) / 0.75));
+                uiState.params['slider-arp-swing'] = normVal;
+                updateSliderVisual(arpSwingSlider, normVal);
+            }
+            // Portamento: Quadratic 0 to 2.0s (0 = off)
+            const portamentoSlider = document.getElementById('slider-portamento');
+            if (portamentoSlider) {
+                const normVal = Math.max(0, Math.min(1, Math.sqrt((soundParams.portamento?.time ?? 0) / 2.0)));
+                uiState.params['slider-portamento'] = normVal;
+                updateSliderVisual(portamentoSlider, normVal);
+            }
         } catch(e) { console.error("Error updating slider UI from sound state:", e); }
 
         // --- Toggles ---
@@ -220,8 +325,29 @@ document.addEventListener('DOMContentLoaded', () => {
                      }
                  }
              }
+             // Latch is an arp setting rather than an effect of its own
+             const latchToggle = document.getElementById('toggle-arp-latch');
+             if (latchToggle) {
+                 const isLatched = !!effects.arpeggiator?.latch;
+                 uiState.toggles['toggle-arp-latch'] = isLatched;
+                 updateToggleVisual(latchToggle, isLatched);
+             }
         } catch(e) { console.error("Error updating toggle UI from sound state:", e); }
 
+        // --- Arp Pattern Selects ---
+        try {
+             const arpParams = soundParams.effects?.arpeggiator || {};
+             document.querySelectorAll('.arp-select[data-arp-param]').forEach(select => {
+                 const value = arpParams[select.dataset.arpParam];
+                 if (value === undefined) return;
+                 select.value = Array.isArray(value) ? value.join(',') : String(value);
+             });
+             const portamentoMode = document.getElementById('portamento-mode');
+             if (portamentoMode) portamentoMode.value = soundParams.portamento?.mode || 'legato';
+             const velocityCurve = document.getElementById('velocity-curve');
+             if (velocityCurve) velocityCurve.value = soundParams.velocity?.curve || 'linear';
+        } catch(e) { console.error("Error updating arp controls from sound state:", e); }
+
         // --- XY Pad --- (Map sound params back to X/Y for initial state)
          try {
              // X Axis -> Note (Set default visual)
@@ -256,15 +382,63 @@ document.addEventListener('DOMContentLoaded', () => {
         const minLog = Math.log10(0.005); const maxLog = Math.log10(2.5);
         return Math.pow(10, minLog + normalizedValue * (maxLog - minLog));
     }
+    function mapSliderToDecay(normalizedValue) { // Logarithmic: 0.01s to 5.0s
+        const minLog = Math.log10(0.01); const maxLog = Math.log10(5.0);
+        return Math.pow(10, minLog + normalizedValue * (maxLog - minLog));
+    }
+    function mapSliderToSustain(normalizedValue) { // Linear: 0.0 to 1.0
+        return Math.max(0, Math.min(1, normalizedValue));
+    }
     function mapSliderToRelease(normalizedValue) { // Logarithmic: 0.01s to 5.0s
         const minLog = Math.log10(0.01); const maxLog = Math.log10(5.0);
         return Math.pow(10, minLog + normalizedValue * (maxLog - minLog));
     }
-    // XY Pad mappings remain the same
-    function mapXYPadToNote(xValue) {
-        const notes = ['C4', 'C#4', 'D4', 'D#4', 'E4', 'F4', 'F#4', 'G4', 'G#4', 'A4', 'A#4', 'B4', 'C5'];
-        const index = Math.floor(xValue * notes.length);
-        return notes[Math.min(index, notes.length - 1)]; // Clamp index
+    function mapSliderToArpGate(normalizedValue) { // Linear: 0.05 to 1.0 of a step
+        return 0.05 + Math.max(0, Math.min(1, normalizedValue)) * 0.95;
+    }
+    function mapSliderToArpSwing(normalizedValue) { // Linear: 0.0 to 0.75
+        return Math.max(0, Math.min(1, normalizedValue)) * 0.75;
+    }
+    function mapSliderToPortamento(normalizedValue) { // Quadratic: 0 (off) to 2.0s, fine control at short glides
+        return Math.pow(Math.max(0, Math.min(1, normalizedValue)), 2) * 2.0;
+    }
+    /** Strike velocity from touch force where the device reports it; mouse clicks and plain touches play at full velocity. */
+    function getStrikeVelocity(e) {
+        const force = e.changedTouches?.[0]?.force;
+        return force > 0 ? Math.max(MIN_STRIKE_VELOCITY, Math.min(1, force)) : 1;
+    }
+    /** XY pad velocity from the pad height (y 0 = top): higher strikes are harder. */
+    function getXYPadVelocity(y) {
+        return MIN_STRIKE_VELOCITY + (1 - Math.max(0, Math.min(1, y))) * (1 - MIN_STRIKE_VELOCITY);
+    }
+    /** Shifts an on-screen note name by the current octave shift ('C4' -> 'C5' at +1). */
+    function transposeNoteByOctave(note) {
+        const number = noteNameToMidi(note);
+        return number === null ? note : midiToNoteName(number + uiState.octaveShift * 12);
+    }
+    /** MIDI number of the XY pad's lowest note: the key's root in the current octave. */
+    function getXYPadRoot() {
+        return BASE_NOTE_NUMBER + uiState.octaveShift * 12 + uiState.xyScale.key;
+    }
+    /** Notes the XY pad snaps to, bottom root to top root, as MIDI numbers. */
+    function getXYPadScaleNotes() {
+        const { scale, custom, span } = uiState.xyScale;
+        const offsets = scale === 'custom' ? parseScale(custom) : (SCALES[scale] || SCALES.chromatic);
+        const root = getXYPadRoot();
+        const notes = [];
+        for (let octave = 0; octave < span; octave++) {
+            offsets.forEach(offset => notes.push(root + octave * 12 + offset));
+        }
+        notes.push(root + span * 12);
+        return notes.filter(number => number >= 0 && number <= 127);
+    }
+    function mapXYPadToNote(xValue) { // Equal-width zones, one per scale note
+        const notes = getXYPadScaleNotes();
+        const index = Math.min(notes.length - 1, Math.floor(xValue * notes.length)); // Clamp index
+        return midiToNoteName(notes[index]);
+    }
+    function mapXYPadToKey(xValue) { // Glide mode: fractional key across the span, unquantized
+        return Math.min(127, getXYPadRoot() + Math.max(0, Math.min(1, xValue)) * uiState.xyScale.span * 12);
     }
     function mapXYPadToFilterFreq(yValue) { // Logarithmic: 20Hz to 15kHz
         const minLog = Math.log10(20); const maxLog = Math.log10(15000);
@@ -308,13 +482,35 @@ document.addEventListener('DOMContentLoaded', () => {
                           mappedValue = mapSliderToAttack(normalizedValue);
                           soundModule.setParameter('envelope', 'attack', mappedValue);
                           break;
+                     case 'slider-decay':
+                         mappedValue = mapSliderToDecay(normalizedValue);
+                         soundModule.setParameter('envelope', 'decay', mappedValue);
+                         break;
+                     case 'slider-sustain':
+                         mappedValue = mapSliderToSustain(normalizedValue);
+                         soundModule.setParameter('envelope', 'sustain', mappedValue);
+                         break;
                      case 'slider-release':
                          mappedValue = mapSliderToRelease(normalizedValue);
                          soundModule.setParameter('envelope', 'release', mappedValue);
                          break;
+                     case 'slider-arp-gate':
+                         mappedValue = mapSliderToArpGate(normalizedValue);
+                         soundModule.setParameter('effects.arpeggiator', 'gate', mappedValue);
+                         break;
+                     case 'slider-arp-swing':
+                         mappedValue = mapSliderToArpSwing(normalizedValue);
+                         soundModule.setParameter('effects.arpeggiator', 'swing', mappedValue);
+                         break;
+                     case 'slider-portamento':
+                         mappedValue = mapSliderToPortamento(normalizedValue);
+                         soundModule.setParameter('portamento', 'time', mappedValue);
+                         break;
                  }
             });
 
+             attachMidiLearnTrigger(slider.closest('.slider-unit') || slider, [slider.id]);
+
              // Optional: Add focus/blur styling if desired
              slider.addEventListener('focus', () => slider.closest('.slider-wrapper')?.classList.add('focused'));
              slider.addEventListener('blur', () => slider.closest('.slider-wrapper')?.classList.remove('focused'));
@@ -336,7 +532,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const rect = xyPad.getBoundingClientRect();
             const x = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
             const y = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+            applyXYPadPosition(x, y, isEnding);
+        };
 
+        // Shared by pointer input and MIDI-learned axes (normalized 0-1 coordinates)
+        const applyXYPadPosition = (x, y, isEnding = false) => {
+            if (!soundModule) return;
             uiState.xyPad.x = x;
             uiState.xyPad.y = y;
             updateXYPadVisual(x, y);
@@ -347,15 +548,41 @@ document.addEventListener('DOMContentLoaded', () => {
             soundModule.setParameter('filter', 'frequency', filterFreq);
             soundModule.setParameter('effects.reverb', 'wet', reverbWet);
 
-            // Map X to Note (Discrete)
+            // Glide mode: X bends the held note continuously instead of stepping through notes
+            if (uiState.xyScale.glide) {
+                if (!isEnding && isDraggingPad) glideXYPadPitch(x);
+                return;
+            }
+
+            // Map X to Note (Discrete, snapped to the selected scale)
             const newNote = mapXYPadToNote(x);
 
             // Trigger note only if it changes and dragging is active
             if (newNote !== currentNote && !isEnding && isDraggingPad) {
+                // The pad plays one note at a time: release the previous one once the new one is held
+                const previousNote = currentNote;
                 currentNote = newNote;
                 uiState.activeNoteSource = 'xy-pad';
-                soundModule.startNote(currentNote);
+                soundModule.startNote(currentNote, getXYPadVelocity(y)).then(() => {
+                    if (previousNote && previousNote !== currentNote) soundModule.stopNote(previousNote, false);
+                });
+            }
+        };
+
+        // Starts one note for the whole gesture, then only moves its pitch
+        const glideXYPadPitch = (x) => {
+            const key = mapXYPadToKey(x);
+            if (currentNote) {
+                soundModule.setNoteFrequency(currentNote, soundModule.getKeyFrequency(key), XY_GLIDE_TIME);
+                return;
             }
+            const note = midiToNoteName(Math.round(key));
+            currentNote = note;
+            uiState.activeNoteSource = 'xy-pad';
+            soundModule.startNote(note, getXYPadVelocity(uiState.xyPad.y)).then(() => {
+                // The pad may have moved while the note started
+                if (currentNote === note) soundModule.setNoteFrequency(note, soundModule.getKeyFrequency(mapXYPadToKey(uiState.xyPad.x)), 0.005);
+            });
         };
 
         const handleXYMouseMove = (e) => {
@@ -371,7 +598,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 uiState.xyPad.active = false;
                 // Stop the note playing from the XY pad
                 if (uiState.activeNoteSource === 'xy-pad') {
-                    soundModule.stopNote(); // Use default release
+                    soundModule.stopNote(currentNote); // Use default release
                     uiState.activeNoteSource = null;
                     currentNote = null;
                 }
@@ -388,6 +615,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const handleXYMouseDown = (e) => {
              e.preventDefault();
+             if (e.button !== undefined && e.button !== 0) return; // Right-click opens MIDI learn
              // Check if module is visible
              if (isDraggingPad || !xyPadModule.offsetParent) return;
              isDraggingPad = true;
@@ -399,9 +627,11 @@ document.addEventListener('DOMContentLoaded', () => {
              // Update state immediately and trigger first note
              updateXYPadState(e.clientX ?? touch?.clientX, e.clientY ?? touch?.clientY);
              // Ensure first note plays even if finger doesn't move initially
-             currentNote = mapXYPadToNote(uiState.xyPad.x);
-             uiState.activeNoteSource = 'xy-pad';
-             soundModule.startNote(currentNote);
+             if (!currentNote) {
+                 currentNote = mapXYPadToNote(uiState.xyPad.x);
+                 uiState.activeNoteSource = 'xy-pad';
+                 soundModule.startNote(currentNote, getXYPadVelocity(uiState.xyPad.y));
+             }
 
              document.addEventListener('mousemove', handleXYMouseMove);
              document.addEventListener('mouseup', handleXYMouseUp);
@@ -416,12 +646,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
         xyPad.addEventListener('mousedown', handleXYMouseDown);
         xyPad.addEventListener('touchstart', handleXYMouseDown, { passive: false });
+        applyXYPosition = applyXYPadPosition;
+        // A long-press to learn shouldn't leave the pad's note hanging
+        attachMidiLearnTrigger(xyPad, ['xy-x', 'xy-y'], () => handleXYMouseUp());
         console.log("XY Pad interactions setup.");
     }
 
     function setupToggleInteractions() {
         const toggles = document.querySelectorAll('.toggle-switch input[type="checkbox"]');
         toggles.forEach(toggle => {
+            attachMidiLearnTrigger(toggle.closest('.toggle-unit') || toggle, [toggle.id]);
             toggle.addEventListener('change', (e) => {
                 if (!soundModule) return;
                 const isChecked = e.target.checked;
@@ -435,6 +669,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     uiState.glitchEnabled = isChecked;
                     console.log(`Glitch effect potential ${isChecked ? 'ENABLED' : 'DISABLED'}`);
                     // The actual intensity is handled in mapSoundToVisuals
+                } else if (toggleId === 'toggle-arp-latch') {
+                    // Latch is an arp setting, not an effect
+                    soundModule.setParameter('effects.arpeggiator', 'latch', isChecked);
                 } else {
                     // Directly toggle the effect in the sound module
                     soundModule.toggleEffect(effectName, isChecked);
@@ -445,6 +682,48 @@ document.addEventListener('DOMContentLoaded', () => {
          console.log("Toggle interactions setup.");
     }
 
+    function setupArpControls() {
+        const selects = document.querySelectorAll('.arp-select[data-arp-param]');
+        selects.forEach(select => {
+            select.addEventListener('change', (e) => {
+                if (!soundModule) return;
+                const param = select.dataset.arpParam;
+                const rawValue = e.target.value;
+                let value;
+                switch (param) {
+                    case 'octaves':
+                        value = parseInt(rawValue, 10);
+                        break;
+                    case 'accents': // Comma-separated step levels
+                        value = rawValue ? rawValue.split(',').map(Number) : [];
+                        break;
+                    default:
+                        value = rawValue;
+                }
+                soundModule.setParameter('effects.arpeggiator', param, value);
+                console.log(`Arp ${param} -> ${rawValue}`);
+            });
+        });
+        // Portamento mode and the velocity curve share the row; portamento time is a slider
+        const portamentoMode = document.getElementById('portamento-mode');
+        if (portamentoMode) {
+            portamentoMode.addEventListener('change', (e) => {
+                if (!soundModule) return;
+                soundModule.setParameter('portamento', 'mode', e.target.value);
+                console.log(`Portamento mode -> ${e.target.value}`);
+            });
+        }
+        const velocityCurve = document.getElementById('velocity-curve');
+        if (velocityCurve) {
+            velocityCurve.addEventListener('change', (e) => {
+                if (!soundModule) return;
+                soundModule.setParameter('velocity', 'curve', e.target.value);
+                console.log(`Velocity curve -> ${e.target.value}`);
+            });
+        }
+        console.log("Arp control interactions setup.");
+    }
+
     function setupKeyboardInteractions() {
         const keys = document.querySelectorAll('.keyboard-key');
         const keyboardModule = document.getElementById('keyboard-module');
@@ -462,6 +741,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Store listener reference for removal on animation end
             let releaseAnimationListener = null;
+            // Note this key started, so an octave change while held still releases the right note
+            let playingNote = null;
 
             const handleKeyDown = (e) => {
                 e.preventDefault(); // Prevent default actions like scrolling on touch
@@ -469,7 +750,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (!keyboardModule.offsetParent || key.classList.contains('key-pressed') || key.classList.contains('active')) return; // Already active or module hidden
 
                 uiState.activeNoteSource = 'keyboard';
-                if (soundModule) soundModule.startNote(note);
+                playingNote = transposeNoteByOctave(note);
+                if (soundModule) soundModule.startNote(playingNote, getStrikeVelocity(e));
 
                 // --- Overlay Animation ---
                 const rect = key.getBoundingClientRect();
@@ -510,11 +792,9 @@ document.addEventListener('DOMContentLoaded', () => {
                  // Check if keyboard module is visible
                  if (!keyboardModule.offsetParent || !key.classList.contains('active')) return; // Only if it was active and module visible
 
-                // Stop sound only if this key was the active source
-                if (soundModule && uiState.activeNoteSource === 'keyboard') {
-                    soundModule.stopNote(); // Use default release
-                    uiState.activeNoteSource = null;
-                }
+                // Release only this key's note; other held keys keep sounding
+                if (soundModule && playingNote) soundModule.stopNote(playingNote); // Use default release
+                playingNote = null;
 
                 // Trigger release animation
                 key.classList.remove('key-pressed');
@@ -525,6 +805,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Remove active class for key background
                 key.classList.remove('active');
+                if (uiState.activeNoteSource === 'keyboard' && !document.querySelector('.keyboard-key.active')) {
+                    uiState.activeNoteSource = null;
+                }
 
                 // Optional: Clean up 'key-released' class after animation completes
                 releaseAnimationListener = () => {
@@ -572,11 +855,11 @@ document.addEventListener('DOMContentLoaded', () => {
             // Stop any active note from the *current* module before swapping
             if (soundModule) {
                 if (currentMode === 'keyboard' && uiState.activeNoteSource === 'keyboard') {
-                    soundModule.stopNote(false); // Stop immediately
+                    soundModule.stopNote(null, false); // Stop all notes immediately
                     // Clear visual state of keys
                     document.querySelectorAll('.keyboard-key.active').forEach(k => k.classList.remove('active', 'key-pressed', 'key-released'));
                 } else if (currentMode === 'xy' && uiState.activeNoteSource === 'xy-pad') {
-                    soundModule.stopNote(false); // Stop immediately
+                    soundModule.stopNote(null, false); // Stop all notes immediately
                     // Clear visual state of xy pad
                     document.getElementById('xy-pad')?.classList.remove('active', 'touched');
                     uiState.xyPad.active = false;
@@ -608,6 +891,77 @@ document.addEventListener('DOMContentLoaded', () => {
          console.log("Input swap interaction setup.");
     }
 
+    /** Key / scale / span / glide controls above the XY pad (`.xy-scale-select[data-xy-param]`). */
+    function setupXYScaleControls() {
+        const customInput = document.getElementById('xy-custom-scale');
+        const glideButton = document.getElementById('xy-glide-button');
+        const updateCustomVisibility = () => {
+            if (customInput) customInput.hidden = uiState.xyScale.scale !== 'custom';
+        };
+
+        document.querySelectorAll('.xy-scale-select[data-xy-param]').forEach(select => {
+            const param = select.dataset.xyParam;
+            select.value = String(uiState.xyScale[param]);
+            select.addEventListener('change', (e) => {
+                const value = e.target.value;
+                uiState.xyScale[param] = param === 'scale' ? value
+                    : param === 'span' ? Math.max(1, Math.min(MAX_XY_SPAN, Number(value) || 1))
+                    : Math.max(0, Math.min(11, Number(value) || 0));
+                updateCustomVisibility();
+                console.log(`XY pad ${param} -> ${uiState.xyScale[param]}`);
+            });
+        });
+
+        if (customInput) {
+            customInput.value = uiState.xyScale.custom.join(' ');
+            customInput.addEventListener('change', (e) => {
+                uiState.xyScale.custom = parseScale(e.target.value);
+                e.target.value = uiState.xyScale.custom.join(' '); // Show what was understood
+            });
+            // Typing in the field shouldn't trigger other keyboard handling
+            customInput.addEventListener('keydown', (e) => e.stopPropagation());
+        }
+        if (glideButton) {
+            glideButton.addEventListener('click', () => {
+                uiState.xyScale.glide = !uiState.xyScale.glide;
+                glideButton.classList.toggle('active', uiState.xyScale.glide);
+                glideButton.setAttribute('aria-pressed', String(uiState.xyScale.glide));
+            });
+        }
+        updateCustomVisibility();
+        console.log("XY scale controls setup.");
+    }
+
+    function updateOctaveDisplay() {
+        const low = midiToNoteName(BASE_NOTE_NUMBER + uiState.octaveShift * 12);
+        const high = midiToNoteName(BASE_NOTE_NUMBER + uiState.octaveShift * 12 + 12);
+        const display = document.getElementById('octave-display');
+        if (display) display.textContent = low;
+        const title = document.getElementById('keyboard-title');
+        if (title) title.textContent = `NOTE INPUT // OCTAVE ${low}-${high}`;
+        const downButton = document.getElementById('octave-down-button');
+        const upButton = document.getElementById('octave-up-button');
+        if (downButton) downButton.disabled = uiState.octaveShift <= MIN_OCTAVE_SHIFT;
+        if (upButton) upButton.disabled = uiState.octaveShift >= MAX_OCTAVE_SHIFT;
+    }
+
+    /** Octave down/up buttons shared by the keyboard and the XY pad; held notes finish in their old octave. */
+    function setupOctaveControls() {
+        const downButton = document.getElementById('octave-down-button');
+        const upButton = document.getElementById('octave-up-button');
+        if (!downButton || !upButton) { console.warn("Octave control elements not found."); return; }
+
+        const shiftOctave = (direction) => {
+            uiState.octaveShift = Math.max(MIN_OCTAVE_SHIFT, Math.min(MAX_OCTAVE_SHIFT, uiState.octaveShift + direction));
+            updateOctaveDisplay();
+            console.log(`Octave shift -> ${uiState.octaveShift}`);
+        };
+        downButton.addEventListener('click', () => shiftOctave(-1));
+        upButton.addEventListener('click', () => shiftOctave(1));
+        updateOctaveDisplay();
+        console.log("Octave controls setup.");
+    }
+
      function setupModuleFocus() {
         const modules = document.querySelectorAll('.control-module:not(.sub-module), .sub-module'); // Target top-level and sub-modules
         const controlsArea = document.getElementById('controls-grid');
@@ -687,14 +1041,14 @@ document.addEventListener('DOMContentLoaded', () => {
         select.className = 'preset-select';
 
         if (soundModule && soundModule.getPresetNames) {
-            const presetNames = soundModule.getPresetNames();
-            presetNames.forEach(name => {
-                const option = document.createElement('option');
-                option.value = name;
-                option.textContent = name.replace(/_/g, ' ').toUpperCase();
-                if (name === uiState.currentPreset) option.selected = true;
-                select.appendChild(option);
+            // User presets saved in this browser join the factory ones
+            presetStore = new PresetStore();
+            presetStore.getNames().forEach(name => {
+                const { preset, errors } = validatePreset(presetStore.get(name));
+                if (errors.length > 0) console.warn(`Stored scroll '${name}' has invalid fields (ignored):`, formatIssues(errors));
+                soundModule.addPreset(name, preset);
             });
+            fillPresetSelector(select);
         } else {
              console.warn("Sound module or getPresetNames not available for selector.");
              const defaultOption = document.createElement('option');
@@ -709,15 +1063,1068 @@ document.addEventListener('DOMContentLoaded', () => {
             uiState.currentPreset = newPresetName;
             if (soundModule) {
                  soundModule.applyPresetAudio(newPresetName);
+                 applyPresetVisuals(soundModule.audioState.presets[newPresetName]);
                  updateUIFromSoundModuleState(); // Sync UI immediately
             }
+            updatePresetButtons();
         });
 
         presetContainer.appendChild(label);
         presetContainer.appendChild(select);
+
+        if (presetStore) {
+            const buttons = {};
+            [['save', 'SAVE'], ['rename', 'RENAME'], ['delete', 'DELETE'], ['export', 'EXPORT'], ['bank', 'BANK'], ['import', 'IMPORT']].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.className = 'swap-button preset-button';
+                button.dataset.presetAction = action;
+                button.textContent = text;
+                buttons[action] = button;
+                presetContainer.appendChild(button);
+            });
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,application/json';
+            fileInput.hidden = true;
+            presetContainer.appendChild(fileInput);
+            // Factory scrolls are read-only: only user presets can be renamed or deleted
+            updatePresetButtons = () => {
+                const isUserPreset = presetStore.has(uiState.currentPreset);
+                buttons.rename.disabled = !isUserPreset;
+                buttons.delete.disabled = !isUserPreset;
+                buttons.bank.disabled = presetStore.getNames().length === 0;
+            };
+            buttons.save.addEventListener('click', () => {
+                const suggested = presetStore.has(uiState.currentPreset) ? uiState.currentPreset.replace(/_/g, ' ') : '';
+                const name = PresetStore.normalizeName(window.prompt('Save scroll as:', suggested));
+                if (!name) return;
+                if (soundModule.isFactoryPreset(name)) { window.alert(`'${name}' is a factory scroll. Choose another name.`); return; }
+                if (presetStore.has(name) && name !== uiState.currentPreset && !window.confirm(`Overwrite '${name}'?`)) return;
+                const preset = { ...soundModule.getParameters(), visual: { ...uiState.visualOverrides } };
+                if (!presetStore.set(name, preset)) { window.alert('Could not save the scroll (storage full or unavailable).'); return; }
+                soundModule.addPreset(name, preset);
+                soundModule.audioState.activePresetName = name;
+                uiState.currentPreset = name;
+                fillPresetSelector(select);
+                updateMorphSelectors();
+                updatePresetButtons();
+            });
+            buttons.rename.addEventListener('click', () => {
+                const oldName = uiState.currentPreset;
+                const name = PresetStore.normalizeName(window.prompt('Rename scroll to:', oldName.replace(/_/g, ' ')));
+                if (!name || name === oldName) return;
+                if (soundModule.isFactoryPreset(name) || presetStore.has(name)) { window.alert(`'${name}' already exists.`); return; }
+                if (!presetStore.rename(oldName, name)) { window.alert('Could not rename the scroll (storage full or unavailable).'); return; }
+                soundModule.removePreset(oldName);
+                soundModule.addPreset(name, presetStore.get(name));
+                soundModule.audioState.activePresetName = name;
+                uiState.currentPreset = name;
+                fillPresetSelector(select);
+                updateMorphSelectors();
+            });
+            buttons.delete.addEventListener('click', () => {
+                const name = uiState.currentPreset;
+                if (!window.confirm(`Delete scroll '${name}'?`)) return;
+                if (!presetStore.remove(name)) { window.alert('Could not delete the scroll (storage full or unavailable).'); return; }
+                soundModule.removePreset(name); // The sound stays until another scroll is chosen
+                fillPresetSelector(select);
+                updateMorphSelectors();
+                updatePresetButtons();
+            });
+            buttons.export.addEventListener('click', () => {
+                // A deleted (unsaved) scroll exports what is playing
+                const name = uiState.currentPreset || 'unsaved';
+                const preset = soundModule.audioState.presets[name] || { ...soundModule.getParameters(), visual: { ...uiState.visualOverrides } };
+                downloadBlob(new Blob([exportPreset(name, preset)], { type: 'application/json' }), `maleficarum-scroll-${name}.json`);
+            });
+            buttons.bank.addEventListener('click', () => {
+                const presets = {};
+                presetStore.getNames().forEach(name => { presets[name] = presetStore.get(name); });
+                const stamp = new Date().toISOString().slice(0, 10);
+                downloadBlob(new Blob([exportBank(presets)], { type: 'application/json' }), `maleficarum-bank-${stamp}.json`);
+            });
+            buttons.import.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files?.[0];
+                fileInput.value = ''; // Allow importing the same file again
+                if (!file) return;
+                try {
+                    importPresetFile(await file.text(), file.name.replace(/\.json$/i, ''), select);
+                } catch (e) {
+                    console.error("Could not import scroll file:", e);
+                    window.alert(`Could not import '${file.name}': ${e.message}`);
+                }
+            });
+            updatePresetButtons();
+        }
         console.log("Preset selector setup.");
     }
 
+    /**
+     * Adds the valid presets of a preset or bank file as user scrolls and reports what was skipped.
+     * Names taken by factory scrolls get a number; existing user scrolls are overwritten after confirmation.
+     * @throws {Error} If the file can't be read as a preset or bank (see parsePresetFile()).
+     */
+    function importPresetFile(text, fileName, select) {
+        const { presets, rejected } = parsePresetFile(text, fileName);
+        const entries = presets.map(entry => ({ ...entry, name: PresetStore.normalizeName(entry.name) || 'imported' }));
+        const isTaken = (name) => soundModule.isFactoryPreset(name) || presetStore.has(name);
+        const existing = entries.filter(({ name }) => presetStore.has(name));
+        const overwrite = existing.length > 0
+            && window.confirm(`Overwrite ${existing.map(({ name }) => `'${name}'`).join(', ')}? (Cancel imports them under new names.)`);
+
+        const imported = [];
+        const report = [];
+        entries.forEach(({ name, preset, warnings }) => {
+            let target = name;
+            if (isTaken(target) && !(overwrite && presetStore.has(target))) {
+                let suffix = 2;
+                while (isTaken(`${name}_${suffix}`)) suffix++;
+                target = `${name}_${suffix}`;
+            }
+            const stored = presetStore.set(target, preset);
+            if (!stored) { report.push(`'${name}': could not be stored (storage full or unavailable).`); return; }
+            soundModule.addPreset(stored, preset);
+            imported.push(stored);
+            if (warnings.length > 0) report.push(`'${stored}': ${warnings.join('; ')}`);
+        });
+        rejected.forEach(({ name, errors }) => report.push(`'${name}' skipped:\n  ${errors.join('\n  ')}`));
+
+        if (imported.length === 1) {
+            // A single scroll is loaded straight away
+            uiState.currentPreset = imported[0];
+            soundModule.applyPresetAudio(imported[0]);
+            applyPresetVisuals(soundModule.audioState.presets[imported[0]]);
+            updateUIFromSoundModuleState();
+        }
+        fillPresetSelector(select);
+        updateMorphSelectors();
+        updatePresetButtons();
+        if (report.length > 0 || imported.length !== 1) {
+            window.alert([`Imported ${imported.length} scroll${imported.length === 1 ? '' : 's'}.`, ...report].join('\n'));
+        }
+    }
+
+    /** Lists the factory scrolls and the user's own in separate groups, with `selectedName` selected. */
+    function fillPresetSelector(select, selectedName = uiState.currentPreset) {
+        select.innerHTML = '';
+        const names = soundModule.getPresetNames();
+        const groups = [
+            { label: 'FACTORY', names: names.filter(name => soundModule.isFactoryPreset(name)) },
+            { label: 'USER', names: names.filter(name => !soundModule.isFactoryPreset(name)).sort() },
+        ];
+        groups.filter(group => group.names.length > 0).forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name.replace(/_/g, ' ').toUpperCase();
+                if (name === selectedName) option.selected = true;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+        if (!names.includes(selectedName)) {
+            // The active scroll was deleted: show that the sound is no longer a saved one
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '(UNSAVED)';
+            option.disabled = true;
+            option.selected = true;
+            select.insertBefore(option, select.firstChild);
+        }
+    }
+
+    /** Visual settings stored with a user preset replace the current ones. */
+    function applyPresetVisuals(preset) {
+        if (preset?.visual && typeof preset.visual === 'object') uiState.visualOverrides = { ...preset.visual };
+    }
+
+    /**
+     * Morph slider: glides the sound (and the visual settings saved with user scrolls)
+     * from one scroll to another. Its calls are recorded by the performance log like any
+     * other change, and it can be MIDI-learned like the other sliders.
+     */
+    function setupPresetMorph() {
+        const morphContainer = document.getElementById('morph-area');
+        if (!morphContainer) { console.warn("Morph container div not found."); return; }
+        morphContainer.innerHTML = '';
+        if (!soundModule?.morphPresets) return;
+
+        const names = soundModule.getPresetNames();
+        uiState.morph.from = names.includes(uiState.currentPreset) ? uiState.currentPreset : names[0];
+        uiState.morph.to = names.find(name => name !== uiState.morph.from) || uiState.morph.from;
+
+        const label = document.createElement('label');
+        label.htmlFor = 'slider-morph';
+        label.textContent = 'MORPH:';
+        label.className = 'preset-label';
+        const fromSelect = document.createElement('select');
+        fromSelect.id = 'morph-from';
+        fromSelect.className = 'preset-select';
+        fromSelect.setAttribute('aria-label', 'Morph from scroll');
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = 'slider-morph';
+        slider.className = 'morph-slider';
+        slider.min = '0';
+        slider.max = '1000';
+        slider.step = '1';
+        slider.value = String(Math.round(uiState.morph.amount * 1000));
+        const toSelect = document.createElement('select');
+        toSelect.id = 'morph-to';
+        toSelect.className = 'preset-select';
+        toSelect.setAttribute('aria-label', 'Morph to scroll');
+        morphContainer.append(label, fromSelect, slider, toSelect);
+
+        updateMorphSelectors = () => {
+            fillPresetSelector(fromSelect, uiState.morph.from);
+            fillPresetSelector(toSelect, uiState.morph.to);
+        };
+        updateMorphSelectors();
+
+        const morph = () => {
+            const { from, to, amount } = uiState.morph;
+            if (!soundModule.morphPresets(from, to, amount)) return;
+            applyMorphVisuals(from, to, amount);
+            if (soundModule.audioState.activePresetName !== uiState.currentPreset) syncPresetSelector(soundModule.audioState.activePresetName);
+            updateUIFromSoundModuleState();
+        };
+        slider.addEventListener('input', () => {
+            uiState.morph.amount = Number(slider.value) / 1000;
+            morph();
+        });
+        fromSelect.addEventListener('change', () => { uiState.morph.from = fromSelect.value; uiState.morph.visualBase = null; morph(); });
+        toSelect.addEventListener('change', () => { uiState.morph.to = toSelect.value; uiState.morph.visualBase = null; morph(); });
+        attachMidiLearnTrigger(slider, [slider.id]);
+        console.log("Preset morph setup.");
+    }
+
+    /**
+     * Blends the visual settings saved with the two scrolls. A scroll without visual settings
+     * stands for the visuals shown when the morph began, so the blend glides from (or to) them
+     * instead of jumping halfway. With neither scroll carrying any, the sound-driven visuals
+     * follow the morphing sound.
+     */
+    function applyMorphVisuals(from, to, amount) {
+        const presets = soundModule.audioState.presets;
+        const fromVisual = presets[from]?.visual;
+        const toVisual = presets[to]?.visual;
+        if (!fromVisual && !toVisual) return;
+        if (!uiState.morph.visualBase) uiState.morph.visualBase = getCurrentVisualValues();
+        const base = uiState.morph.visualBase;
+        const names = [...new Set([...Object.keys(fromVisual || {}), ...Object.keys(toVisual || {})])].filter(name => VISUAL_PARAM_RANGES[name]);
+        const resolve = (visual) => Object.fromEntries(names.map(name => [name, visual?.[name] ?? base[name]]));
+        uiState.visualOverrides = morphParameters(resolve(fromVisual), resolve(toVisual), amount);
+    }
+
+    /** The visual parameters on screen, normalized 0-1 like uiState.visualOverrides. */
+    function getCurrentVisualValues() {
+        const values = {};
+        Object.entries(VISUAL_PARAM_RANGES).forEach(([name, [min, max]]) => {
+            const shown = uiState.visualOverrides[name] ?? (Number.isFinite(lastVisualParams[name]) ? (lastVisualParams[name] - min) / (max - min) : 0);
+            values[name] = clamp(shown, 0, 1);
+        });
+        return values;
+    }
+
+    /** Moves the morph controls to a replayed morph. */
+    function syncPresetMorph(from, to, amount) {
+        const visualBase = from === uiState.morph.from && to === uiState.morph.to ? uiState.morph.visualBase : null;
+        uiState.morph = { from, to, amount: Math.max(0, Math.min(1, Number(amount) || 0)), visualBase };
+        updateMorphSelectors();
+        const slider = document.getElementById('slider-morph');
+        if (slider) slider.value = String(Math.round(uiState.morph.amount * 1000));
+        applyMorphVisuals(from, to, uiState.morph.amount);
+    }
+
+    function setupTuningSelector() {
+        const tuningContainer = document.getElementById('tuning-area');
+        if (!tuningContainer) { console.warn("Tuning container div not found."); return; }
+        tuningContainer.innerHTML = '';
+        if (!soundModule?.getTuningNames) return;
+
+        const select = createLabeledSelect(tuningContainer, 'tuning-selector', 'TUNING:');
+        const a4Label = document.createElement('label');
+        a4Label.htmlFor = 'tuning-a4';
+        a4Label.textContent = 'A4:';
+        a4Label.className = 'preset-label';
+        const a4Input = document.createElement('input');
+        a4Input.type = 'number';
+        a4Input.id = 'tuning-a4';
+        a4Input.className = 'preset-select tuning-a4-input';
+        a4Input.min = '380'; a4Input.max = '500'; a4Input.step = '0.1';
+        const loadButton = document.createElement('button');
+        loadButton.className = 'swap-button tuning-load-button';
+        loadButton.textContent = 'LOAD .SCL/.KBM';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.scl,.kbm';
+        fileInput.multiple = true;
+        fileInput.hidden = true;
+        const status = document.createElement('span');
+        status.className = 'tuning-status';
+        tuningContainer.append(a4Label, a4Input, loadButton, fileInput, status);
+
+        const refresh = () => {
+            const tuning = soundModule.audioState.parameters.tuning;
+            const options = soundModule.getTuningNames().map(({ id, label }) => ({ value: id, label }));
+            if (tuning.scale === 'custom') options.push({ value: 'custom', label: soundModule.tuning.name.toUpperCase() });
+            fillSelect(select, options, tuning.scale || '12tet');
+            a4Input.value = tuning.a4;
+            status.textContent = tuning.kbm ? '+KBM' : '';
+        };
+
+        select.addEventListener('change', (e) => {
+            soundModule.setParameter('tuning', 'scale', e.target.value);
+            console.log(`Tuning -> ${e.target.value}`);
+            refresh();
+        });
+        a4Input.addEventListener('change', (e) => {
+            const a4 = Number(e.target.value);
+            if (Number.isFinite(a4) && a4 > 0) soundModule.setParameter('tuning', 'a4', Math.max(380, Math.min(500, a4)));
+            refresh();
+        });
+        loadButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const files = Array.from(fileInput.files || []);
+            fileInput.value = ''; // Allow loading the same file again
+            const sclFile = files.find(file => /\.scl$/i.test(file.name));
+            const kbmFile = files.find(file => /\.kbm$/i.test(file.name));
+            if (!sclFile && !kbmFile) return;
+            try {
+                const kbmText = kbmFile ? await kbmFile.text() : null;
+                const result = sclFile
+                    ? soundModule.loadScalaTuning(await sclFile.text(), kbmText)
+                    : soundModule.loadKeyboardMapping(kbmText);
+                refresh();
+                if (!result.ok) status.textContent = `ERROR: ${result.error}`;
+            } catch (e) {
+                console.error("Could not read tuning files:", e);
+                status.textContent = 'ERROR: UNREADABLE FILE';
+            }
+        });
+        refresh();
+        console.log("Tuning selector setup.");
+    }
+
+    /**
+     * Transport: tempo, meter and play/stop of the global clock that synced arp, delay and
+     * LFO rates follow (and that MIDI clock SEND mirrors). While an external MIDI clock
+     * drives the transport, its tempo and start/stop are shown but can't be changed here.
+     */
+    function setupTransportControls() {
+        const transportContainer = document.getElementById('transport-area');
+        if (!transportContainer) { console.warn("Transport container div not found."); return; }
+        transportContainer.innerHTML = '';
+        const transport = soundModule?.audioState?.transport;
+        if (!transport) return;
+
+        const bpmLabel = document.createElement('label');
+        bpmLabel.htmlFor = 'transport-bpm';
+        bpmLabel.textContent = 'TEMPO:';
+        bpmLabel.className = 'preset-label';
+        const bpmInput = document.createElement('input');
+        bpmInput.type = 'number';
+        bpmInput.id = 'transport-bpm';
+        bpmInput.className = 'preset-select transport-bpm-input';
+        bpmInput.min = String(MIN_BPM); bpmInput.max = String(MAX_BPM); bpmInput.step = '0.1';
+        transportContainer.append(bpmLabel, bpmInput);
+        const meterSelect = createLabeledSelect(transportContainer, 'transport-meter', 'METER:');
+        const playButton = document.createElement('button');
+        playButton.className = 'swap-button export-button transport-button';
+        playButton.setAttribute('aria-pressed', 'false');
+        const status = document.createElement('span');
+        status.className = 'tuning-status transport-status';
+        transportContainer.append(playButton, status);
+
+        let positionTimer = null;
+        const showPosition = () => {
+            const { bar, beat } = transport.getPosition();
+            status.textContent = `${bar + 1}.${Math.floor(beat) + 1}`;
+        };
+        const refresh = () => {
+            const isExternal = transport.clockSource === 'external';
+            bpmInput.value = String(Math.round(transport.bpm * 10) / 10);
+            bpmInput.disabled = isExternal;
+            const meter = transport.timeSignature.join('/');
+            const meters = TRANSPORT_METERS.includes(meter) ? TRANSPORT_METERS : [...TRANSPORT_METERS, meter];
+            fillSelect(meterSelect, meters.map(value => ({ value, label: value })), meter);
+            playButton.textContent = transport.isRunning ? 'STOP' : 'PLAY';
+            playButton.classList.toggle('active', transport.isRunning);
+            playButton.setAttribute('aria-pressed', String(transport.isRunning));
+            playButton.disabled = isExternal;
+            clearInterval(positionTimer);
+            positionTimer = transport.isRunning ? setInterval(showPosition, 100) : null;
+            if (transport.isRunning) showPosition();
+            else status.textContent = isExternal ? 'EXT CLOCK' : '';
+        };
+
+        bpmInput.addEventListener('change', () => {
+            const bpm = Number(bpmInput.value);
+            if (Number.isFinite(bpm) && bpm > 0) soundModule.setParameter('transport', 'bpm', Math.max(MIN_BPM, Math.min(MAX_BPM, bpm)));
+            refresh();
+        });
+        meterSelect.addEventListener('change', (e) => {
+            soundModule.setParameter('transport', 'timeSignature', e.target.value.split('/').map(Number));
+            refresh();
+        });
+        playButton.addEventListener('click', () => {
+            if (transport.isRunning) soundModule.stopTransport();
+            else soundModule.startTransport();
+        });
+        // Tempo and start/stop also change from presets, MIDI clock and replayed performances
+        ['tempo', 'timeSignature', 'start', 'stop', 'clockSource'].forEach(event => transport.on(event, refresh));
+        refresh();
+        console.log("Transport controls setup.");
+    }
+
+    /**
+     * Offline render: a performance (JSON event list) is replayed through a copy of the
+     * synth on an OfflineAudioContext and downloaded as a WAV file.
+     */
+    function setupRenderExport() {
+        const exportContainer = document.getElementById('export-area');
+        if (!exportContainer) { console.warn("Export container div not found."); return; }
+        exportContainer.innerHTML = '';
+
+        const depthSelect = createLabeledSelect(exportContainer, 'export-bit-depth', 'WAV:');
+        fillSelect(depthSelect, [
+            { value: '16', label: '16-BIT' },
+            { value: '24', label: '24-BIT' },
+            { value: '32', label: '32-BIT FLOAT' },
+        ], String(uiState.exportBitDepth));
+        const renderButton = document.createElement('button');
+        renderButton.className = 'swap-button export-button';
+        renderButton.textContent = 'RENDER .JSON';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.hidden = true;
+        const status = document.createElement('span');
+        status.className = 'tuning-status export-status';
+        exportContainer.append(renderButton, fileInput, status);
+
+        depthSelect.addEventListener('change', (e) => { uiState.exportBitDepth = Number(e.target.value); });
+        renderButton.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = ''; // Allow rendering the same file again
+            if (!file) return;
+            try {
+                const performance = JSON.parse(await file.text());
+                await exportPerformanceWav(performance, file.name.replace(/\.json$/i, ''), status);
+            } catch (e) {
+                console.error("Could not render performance file:", e);
+                status.textContent = `ERROR: ${e.message || 'UNREADABLE FILE'}`;
+            }
+        });
+        console.log("Render export setup.");
+    }
+
+    /**
+     * Renders a performance offline and downloads it as `<name>.wav` at the selected bit depth.
+     * @param {object} performance - { preset, duration?, events: [{ time, type, args }] }.
+     * @param {string} name - File name without extension.
+     * @param {HTMLElement} [status] - Element showing progress and errors.
+     */
+    async function exportPerformanceWav(performance, name, status) {
+        const renderer = new OfflineRenderer({
+            sampleRate: soundModule?.audioState?.audioContext?.sampleRate || 44100,
+        });
+        // Checked before rendering, so a performance over the length limit is reported rather than cut
+        const duration = renderer.getDuration(performance);
+        if (status) status.textContent = 'RENDERING...';
+        const blob = await renderer.renderToWav(performance, uiState.exportBitDepth);
+        downloadBlob(blob, `${name || 'performance'}.wav`);
+        if (status) status.textContent = `${duration.toFixed(1)}s RENDERED`;
+    }
+
+    /**
+     * Live session recording: the master output and the visualizer canvas are recorded
+     * together into one video file, downloaded when recording stops.
+     */
+    function setupSessionRecorder() {
+        const exportContainer = document.getElementById('export-area');
+        const canvas = document.getElementById('hypercube-canvas');
+        if (!exportContainer || !canvas) { console.warn("Export container or canvas not found."); return; }
+        if (!SessionRecorder.isSupported()) { console.warn("Session recording not supported in this browser."); return; }
+
+        const fpsSelect = createLabeledSelect(exportContainer, 'record-frame-rate', 'REC:');
+        fillSelect(fpsSelect, [24, 30, 60].map(fps => ({ value: String(fps), label: `${fps} FPS` })), String(uiState.recordFrameRate));
+        const bitrateSelect = document.createElement('select');
+        bitrateSelect.id = 'record-bitrate';
+        bitrateSelect.className = 'preset-select';
+        bitrateSelect.setAttribute('aria-label', 'Recording Bitrate');
+        fillSelect(bitrateSelect, [2500000, 5000000, 8000000, 16000000].map(bitrate => ({ value: String(bitrate), label: `${bitrate / 1000000} MBPS` })), String(uiState.recordVideoBitrate));
+        const recordButton = document.createElement('button');
+        recordButton.className = 'swap-button export-button record-button';
+        recordButton.setAttribute('aria-pressed', 'false');
+        recordButton.textContent = 'REC';
+        const status = document.createElement('span');
+        status.className = 'tuning-status record-status';
+        exportContainer.append(bitrateSelect, recordButton, status);
+
+        let elapsedTimer = null;
+        const formatElapsed = (seconds) => `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        sessionRecorder = new SessionRecorder(soundModule, canvas, {
+            frameRate: uiState.recordFrameRate,
+            videoBitsPerSecond: uiState.recordVideoBitrate,
+            callbacks: {
+                onStateChanged: (isRecording) => {
+                    recordButton.textContent = isRecording ? 'STOP' : 'REC';
+                    recordButton.classList.toggle('active', isRecording);
+                    recordButton.setAttribute('aria-pressed', String(isRecording));
+                    fpsSelect.disabled = isRecording;
+                    bitrateSelect.disabled = isRecording;
+                    clearInterval(elapsedTimer);
+                    elapsedTimer = isRecording ? setInterval(() => { status.textContent = `● ${formatElapsed(sessionRecorder.getElapsed())}`; }, 500) : null;
+                    status.textContent = isRecording ? '● 00:00' : '';
+                },
+                onComplete: (blob, extension) => {
+                    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+                    downloadBlob(blob, `maleficarum-session-${stamp}.${extension}`);
+                    status.textContent = `${(blob.size / 1048576).toFixed(1)} MB SAVED`;
+                },
+            },
+        });
+
+        fpsSelect.addEventListener('change', (e) => {
+            uiState.recordFrameRate = Number(e.target.value);
+            sessionRecorder.configure({ frameRate: uiState.recordFrameRate });
+        });
+        bitrateSelect.addEventListener('change', (e) => {
+            uiState.recordVideoBitrate = Number(e.target.value);
+            sessionRecorder.configure({ videoBitsPerSecond: uiState.recordVideoBitrate });
+        });
+        recordButton.addEventListener('click', () => {
+            if (sessionRecorder.isRecording()) {
+                sessionRecorder.stop();
+            } else if (!sessionRecorder.start()) {
+                status.textContent = 'ERROR: CANNOT RECORD';
+            }
+        });
+        console.log("Session recorder setup.");
+    }
+
+    /**
+     * Performance log: records notes, parameter/effect/preset changes and visual overrides as
+     * JSON, plays them back once or looped (with overdub), saves/loads them and renders them to WAV.
+     */
+    function setupPerformanceRecorder() {
+        const performanceContainer = document.getElementById('performance-area');
+        if (!performanceContainer) { console.warn("Performance container div not found."); return; }
+        performanceContainer.innerHTML = '';
+
+        const label = document.createElement('span');
+        label.className = 'preset-label';
+        label.textContent = 'LOG:';
+        const buttons = {};
+        [['record', 'REC'], ['play', 'PLAY'], ['loop', 'LOOP'], ['overdub', 'DUB'], ['save', 'SAVE'], ['load', 'LOAD'], ['render', 'WAV']].forEach(([action, text]) => {
+            const button = document.createElement('button');
+            button.className = 'swap-button export-button performance-button';
+            button.dataset.performanceAction = action;
+            button.textContent = text;
+            buttons[action] = button;
+        });
+        buttons.loop.setAttribute('aria-pressed', 'false');
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.hidden = true;
+        const status = document.createElement('span');
+        status.className = 'tuning-status performance-status';
+        performanceContainer.append(label, ...Object.values(buttons), fileInput, status);
+
+        let positionTimer = null;
+        const updateButtons = (state, isOverdubbing) => {
+            const hasPerformance = !!performanceRecorder.performance;
+            buttons.record.textContent = state === 'recording' ? 'STOP' : 'REC';
+            buttons.record.classList.toggle('active', state === 'recording');
+            buttons.play.textContent = state === 'playing' ? 'STOP' : 'PLAY';
+            buttons.play.classList.toggle('active', state === 'playing');
+            buttons.play.disabled = state === 'recording' || !hasPerformance;
+            buttons.overdub.disabled = state !== 'playing';
+            buttons.overdub.classList.toggle('active', isOverdubbing);
+            buttons.save.disabled = state !== 'idle' || !hasPerformance;
+            buttons.render.disabled = state !== 'idle' || !hasPerformance;
+            clearInterval(positionTimer);
+            positionTimer = state === 'idle' ? null : setInterval(() => {
+                status.textContent = `${state === 'recording' || isOverdubbing ? '●' : '▶'} ${performanceRecorder.getPosition().toFixed(1)}s`;
+            }, 100);
+            if (state === 'idle') status.textContent = hasPerformance ? `${performanceRecorder.performance.events.length} EVENTS` : '';
+        };
+
+        performanceRecorder = new PerformanceRecorder(soundModule, {
+            callbacks: {
+                onStateChanged: updateButtons,
+                // Scrolls a loaded performance brought along are listed for this session
+                onPresetsAdded: () => {
+                    const select = document.getElementById('preset-selector');
+                    if (select) fillPresetSelector(select);
+                    updateMorphSelectors();
+                    updatePresetButtons();
+                },
+                onPlaybackStart: (performance) => {
+                    uiState.visualOverrides = { ...(performance.state?.visualOverrides || {}) };
+                    syncPresetSelector(performance.preset);
+                    updateUIFromSoundModuleState();
+                },
+                onEvent: (event) => {
+                    if (event.type === 'visual') {
+                        const [name, value] = event.args;
+                        if (value === null) delete uiState.visualOverrides[name];
+                        else uiState.visualOverrides[name] = value;
+                    } else if (event.type === 'applyPresetAudio') {
+                        syncPresetSelector(event.args[0]);
+                        updateUIFromSoundModuleState();
+                    } else if (event.type === 'morphPresets') {
+                        syncPresetMorph(...event.args);
+                        syncPresetSelector(soundModule.audioState.activePresetName);
+                        updateUIFromSoundModuleState();
+                    } else if (!['startNote', 'stopNote', 'setNoteFrequency', 'setNoteExpression', 'setPolyPressure'].includes(event.type)) {
+                        updateUIFromSoundModuleState(); // Controls follow the replayed changes
+                    }
+                },
+            },
+        });
+
+        buttons.record.addEventListener('click', () => {
+            if (performanceRecorder.state === 'recording') performanceRecorder.stop();
+            else if (!performanceRecorder.record({ visualOverrides: uiState.visualOverrides })) status.textContent = 'ERROR: AUDIO NOT READY';
+        });
+        buttons.play.addEventListener('click', () => {
+            if (performanceRecorder.state === 'playing') performanceRecorder.stop();
+            else performanceRecorder.play({ loop: buttons.loop.classList.contains('active') });
+        });
+        buttons.loop.addEventListener('click', () => {
+            const loop = !buttons.loop.classList.contains('active');
+            buttons.loop.classList.toggle('active', loop);
+            buttons.loop.setAttribute('aria-pressed', String(loop));
+            performanceRecorder.setLoop(loop);
+        });
+        buttons.overdub.addEventListener('click', () => performanceRecorder.setOverdub(!performanceRecorder.isOverdubbing));
+        buttons.save.addEventListener('click', () => {
+            const json = JSON.stringify(performanceRecorder.getPerformance(), null, 2);
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(new Blob([json], { type: 'application/json' }), `maleficarum-performance-${stamp}.json`);
+        });
+        buttons.load.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = ''; // Allow loading the same file again
+            if (!file) return;
+            try {
+                performanceRecorder.loadPerformance(JSON.parse(await file.text()));
+                updateButtons(performanceRecorder.state, false);
+            } catch (e) {
+                console.error("Could not load performance file:", e);
+                status.textContent = `ERROR: ${e.message || 'UNREADABLE FILE'}`;
+            }
+        });
+        buttons.render.addEventListener('click', async () => {
+            try {
+                await exportPerformanceWav(performanceRecorder.getPerformance(), 'maleficarum-performance', status);
+            } catch (e) {
+                console.error("Could not render performance:", e);
+                status.textContent = `ERROR: ${e.message || 'RENDER FAILED'}`;
+            }
+        });
+        updateButtons('idle', false);
+        console.log("Performance recorder setup.");
+    }
+
+    function syncPresetSelector(presetName) {
+        if (!presetName) return;
+        uiState.currentPreset = presetName;
+        const select = document.getElementById('preset-selector');
+        if (select) select.value = presetName;
+        updatePresetButtons();
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000); // After the download has picked it up
+    }
+
+    function fillSelect(select, options, selectedValue) {
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            if (value === selectedValue) option.selected = true;
+            select.appendChild(option);
+        });
+    }
+
+    function populateMidiSelector(inputs, outputs = []) {
+        const select = document.getElementById('midi-input-selector');
+        if (select) {
+            fillSelect(select, [{ value: '', label: 'OFF' }, { value: 'all', label: 'ALL INPUTS' }]
+                .concat(inputs.map(input => ({ value: input.id, label: input.name.toUpperCase() }))), uiState.midiInputId ?? '');
+        }
+        const outputSelect = document.getElementById('midi-output-selector');
+        if (outputSelect) {
+            // Forget an output that has been unplugged
+            if (uiState.midiOutputId && !outputs.some(output => output.id === uiState.midiOutputId)) selectMidiOutput(null);
+            fillSelect(outputSelect, [{ value: '', label: 'OFF' }]
+                .concat(outputs.map(output => ({ value: output.id, label: output.name.toUpperCase() }))), uiState.midiOutputId ?? '');
+        }
+    }
+
+    function selectMidiOutput(outputId) {
+        uiState.midiOutputId = outputId || null;
+        const port = uiState.midiOutputId && midiInput ? midiInput.getOutputPort(uiState.midiOutputId) : null;
+        if (midiClock) midiClock.setOutput(port);
+        if (midiOutput) midiOutput.setOutput(port);
+    }
+
+    function createLabeledSelect(container, id, labelText) {
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = labelText;
+        label.className = 'preset-label';
+        const select = document.createElement('select');
+        select.id = id;
+        select.className = 'preset-select';
+        container.appendChild(label);
+        container.appendChild(select);
+        return select;
+    }
+
+    async function setupMidiInput() {
+        const midiContainer = document.getElementById('midi-area');
+        if (!midiContainer) { console.warn("MIDI container div not found."); return; }
+        midiContainer.innerHTML = '';
+
+        const select = createLabeledSelect(midiContainer, 'midi-input-selector', 'MIDI:');
+        const clockSelect = createLabeledSelect(midiContainer, 'midi-clock-selector', 'CLOCK:');
+        const outputSelect = createLabeledSelect(midiContainer, 'midi-output-selector', 'OUT:');
+        const channelSelect = createLabeledSelect(midiContainer, 'midi-output-channel', 'CH:');
+        const mpeSelect = createLabeledSelect(midiContainer, 'midi-mpe-zone', 'MPE:');
+        const bendSelect = createLabeledSelect(midiContainer, 'midi-mpe-bend', 'BEND:');
+        fillSelect(mpeSelect, [
+            { value: 'off', label: 'OFF' },
+            { value: 'lower', label: 'LOWER' },
+            { value: 'upper', label: 'UPPER' },
+        ], uiState.mpeZone);
+        fillSelect(bendSelect, [12, 24, 48, 96].map(range => ({ value: String(range), label: `±${range}` })), String(uiState.mpeBendRange));
+        fillSelect(channelSelect, [{ value: '', label: 'NO NOTES' }]
+            .concat(Array.from({ length: 16 }, (_, i) => ({ value: String(i + 1), label: String(i + 1) }))),
+            uiState.midiOutputChannel === null ? '' : String(uiState.midiOutputChannel));
+        fillSelect(clockSelect, [
+            { value: 'off', label: 'INTERNAL' },
+            { value: 'receive', label: 'EXT. IN' },
+            { value: 'send', label: 'SEND' },
+        ], uiState.midiClockMode);
+
+        if (!soundModule || !MidiInput.isSupported()) {
+            const unavailableOption = document.createElement('option');
+            unavailableOption.textContent = "MIDI UNAVAILABLE";
+            unavailableOption.disabled = true;
+            select.appendChild(unavailableOption);
+            select.disabled = true;
+            clockSelect.disabled = true;
+            outputSelect.disabled = true;
+            channelSelect.disabled = true;
+            mpeSelect.disabled = true;
+            bendSelect.disabled = true;
+            console.warn("Web MIDI not available; MIDI input disabled.");
+            return;
+        }
+
+        midiInput = new MidiInput(soundModule, {
+            callbacks: { onDevicesChanged: populateMidiSelector }
+        });
+        if (midiLearn) midiLearn.connect(midiInput);
+        if (soundModule.audioState?.transport) {
+            midiClock = new MidiClock(soundModule.audioState.transport, {
+                scheduler: soundModule.audioState.scheduler,
+                mode: uiState.midiClockMode,
+            });
+            midiClock.connect(midiInput);
+        }
+        midiOutput = new MidiOutput(soundModule, { channel: uiState.midiOutputChannel });
+        select.addEventListener('change', (e) => {
+            uiState.midiInputId = e.target.value || null;
+            if (midiInput) midiInput.selectInput(uiState.midiInputId);
+            console.log(`MIDI input -> ${uiState.midiInputId ?? 'OFF'}`);
+        });
+        clockSelect.addEventListener('change', (e) => {
+            uiState.midiClockMode = e.target.value;
+            if (midiClock) midiClock.setMode(uiState.midiClockMode);
+            console.log(`MIDI clock -> ${uiState.midiClockMode}`);
+        });
+        outputSelect.addEventListener('change', (e) => {
+            selectMidiOutput(e.target.value);
+            console.log(`MIDI output -> ${uiState.midiOutputId ?? 'OFF'}`);
+        });
+        channelSelect.addEventListener('change', (e) => {
+            uiState.midiOutputChannel = e.target.value ? Number(e.target.value) : null;
+            if (midiOutput) midiOutput.setChannel(uiState.midiOutputChannel);
+            console.log(`MIDI note output channel -> ${uiState.midiOutputChannel ?? 'OFF'}`);
+        });
+        mpeSelect.addEventListener('change', (e) => {
+            uiState.mpeZone = e.target.value;
+            applyMpeSettings();
+            console.log(`MPE zone -> ${uiState.mpeZone}`);
+        });
+        bendSelect.addEventListener('change', (e) => {
+            uiState.mpeBendRange = Number(e.target.value) || DEFAULT_MPE_BEND_RANGE;
+            applyMpeSettings();
+            console.log(`MPE pitch bend range -> ${uiState.mpeBendRange}`);
+        });
+        applyMpeSettings();
+        if (!(await midiInput.init())) {
+            populateMidiSelector([]);
+            console.warn("MIDI access not granted.");
+        } else {
+            console.log("MIDI input setup.");
+        }
+    }
+
+
+    /** Creates, reconfigures or removes the MPE zone on the MIDI input to match uiState. */
+    function applyMpeSettings() {
+        if (!midiInput || !soundModule) return;
+        if (uiState.mpeZone === 'off') {
+            midiInput.setMpeZone(null);
+            if (mpeZone) mpeZone.dispose();
+            mpeZone = null;
+            return;
+        }
+        if (mpeZone) {
+            mpeZone.configure({ zone: uiState.mpeZone, pitchBendRange: uiState.mpeBendRange });
+            return;
+        }
+        mpeZone = new MpeZone(soundModule, {
+            zone: uiState.mpeZone,
+            pitchBendRange: uiState.mpeBendRange,
+            callbacks: { onConfigChanged: updateMpeSelectors }, // Controllers can reconfigure the zone (MCM)
+        });
+        midiInput.setMpeZone(mpeZone);
+    }
+
+    function updateMpeSelectors(config) {
+        uiState.mpeZone = config.memberChannels > 0 ? config.zone : 'off';
+        uiState.mpeBendRange = config.pitchBendRange;
+        const mpeSelect = document.getElementById('midi-mpe-zone');
+        const bendSelect = document.getElementById('midi-mpe-bend');
+        if (mpeSelect) mpeSelect.value = uiState.mpeZone;
+        if (bendSelect && Array.from(bendSelect.options).some(option => option.value === String(config.pitchBendRange))) {
+            bendSelect.value = String(config.pitchBendRange);
+        }
+    }
+
+    // --- MIDI Learn ---
+
+    /** Element that shows a target's learn/mapped state. */
+    function getMidiLearnElement(targetId) {
+        if (targetId.startsWith('xy-')) return document.getElementById('xy-pad');
+        if (targetId.startsWith('visual-')) return document.querySelector('.visualizer-area');
+        const control = document.getElementById(targetId);
+        return control?.closest('.slider-unit, .toggle-unit') || control;
+    }
+
+    function getMidiLearnLabel(targetId) {
+        if (targetId === 'xy-x') return 'XY PAD // X (NOTE)';
+        if (targetId === 'xy-y') return 'XY PAD // Y (FILTER)';
+        if (targetId.startsWith('visual-')) return `VISUAL // ${targetId.replace('visual-', '').replace(/([A-Z])/g, ' $1').toUpperCase()}`;
+        const label = document.querySelector(`label[for="${targetId}"]`);
+        return (label?.textContent || targetId).replace(/[\[\]]/g, '').trim();
+    }
+
+    /** Applies a learned CC value (normalized 0-1) to its target. */
+    function applyMidiLearnValue(targetId, value) {
+        if (targetId.startsWith('slider-')) {
+            const slider = document.getElementById(targetId);
+            if (!slider) return;
+            const min = parseFloat(slider.min); const max = parseFloat(slider.max);
+            slider.value = Math.round(min + value * (max - min));
+            slider.dispatchEvent(new Event('input')); // Reuse the slider's own mapping
+        } else if (targetId.startsWith('toggle-')) {
+            const toggle = document.getElementById(targetId);
+            const isChecked = value >= 0.5;
+            if (!toggle || toggle.checked === isChecked) return;
+            toggle.checked = isChecked;
+            toggle.dispatchEvent(new Event('change'));
+        } else if (targetId === 'xy-x' || targetId === 'xy-y') {
+            if (!applyXYPosition) return;
+            const x = targetId === 'xy-x' ? value : uiState.xyPad.x;
+            const y = targetId === 'xy-y' ? value : uiState.xyPad.y;
+            applyXYPosition(x, y);
+        } else if (targetId.startsWith('visual-')) {
+            const name = targetId.replace('visual-', '');
+            uiState.visualOverrides[name] = value;
+            if (performanceRecorder) performanceRecorder.recordEvent('visual', [name, value]);
+        }
+    }
+
+    function updateMidiLearnIndicators() {
+        document.querySelectorAll('.midi-mapped, .midi-learning').forEach(el => el.classList.remove('midi-mapped', 'midi-learning'));
+        if (!midiLearn) return;
+        midiLearn.getMappings().forEach(({ targetId }) => getMidiLearnElement(targetId)?.classList.add('midi-mapped'));
+        if (midiLearn.learningTarget) getMidiLearnElement(midiLearn.learningTarget)?.classList.add('midi-learning');
+        // Unmapped visual parameters go back to following the sound
+        Object.keys(uiState.visualOverrides).forEach(name => {
+            if (midiLearn.getMapping(`visual-${name}`)) return;
+            delete uiState.visualOverrides[name];
+            if (performanceRecorder) performanceRecorder.recordEvent('visual', [name, null]);
+        });
+    }
+
+    const learnPopover = { element: null, targetId: null };
+
+    function refreshMidiLearnPopover() {
+        const popover = learnPopover.element;
+        if (!popover || popover.hidden || !midiLearn) return;
+        const targetId = learnPopover.targetId;
+        const mapping = midiLearn.getMapping(targetId);
+        const isLearning = midiLearn.learningTarget === targetId;
+
+        document.getElementById('midi-learn-title').textContent = `MIDI LEARN // ${getMidiLearnLabel(targetId)}`;
+        document.getElementById('midi-learn-status').textContent = isLearning
+            ? 'MOVE A CONTROLLER...'
+            : (mapping ? `CC ${mapping.cc} // CH ${mapping.channel}` : 'UNASSIGNED');
+        popover.classList.toggle('learning', isLearning);
+        popover.classList.toggle('mapped', !!mapping);
+        if (mapping) {
+            document.getElementById('midi-learn-min').value = Math.round(mapping.min * 100);
+            document.getElementById('midi-learn-max').value = Math.round(mapping.max * 100);
+            document.getElementById('midi-learn-curve').value = mapping.curve;
+            document.getElementById('midi-learn-invert').checked = mapping.invert;
+        }
+    }
+
+    function selectMidiLearnTarget(targetId) {
+        learnPopover.targetId = targetId;
+        // Unassigned targets start listening straight away
+        if (midiLearn.getMapping(targetId)) midiLearn.cancelLearn();
+        else midiLearn.startLearn(targetId);
+        refreshMidiLearnPopover();
+    }
+
+    function openMidiLearnPopover(targets, clientX, clientY) {
+        const popover = learnPopover.element;
+        if (!popover || !midiLearn || targets.length === 0) return;
+
+        const targetSelect = document.getElementById('midi-learn-target');
+        targetSelect.innerHTML = '';
+        targets.forEach(targetId => {
+            const option = document.createElement('option');
+            option.value = targetId;
+            option.textContent = getMidiLearnLabel(targetId);
+            targetSelect.appendChild(option);
+        });
+        targetSelect.hidden = targets.length < 2;
+
+        popover.hidden = false;
+        // Keep the popover on screen
+        const width = popover.offsetWidth || 220; const height = popover.offsetHeight || 200;
+        popover.style.left = `${Math.max(5, Math.min(window.innerWidth - width - 5, clientX))}px`;
+        popover.style.top = `${Math.max(5, Math.min(window.innerHeight - height - 5, clientY))}px`;
+        selectMidiLearnTarget(targets[0]);
+    }
+
+    function closeMidiLearnPopover() {
+        if (!learnPopover.element || learnPopover.element.hidden) return;
+        learnPopover.element.hidden = true;
+        if (midiLearn) midiLearn.cancelLearn();
+        learnPopover.targetId = null;
+    }
+
+    /**
+     * Opens MIDI learn on right-click or long-press.
+     * @param {HTMLElement} element - Element receiving the gesture.
+     * @param {string[]} targets - Learnable target ids (the first is preselected).
+     * @param {function} [onOpen] - Called before opening (e.g. to end a drag the long-press began).
+     */
+    function attachMidiLearnTrigger(element, targets, onOpen = null) {
+        if (!element) return;
+        element.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            if (onOpen) onOpen();
+            openMidiLearnPopover(targets, e.clientX, e.clientY);
+        });
+
+        let pressTimer = null;
+        let suppressClick = false; // The touch that ended a long-press must not also flip a toggle
+        const cancelPress = () => { clearTimeout(pressTimer); pressTimer = null; };
+        element.addEventListener('click', (e) => {
+            if (!suppressClick) return;
+            suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+        element.addEventListener('touchstart', (e) => {
+            const touch = e.touches?.[0];
+            if (!touch) return;
+            cancelPress();
+            suppressClick = false;
+            pressTimer = setTimeout(() => {
+                pressTimer = null;
+                suppressClick = true;
+                if (onOpen) onOpen();
+                openMidiLearnPopover(targets, touch.clientX, touch.clientY);
+            }, LONG_PRESS_MS);
+        }, { passive: true });
+        element.addEventListener('touchmove', cancelPress, { passive: true });
+        element.addEventListener('touchend', cancelPress);
+        element.addEventListener('touchcancel', cancelPress);
+    }
+
+    function setupMidiLearn() {
+        midiLearn = new MidiLearn({
+            callbacks: {
+                onValue: applyMidiLearnValue,
+                onLearnStateChanged: () => { updateMidiLearnIndicators(); refreshMidiLearnPopover(); },
+                onMappingsChanged: () => { updateMidiLearnIndicators(); refreshMidiLearnPopover(); },
+            }
+        });
+
+        learnPopover.element = document.getElementById('midi-learn-popover');
+        const popover = learnPopover.element;
+        if (popover) {
+            document.getElementById('midi-learn-target')?.addEventListener('change', (e) => selectMidiLearnTarget(e.target.value));
+            // Range / curve / invert apply as soon as they change
+            const updateSettings = () => {
+                if (!learnPopover.targetId) return;
+                const min = parseFloat(document.getElementById('midi-learn-min').value) / 100;
+                const max = parseFloat(document.getElementById('midi-learn-max').value) / 100;
+                midiLearn.updateMapping(learnPopover.targetId, {
+                    min: Number.isFinite(min) ? min : 0,
+                    max: Number.isFinite(max) ? max : 1,
+                    curve: document.getElementById('midi-learn-curve').value,
+                    invert: document.getElementById('midi-learn-invert').checked,
+                });
+            };
+            popover.querySelectorAll('.midi-learn-input').forEach(input => input.addEventListener('change', updateSettings));
+            popover.querySelectorAll('[data-learn-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const action = button.dataset.learnAction;
+                    if (action === 'learn' && learnPopover.targetId) midiLearn.startLearn(learnPopover.targetId);
+                    else if (action === 'clear' && learnPopover.targetId) midiLearn.removeMapping(learnPopover.targetId);
+                    else if (action === 'close') closeMidiLearnPopover();
+                });
+            });
+            document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeMidiLearnPopover(); });
+            document.addEventListener('mousedown', (e) => { if (!popover.contains(e.target)) closeMidiLearnPopover(); });
+        }
+
+        // The visualizer itself exposes the visual parameters
+        attachMidiLearnTrigger(document.querySelector('.visualizer-area'), Object.keys(VISUAL_PARAM_RANGES).map(name => `visual-${name}`));
+        updateMidiLearnIndicators();
+        console.log("MIDI learn setup.");
+    }
+
 
     // --- Audio to Visual Mapping Core Logic ---
 
@@ -740,7 +2147,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                 : 0.0;
 
         // u_rotationSpeed: Base + Mid/High frequencies + Arp rate
-        visuals.rotationSpeed = clamp(0.1 + mid * 0.5 + high * 0.3 + (arp.active ? arp.rate * 0.04 : 0), 0.0, 2.0);
+        // (arp rate may be a tempo-synced division, so ask the sound module for steps per second)
+        const arpStepsPerSecond = arp.active && soundModule ? soundModule.getArpStepsPerSecond() : 0;
+        visuals.rotationSpeed = clamp(0.1 + mid * 0.5 + high * 0.3 + arpStepsPerSecond * 0.04, 0.0, 2.0);
 
         // u_dimension: Base + Bass frequencies + Envelope Release (longer release = higher dimension?)
         visuals.dimension = clamp(3.0 + bass * 0.8 + (envelope.release / 3.0) * 0.5, 3.0, 4.0);
@@ -760,6 +2169,21 @@ document.addEventListener('DOMContentLoaded', () => {
         else if (arp.active) visuals.projectionMethod = 'stereographic'; // Arp often sounds good with stereo
         else visuals.projectionMethod = 'orthographic'; // Default
 
+        // Per-note expression: every held finger adds its own pressure (morph), slide (grid) and bend (spin)
+        const expressions = audioLevels.expressions || [];
+        if (expressions.length > 0) {
+            const total = (key) => expressions.reduce((sum, expression) => sum + Math.abs(expression[key] || 0), 0);
+            visuals.morphFactor = clamp(visuals.morphFactor + total('pressure') * 0.3, 0.0, 1.0);
+            visuals.gridDensity = clamp(visuals.gridDensity + total('slide') * 4.0, 5.0, 20.0);
+            visuals.rotationSpeed = clamp(visuals.rotationSpeed + (total('bend') / 12.0) * 0.5, 0.0, 2.0);
+        }
+
+        // MIDI-learned visual parameters override the sound-driven values
+        Object.entries(uiState.visualOverrides).forEach(([name, value]) => {
+            const range = VISUAL_PARAM_RANGES[name];
+            if (range) visuals[name] = range[0] + value * (range[1] - range[0]);
+        });
+
         // Add other necessary state if HypercubeCore expects it
         visuals.xyPadActive = uiState.xyPad.active ? 1.0 : 0.0; // Pass XY pad state if shader uses it
         visuals.currentNoteFrequency = audioLevels.frequency || 440.0; // Pass last frequency
@@ -787,12 +2211,14 @@ document.addEventListener('DOMContentLoaded', () => {
         audioAnalysisState.mid = levels.mid;
         audioAnalysisState.high = levels.high;
         audioAnalysisState.frequency = levels.frequency; // Store frequency
+        audioAnalysisState.expressions = soundModule.getNoteExpressions();
 
         // 2. Get Current Sound Parameters
         const soundParams = soundModule.audioState.parameters;
 
         // 3. Map Sound State to Visual Parameters (using the adapted mapping)
         const visualParams = mapSoundToVisuals(soundParams, audioAnalysisState);
+        lastVisualParams = visualParams;
 
         // 4. Update Visualizer Core State
         mainVisualizerCore.updateParameters(visualParams);
@@ -817,7 +2243,15 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Cleaning up UI interactions and modules (v1.2)...");
         stopMainLoop();
         if (mainVisualizerCore) mainVisualizerCore.dispose(); // Disposes core + its shader manager
+        if (midiLearn) midiLearn.dispose();
+        if (sessionRecorder) sessionRecorder.dispose();
+        if (performanceRecorder) performanceRecorder.dispose();
+        if (midiClock) midiClock.dispose();
+        if (midiOutput) midiOutput.dispose();
+        if (mpeZone) mpeZone.dispose();
+        if (midiInput) midiInput.dispose();
         if (soundModule) soundModule.dispose();
+        midiLearn = null; sessionRecorder = null; performanceRecorder = null; midiInput = null; midiClock = null; midiOutput = null; mpeZone = null;
         mainVisualizerCore = null; shaderManager = null; geometryManager = null; projectionManager = null; soundModule = null;
         window.mainVisualizerCore = null; // Clear debug globals
         console.log("Cleanup complete.");
@@ -832,17 +2266,28 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!initializeMainVisualizer()) { console.error("Failed visualizer init."); return; }
 
         // Setup UI interactions BEFORE sound init (except preset selector)
+        setupMidiLearn(); // Before the controls so they can register learn triggers
         setupSliderInteractions(); // Setup sliders
         setupXYPadInteraction();
         setupToggleInteractions();
+        setupArpControls();
         setupKeyboardInteractions();
         setupInputSwap(); // Setup swap mechanism
+        setupOctaveControls();
+        setupXYScaleControls();
         setupModuleFocus();
         console.log("UI Interactions Initialized.");
 
         // Initialize sound module (requires user interaction)
         if (await initializeSoundModule()) {
             setupPresetSelector(); // Setup presets now that soundModule exists
+            setupPresetMorph();
+            setupMidiInput(); // Device list arrives asynchronously
+            setupTuningSelector();
+            setupTransportControls();
+            setupRenderExport();
+            setupSessionRecorder();
+            setupPerformanceRecorder();
             mainVisualizerCore.start(); // Start visuals
             startMainLoop(); // Start the loop connecting audio->visuals
         } else {
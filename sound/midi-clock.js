@@ -0,0 +1,303 @@
+/* sound/midi-clock.js */
+
+/**
+ * MIDI clock sync for the Transport, in either direction.
+ *
+ * Receive: listens to a MidiInput's raw messages. Timing clock ticks (0xF8, 24 per
+ * quarter note) set the transport's BPM, and Start/Continue/Stop (0xFA/0xFB/0xFC)
+ * start and stop it, which in turn starts and stops the arpeggiator and restarts
+ * synced LFOs. Song Position Pointer (0xF2) moves the transport, so a following
+ * Continue resumes from the device's position. Tick timestamps jitter by a few milliseconds (USB polling, the
+ * browser's event loop), so the tempo is a least-squares fit over a window of
+ * recent ticks (the jitter of one timestamp no longer lands on two intervals)
+ * and changes smaller than a threshold don't reach the transport.
+ *
+ * Send: emits ticks from the internal transport to a MIDIOutput, scheduled ahead
+ * on the shared LookaheadScheduler with exact timestamps, plus Start/Stop when the
+ * transport starts and stops. Sending that begins while the transport already runs
+ * joins on the next sixteenth with Song Position Pointer + Continue, and sending that
+ * ends while it runs sends Stop, so external gear never plays on without clock.
+ *
+ * Ports are plain objects, so a simulated input (calling handleMessage() with 0xF8)
+ * and a fake output ({ send(data, timestamp) }) are enough to exercise both sides.
+ */
+
+import { audioTimeToPerformanceTime, performanceTimeToAudioTime } from './midi-output.js';
+
+const CLOCK_MESSAGES = {
+    TICK: 0xF8,
+    START: 0xFA,
+    CONTINUE: 0xFB,
+    STOP: 0xFC,
+    SONG_POSITION: 0xF2,
+};
+
+/** Ticks per quarter note (fixed by the MIDI spec). */
+const CLOCK_PPQN = 24;
+/** 'off': internal transport only; 'receive': follow incoming clock; 'send': drive external gear. */
+const CLOCK_MODES = ['off', 'receive', 'send'];
+const CLOCK_TRACK = 'midiClock';
+/** Tick gaps longer than one tick at this tempo mean the clock paused. */
+const MIN_CLOCK_BPM = 20;
+
+class MidiClock {
+    /**
+     * Creates a new MidiClock instance.
+     * @param {Transport} transport - Transport to follow or to send.
+     * @param {object} [options={}] - Configuration options.
+     * @param {LookaheadScheduler} [options.scheduler=null] - Scheduler used to queue outgoing ticks.
+     * @param {string} [options.mode='off'] - 'off', 'receive' or 'send'.
+     * @param {number} [options.smoothingWindow=48] - Number of recent ticks the incoming tempo is fitted over.
+     * @param {number} [options.bpmThreshold=0.25] - Minimum tempo change (BPM) pushed to the transport.
+     * @param {number} [options.driftThreshold=0.05] - Position error (beats) above which the transport is re-anchored on a beat.
+     * @param {object} [options.callbacks={}] - { onTempoChanged(bpm), onModeChanged(mode) }.
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.options = this._mergeDefaults(options);
+        this.mode = 'off';
+        this.output = null;
+        // Receive state
+        this.tickStamps = []; // Timestamps (ms) of the recent ticks
+        this.tickCount = 0;     // Ticks since the last Start/Continue (position)
+        this.isFollowing = false; // Between Start/Continue and Stop
+        this._unsubscribeInput = null;
+        this._unsubscribeTransport = [
+            transport.on('start', ({ time }) => this._onTransportStart(time)),
+            transport.on('stop', ({ time }) => this._onTransportStop(time)),
+        ];
+        this.setMode(this.options.mode);
+    }
+
+    _mergeDefaults(options) {
+        return {
+            scheduler: null,
+            mode: 'off',
+            smoothingWindow: 48,
+            bpmThreshold: 0.25,
+            driftThreshold: 0.05,
+            ...options,
+            callbacks: { onTempoChanged: null, onModeChanged: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    /**
+     * Switches between following external clock, sending clock and neither.
+     * @param {string} mode - 'off', 'receive' or 'send'.
+     */
+    setMode(mode) {
+        if (!CLOCK_MODES.includes(mode)) {
+            console.warn(`MidiClock: Invalid mode '${mode}'.`);
+            return;
+        }
+        if (mode === this.mode) return;
+        if (this.mode === 'send') this._leaveRunningTransport();
+        this.mode = mode;
+        this._resetReceiveState();
+        this.transport.setClockSource(mode === 'receive' ? 'external' : 'internal');
+        if (mode === 'send') this._joinRunningTransport();
+        if (this.options.callbacks.onModeChanged) this.options.callbacks.onModeChanged(mode);
+    }
+
+    // --- Receive ---
+
+    /**
+     * Listens to a MidiInput's raw messages.
+     * @param {object} midiInput - MidiInput instance (anything with addMessageListener()).
+     */
+    connect(midiInput) {
+        this.disconnect();
+        if (midiInput?.addMessageListener) {
+            this._unsubscribeInput = midiInput.addMessageListener((data, timeStamp) => this.handleMessage(data, timeStamp));
+        }
+    }
+
+    disconnect() {
+        if (this._unsubscribeInput) this._unsubscribeInput();
+        this._unsubscribeInput = null;
+    }
+
+    _resetReceiveState() {
+        this.tickStamps = [];
+        this.tickCount = 0;
+        this.isFollowing = false;
+    }
+
+    /**
+     * Handles one raw MIDI message; only clock, transport and song position messages are used, and only in 'receive' mode.
+     * @param {Uint8Array|number[]} data - Raw message bytes.
+     * @param {number} [timeStamp] - DOMHighResTimeStamp (ms) of the message; defaults to now.
+     */
+    handleMessage(data, timeStamp) {
+        if (this.mode !== 'receive' || !data || data.length === 0) return;
+        const stamp = Number.isFinite(timeStamp) && timeStamp > 0 ? timeStamp : MidiClock._now();
+        switch (data[0]) {
+            case CLOCK_MESSAGES.TICK:
+                this._handleTick(stamp);
+                break;
+            case CLOCK_MESSAGES.START:
+                this.tickCount = 0;
+                this.isFollowing = true;
+                this.transport.start();
+                break;
+            case CLOCK_MESSAGES.SONG_POSITION: {
+                if (data.length < 3) break;
+                const sixteenths = (data[2] << 7) | data[1]; // 14-bit, one sixteenth = 6 ticks
+                this.tickCount = sixteenths * (CLOCK_PPQN / 4);
+                this.transport.setPosition(this.tickCount / CLOCK_PPQN);
+                break;
+            }
+            case CLOCK_MESSAGES.CONTINUE:
+                this.tickCount = Math.round(this.transport.getBeatsAtTime(this.transport.audioContext.currentTime) * CLOCK_PPQN);
+                this.isFollowing = true;
+                this.transport.start(undefined, this.tickCount / CLOCK_PPQN);
+                break;
+            case CLOCK_MESSAGES.STOP:
+                this.isFollowing = false;
+                this.transport.stop();
+                break;
+            default:
+                break;
+        }
+    }
+
+    _handleTick(stamp) {
+        const lastStamp = this.tickStamps[this.tickStamps.length - 1];
+        const interval = stamp - lastStamp;
+        // After a pause (or out-of-order stamps), start measuring afresh
+        if (!(interval > 0 && interval < 60000 / (MIN_CLOCK_BPM * CLOCK_PPQN))) this.tickStamps = [];
+        this.tickStamps.push(stamp);
+        if (this.tickStamps.length > this.options.smoothingWindow) this.tickStamps.shift();
+        this._updateTempo();
+
+        if (!this.isFollowing) return;
+        this.tickCount++;
+        if (this.tickCount % CLOCK_PPQN === 0) this._correctDrift(stamp);
+    }
+
+    /**
+     * Tempo from the slope of a least-squares line through the recent tick timestamps.
+     * @returns {number|null} BPM, or null until a few ticks have arrived.
+     */
+    getSmoothedBpm() {
+        const count = this.tickStamps.length;
+        if (count < 3) return null;
+        const meanIndex = (count - 1) / 2;
+        const meanStamp = this.tickStamps.reduce((sum, value) => sum + value, 0) / count;
+        let covariance = 0;
+        let variance = 0;
+        this.tickStamps.forEach((stamp, index) => {
+            covariance += (index - meanIndex) * (stamp - meanStamp);
+            variance += (index - meanIndex) ** 2;
+        });
+        const interval = covariance / variance; // ms per tick
+        return interval > 0 ? 60000 / (interval * CLOCK_PPQN) : null;
+    }
+
+    _updateTempo() {
+        const bpm = this.getSmoothedBpm();
+        if (bpm === null || Math.abs(bpm - this.transport.bpm) < this.options.bpmThreshold) return;
+        const rounded = Math.round(bpm * 100) / 100;
+        this.transport.setBpm(rounded);
+        if (this.options.callbacks.onTempoChanged) this.options.callbacks.onTempoChanged(this.transport.bpm);
+    }
+
+    /**
+     * On each incoming beat, pulls the transport position back to the tick count if it has drifted.
+     * Positions are compared at the tick's own time, so event-loop latency isn't counted as drift.
+     * @param {number} stamp - Timestamp (ms) of the beat's tick.
+     */
+    _correctDrift(stamp) {
+        if (!this.transport.isRunning) return;
+        const tickTime = performanceTimeToAudioTime(this.transport.audioContext, stamp);
+        const expectedBeats = this.tickCount / CLOCK_PPQN;
+        if (Math.abs(this.transport.getBeatsAtTime(tickTime) - expectedBeats) > this.options.driftThreshold) {
+            this.transport.setPosition(expectedBeats, tickTime);
+        }
+    }
+
+    // --- Send ---
+
+    /**
+     * Sets the port that outgoing clock is sent to.
+     * @param {object|null} output - MIDIOutput (anything with send(data, timestamp)), or null.
+     */
+    setOutput(output) {
+        const wasSending = this.mode === 'send';
+        if (wasSending) this._leaveRunningTransport();
+        this.output = output || null;
+        if (wasSending) this._joinRunningTransport();
+    }
+
+    /** Starts sending; if the transport already runs, tells the gear where it is and continues from there. */
+    _joinRunningTransport() {
+        if (!this.transport.isRunning || !this.output) {
+            this._startSending();
+            return;
+        }
+        // Song Position Pointer counts sixteenths (6 ticks), so join on the next one
+        const time = this.transport.getNextGridTime('1/16');
+        const sixteenths = Math.min(0x3FFF, Math.round(this.transport.getBeatsAtTime(time) * 4));
+        this._send([CLOCK_MESSAGES.SONG_POSITION, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F], time);
+        this._send([CLOCK_MESSAGES.CONTINUE], time);
+        this._startSending(time);
+    }
+
+    /** Stops sending; gear that was following the running transport is stopped too. */
+    _leaveRunningTransport() {
+        this._stopSending();
+        if (this.transport.isRunning && this.output) this._send([CLOCK_MESSAGES.STOP], this.transport.audioContext.currentTime);
+    }
+
+    /** Ticks run continuously while sending, so external gear can lock to the tempo before Start. */
+    _startSending(startTime) {
+        const scheduler = this.options.scheduler;
+        if (!scheduler || !this.output) return;
+        scheduler.addTrack(CLOCK_TRACK, {
+            startTime,
+            getStepDuration: () => this.transport.getBeatDuration() / CLOCK_PPQN,
+            onStep: (time) => this._send([CLOCK_MESSAGES.TICK], time),
+        });
+    }
+
+    _stopSending() {
+        this.options.scheduler?.removeTrack(CLOCK_TRACK);
+    }
+
+    _onTransportStart(time) {
+        if (this.mode !== 'send' || !this.output) return;
+        // Start is followed by the first tick of beat one, so restart the tick grid on the start time
+        this._send([CLOCK_MESSAGES.START], time);
+        this._stopSending();
+        this._startSending(time);
+    }
+
+    _onTransportStop(time) {
+        if (this.mode !== 'send' || !this.output) return;
+        this._send([CLOCK_MESSAGES.STOP], time);
+    }
+
+    _send(data, time) {
+        try {
+            this.output.send(data, audioTimeToPerformanceTime(this.transport.audioContext, time));
+        } catch (e) {
+            console.error("MidiClock: Could not send clock message:", e);
+        }
+    }
+
+    static _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    /** Stops sending, stops listening and hands the transport back to its internal clock. */
+    dispose() {
+        this.setMode('off');
+        this.disconnect();
+        this._unsubscribeTransport.forEach(unsubscribe => unsubscribe());
+        this._unsubscribeTransport = [];
+        this.output = null;
+    }
+}
+
+export { MidiClock, CLOCK_MESSAGES, CLOCK_PPQN, CLOCK_MODES };
+export default MidiClock;
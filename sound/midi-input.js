@@ -0,0 +1,310 @@
+/* sound/midi-input.js */
+
+/**
+ * Web MIDI input layer for SoundModule. Listens to one input port (or all of
+ * them) and routes note on/off with velocity, pitch bend, mod wheel (CC 1),
+ * sustain pedal (CC 64), channel aftertouch and polyphonic key pressure into the
+ * sound module.
+ *
+ * The MIDIAccess object can be injected (`options.midiAccess`), so the class can
+ * be driven by a fake access object without hardware or browser support:
+ *   { inputs: Map<id, { id, name, manufacturer, state, onmidimessage }>,
+ *     outputs: Map<id, { id, name, manufacturer, state, send(data, timestamp) }>, onstatechange }
+ * Other MIDI features (learn, clock) subscribe through addMessageListener()
+ * instead of taking over the ports' onmidimessage handlers; a listener can
+ * consume a message (e.g. a CC bound by MIDI learn) so it isn't also routed
+ * into the sound module. An MPE zone
+ * (see mpe-zone.js) can be attached to take over its member channels.
+ */
+
+import { midiToNoteName, noteNameToMidi } from './notes.js';
+
+// Channel voice message types (high nibble of the status byte)
+const MIDI_STATUS = {
+    NOTE_OFF: 0x80,
+    NOTE_ON: 0x90,
+    POLY_PRESSURE: 0xA0,
+    CONTROL_CHANGE: 0xB0,
+    CHANNEL_PRESSURE: 0xD0,
+    PITCH_BEND: 0xE0,
+};
+
+const MIDI_CC = {
+    MOD_WHEEL: 1,
+    SUSTAIN: 64,
+    ALL_SOUND_OFF: 120,
+    ALL_NOTES_OFF: 123,
+};
+
+/** Pseudo input id that listens to every connected port. */
+const ALL_INPUTS = 'all';
+
+class MidiInput {
+    /**
+     * Creates a new MidiInput instance.
+     * @param {object} soundModule - SoundModule receiving the notes and controllers.
+     * @param {object} [options={}] - Configuration options.
+     * @param {object} [options.midiAccess=null] - MIDIAccess to use instead of requesting one (e.g. a fake for tests).
+     * @param {number|null} [options.channel=null] - Listen to one channel (1-16), or null for all (omni).
+     * @param {object} [options.callbacks={}] - { onDevicesChanged(inputs, outputs), onNote(note, velocity, isOn) }.
+     */
+    constructor(soundModule, options = {}) {
+        this.soundModule = soundModule;
+        this.options = this._mergeDefaults(options);
+        this.midiAccess = null;
+        this.selectedInputId = null;
+        /** Notes currently held on the MIDI side, so switching devices can release them. */
+        this.activeNotes = new Set();
+        this.messageListeners = new Set();
+        /** MpeZone handling per-note expression channels, or null when MPE is off. */
+        this.mpeZone = null;
+        this._handleMidiMessage = (event) => this.handleMessage(event.data, event.timeStamp);
+    }
+
+    _mergeDefaults(options) {
+        return {
+            midiAccess: null,
+            channel: null,
+            ...options,
+            callbacks: { onDevicesChanged: null, onNote: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    /** True if the browser exposes the Web MIDI API. */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Converts a MIDI note number to SoundModule's note name (60 -> 'C4').
+     * @param {number} noteNumber - MIDI note number 0-127.
+     */
+    static midiNoteToName(noteNumber) {
+        return midiToNoteName(noteNumber);
+    }
+
+    /**
+     * Converts one of SoundModule's note names to a MIDI note number ('C4' -> 60).
+     * @param {string} name - Note name, e.g. 'C#4' or 'Db4'.
+     * @returns {number|null} Note number, or null if the name is invalid.
+     */
+    static noteNameToMidi(name) {
+        return noteNameToMidi(name);
+    }
+
+    /**
+     * Obtains MIDI access (unless one was injected) and starts listening to all inputs.
+     * @returns {Promise<boolean>} True if MIDI is available.
+     */
+    async init() {
+        try {
+            this.midiAccess = this.options.midiAccess || (MidiInput.isSupported() ? await navigator.requestMIDIAccess() : null);
+        } catch (e) {
+            console.warn("MidiInput: MIDI access denied or unavailable:", e);
+            this.midiAccess = null;
+        }
+        if (!this.midiAccess) return false;
+
+        this.midiAccess.onstatechange = () => {
+            // Re-attach so newly connected ports are heard when listening to all inputs
+            this._attach();
+            this._notifyDevicesChanged();
+        };
+        this.selectInput(this.selectedInputId ?? ALL_INPUTS);
+        this._notifyDevicesChanged();
+        return true;
+    }
+
+    /** Returns the available input ports as { id, name, manufacturer, state }. */
+    getInputs() {
+        if (!this.midiAccess) return [];
+        return Array.from(this.midiAccess.inputs.values()).map(input => ({
+            id: input.id,
+            name: input.name || 'MIDI Input',
+            manufacturer: input.manufacturer || '',
+            state: input.state || 'connected',
+        }));
+    }
+
+    /** Returns the available output ports as { id, name, manufacturer, state } (for clock/note output). */
+    getOutputs() {
+        if (!this.midiAccess?.outputs) return [];
+        return Array.from(this.midiAccess.outputs.values()).map(output => ({
+            id: output.id,
+            name: output.name || 'MIDI Output',
+            manufacturer: output.manufacturer || '',
+            state: output.state || 'connected',
+        }));
+    }
+
+    /** Returns the MIDIOutput port with the given id, or null. */
+    getOutputPort(outputId) {
+        return this.midiAccess?.outputs?.get(outputId) || null;
+    }
+
+    /**
+     * Chooses which port to listen to. Notes held on the previous port are released.
+     * @param {string|null} inputId - Port id, 'all' for every port, or null to stop listening.
+     */
+    selectInput(inputId) {
+        if (inputId !== this.selectedInputId) this.releaseAllNotes();
+        this.selectedInputId = inputId;
+        this._attach();
+    }
+
+    /** @param {number|null} channel - 1-16, or null for omni. */
+    setChannel(channel) {
+        const parsed = Math.round(Number(channel));
+        this.options.channel = channel === null || !(parsed >= 1 && parsed <= 16) ? null : parsed;
+    }
+
+    /**
+     * Turns MPE on (member channels go to the zone, bypassing the channel filter) or off.
+     * @param {MpeZone|null} zone - Zone to hand member channel messages to, or null.
+     */
+    setMpeZone(zone) {
+        if (zone === this.mpeZone) return;
+        if (this.mpeZone) this.mpeZone.releaseAllNotes();
+        this.mpeZone = zone || null;
+    }
+
+    _attach() {
+        if (!this.midiAccess) return;
+        this.midiAccess.inputs.forEach(input => {
+            const listening = this.selectedInputId === ALL_INPUTS || input.id === this.selectedInputId;
+            if (listening) {
+                input.onmidimessage = this._handleMidiMessage;
+            } else if (input.onmidimessage === this._handleMidiMessage) {
+                input.onmidimessage = null;
+            }
+        });
+    }
+
+    _notifyDevicesChanged() {
+        if (this.options.callbacks.onDevicesChanged) {
+            this.options.callbacks.onDevicesChanged(this.getInputs(), this.getOutputs());
+        }
+    }
+
+    /**
+     * Subscribes to every raw message from the selected port(s), before channel filtering.
+     * @param {function(Uint8Array|number[], number): (boolean|void)} listener - Receives (data, timeStamp);
+     *   returning true consumes the message, so the built-in handling (notes, CC 1/64, ...) skips it.
+     * @returns {function(): void} Unsubscribe function.
+     */
+    addMessageListener(listener) {
+        this.messageListeners.add(listener);
+        return () => this.messageListeners.delete(listener);
+    }
+
+    /**
+     * Handles one MIDI message. Public so tests (and other sources) can inject messages directly.
+     * @param {Uint8Array|number[]} data - Raw message bytes.
+     * @param {number} [timeStamp] - DOMHighResTimeStamp of the message.
+     */
+    handleMessage(data, timeStamp = 0) {
+        if (!data || data.length === 0) return;
+        let consumed = false;
+        this.messageListeners.forEach(listener => {
+            try {
+                if (listener(data, timeStamp) === true) consumed = true;
+            } catch (e) {
+                console.error("MidiInput: Error in message listener:", e);
+            }
+        });
+        if (consumed) return;
+
+        const status = data[0];
+        if (status >= 0xF0) return; // System messages (clock, sysex) are left to the listeners
+        const type = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+        if (this.mpeZone && this.mpeZone.handleChannelMessage(type, channel, data)) return;
+        if (this.options.channel !== null && channel !== this.options.channel) return;
+
+        switch (type) {
+            case MIDI_STATUS.NOTE_ON:
+                // Note on with velocity 0 is a note off (running status)
+                if (data[2] > 0) this._noteOn(data[1], data[2]);
+                else this._noteOff(data[1]);
+                break;
+            case MIDI_STATUS.NOTE_OFF:
+                this._noteOff(data[1]);
+                break;
+            case MIDI_STATUS.PITCH_BEND: {
+                const value = (data[2] << 7) | data[1]; // 14-bit, centre 8192
+                this.soundModule.setPitchBend(Math.max(-1, (value - 8192) / 8191));
+                break;
+            }
+            case MIDI_STATUS.CONTROL_CHANGE:
+                this._controlChange(data[1], data[2]);
+                break;
+            case MIDI_STATUS.CHANNEL_PRESSURE:
+                this.soundModule.setAftertouch(data[1] / 127);
+                break;
+            case MIDI_STATUS.POLY_PRESSURE: {
+                const note = MidiInput.midiNoteToName(data[1]);
+                if (this.activeNotes.has(note)) this.soundModule.setPolyPressure(note, data[2] / 127);
+                break;
+            }
+            default:
+                break; // Program change etc. are not routed
+        }
+    }
+
+    _noteOn(noteNumber, velocity) {
+        const note = MidiInput.midiNoteToName(noteNumber);
+        this.activeNotes.add(note);
+        this.soundModule.startNote(note, velocity / 127);
+        if (this.options.callbacks.onNote) this.options.callbacks.onNote(note, velocity / 127, true);
+    }
+
+    _noteOff(noteNumber) {
+        const note = MidiInput.midiNoteToName(noteNumber);
+        if (!this.activeNotes.delete(note)) return;
+        this.soundModule.stopNote(note);
+        if (this.options.callbacks.onNote) this.options.callbacks.onNote(note, 0, false);
+    }
+
+    _controlChange(controller, value) {
+        switch (controller) {
+            case MIDI_CC.MOD_WHEEL:
+                this.soundModule.setModWheel(value / 127);
+                break;
+            case MIDI_CC.SUSTAIN:
+                this.soundModule.setSustainPedal(value >= 64);
+                break;
+            case MIDI_CC.ALL_SOUND_OFF:
+            case MIDI_CC.ALL_NOTES_OFF:
+                this.releaseAllNotes();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /** Releases every note held from MIDI and resets the controllers. */
+    releaseAllNotes() {
+        this.activeNotes.forEach(note => {
+            this.soundModule.stopNote(note);
+            if (this.options.callbacks.onNote) this.options.callbacks.onNote(note, 0, false);
+        });
+        this.activeNotes.clear();
+        if (this.mpeZone) this.mpeZone.releaseAllNotes();
+        this.soundModule.setSustainPedal(false);
+        this.soundModule.setPitchBend(0);
+        this.soundModule.setAftertouch(0);
+    }
+
+    /** Stops listening and releases held notes. */
+    dispose() {
+        this.releaseAllNotes();
+        this.selectedInputId = null;
+        this._attach();
+        if (this.midiAccess) this.midiAccess.onstatechange = null;
+        this.messageListeners.clear();
+        this.midiAccess = null;
+    }
+}
+
+export { MidiInput, MIDI_STATUS, MIDI_CC, ALL_INPUTS };
+export default MidiInput;
@@ -0,0 +1,209 @@
+/* sound/midi-output.js */
+
+/**
+ * Mirrors everything SoundModule plays to a MIDI output port as note messages:
+ * sustained keyboard/MIDI notes as well as each generated arpeggiator step, so
+ * the arpeggiator can drive external synths.
+ *
+ * Notes come from SoundModule.addNoteListener() with AudioContext times, and are
+ * sent with matching performance.now() timestamps, so arp steps that were queued
+ * ahead by the lookahead scheduler reach the port sample-accurately. Those steps
+ * can't be taken back once sent, so when the arp stops, every step still ahead or
+ * sounding gets a note-off now (or right at its note-on, if that is still queued).
+ *
+ * The port is a plain object ({ send(data, timestamp) }), so a fake output is
+ * enough to test the class without hardware.
+ */
+
+import MidiInput from './midi-input.js';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const ALL_NOTES_OFF_CC = 123;
+
+/**
+ * Converts an AudioContext time to the performance.now() timeline that MIDIOutput.send() expects.
+ * @param {BaseAudioContext} audioContext - Context the time belongs to.
+ * @param {number} time - AudioContext time in seconds.
+ * @returns {number} DOMHighResTimeStamp in milliseconds.
+ */
+function audioTimeToPerformanceTime(audioContext, time) {
+    const stamp = typeof audioContext.getOutputTimestamp === 'function' ? audioContext.getOutputTimestamp() : null;
+    if (stamp && Number.isFinite(stamp.contextTime) && Number.isFinite(stamp.performanceTime)) {
+        return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    }
+    const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
+    return now + (time - audioContext.currentTime) * 1000;
+}
+
+/**
+ * Converts a performance.now() timestamp (e.g. a MIDIMessageEvent's timeStamp) to AudioContext time.
+ * @param {BaseAudioContext} audioContext - Context to map onto.
+ * @param {number} timeStamp - DOMHighResTimeStamp in milliseconds.
+ * @returns {number} AudioContext time in seconds.
+ */
+function performanceTimeToAudioTime(audioContext, timeStamp) {
+    const stamp = typeof audioContext.getOutputTimestamp === 'function' ? audioContext.getOutputTimestamp() : null;
+    if (stamp && Number.isFinite(stamp.contextTime) && Number.isFinite(stamp.performanceTime)) {
+        return stamp.contextTime + (timeStamp - stamp.performanceTime) / 1000;
+    }
+    const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
+    return audioContext.currentTime + (timeStamp - now) / 1000;
+}
+
+class MidiOutput {
+    /**
+     * Creates a new MidiOutput instance.
+     * @param {object} soundModule - SoundModule whose notes are mirrored.
+     * @param {object} [options={}] - Configuration options.
+     * @param {object|null} [options.output=null] - MIDIOutput port (anything with send(data, timestamp)).
+     * @param {number|null} [options.channel=null] - Channel 1-16 to send on, or null to send nothing.
+     */
+    constructor(soundModule, options = {}) {
+        this.soundModule = soundModule;
+        this.options = this._mergeDefaults(options);
+        this.output = null;
+        this.channel = null;
+        /** Note-ons sent without their note-off yet, per note number, so notes never hang on a port switch. */
+        this.soundingNotes = new Map();
+        /** Arp steps sent ahead: { noteNumber, onTime, offTime } in AudioContext seconds, until they end. */
+        this.arpNotes = [];
+        this._unsubscribe = soundModule.addNoteListener((event) => this.handleNoteEvent(event));
+        this.setOutput(this.options.output);
+        this.setChannel(this.options.channel);
+    }
+
+    _mergeDefaults(options) {
+        return {
+            output: null,
+            channel: null,
+            ...options
+        };
+    }
+
+    /**
+     * Chooses the port notes are sent to. Notes still sounding on the previous port are released.
+     * @param {object|null} output - MIDIOutput port, or null.
+     */
+    setOutput(output) {
+        if (output === this.output) return;
+        this.releaseAllNotes();
+        this.output = output || null;
+    }
+
+    /**
+     * Chooses the channel notes are sent on.
+     * @param {number|null} channel - 1-16, or null to stop mirroring notes.
+     */
+    setChannel(channel) {
+        const parsed = Math.round(Number(channel));
+        const newChannel = channel === null || !(parsed >= 1 && parsed <= 16) ? null : parsed;
+        if (newChannel === this.channel) return;
+        this.releaseAllNotes();
+        this.channel = newChannel;
+    }
+
+    /** True when notes are being mirrored (a port and a channel are both set). */
+    isActive() {
+        return !!this.output && this.channel !== null;
+    }
+
+    /**
+     * Sends one SoundModule note event.
+     * @param {object} event - { type: 'noteOn'|'noteOff'|'arpStop', note, offset, velocity (0-1), time, isArp }.
+     */
+    handleNoteEvent(event) {
+        if (!this.isActive() || !event) return;
+        if (event.type === 'arpStop') {
+            this._releaseArpNotes(event.time);
+            return;
+        }
+        const baseNumber = MidiInput.noteNameToMidi(event.note);
+        if (baseNumber === null) return;
+        const noteNumber = baseNumber + Math.round(Number(event.offset) || 0);
+        if (noteNumber < 0 || noteNumber > 127) return; // Outside the MIDI range
+
+        const timestamp = this._toTimestamp(event.time);
+        if (event.isArp) this._trackArpNote(event, noteNumber);
+        if (event.type === 'noteOn') {
+            const velocity = Math.max(1, Math.min(127, Math.round((Number(event.velocity) || 0) * 127)));
+            this._send([NOTE_ON | (this.channel - 1), noteNumber, velocity], timestamp);
+            this.soundingNotes.set(noteNumber, (this.soundingNotes.get(noteNumber) || 0) + 1);
+        } else if (event.type === 'noteOff') {
+            const count = this.soundingNotes.get(noteNumber) || 0;
+            if (count === 0) return; // Its note-on went to another port or channel
+            this._send([NOTE_OFF | (this.channel - 1), noteNumber, 0], timestamp);
+            if (count > 1) this.soundingNotes.set(noteNumber, count - 1);
+            else this.soundingNotes.delete(noteNumber);
+        }
+    }
+
+    /** Sends note-offs for every note still sounding or queued, followed by All Notes Off. */
+    releaseAllNotes() {
+        if (!this.output || this.channel === null) {
+            this.soundingNotes.clear();
+            this.arpNotes = [];
+            return;
+        }
+        const status = this.channel - 1;
+        this._releaseArpNotes();
+        this.soundingNotes.forEach((count, noteNumber) => this._send([NOTE_OFF | status, noteNumber, 0], 0));
+        this.soundingNotes.clear();
+        this._send([CONTROL_CHANGE | status, ALL_NOTES_OFF_CC, 0], 0);
+    }
+
+    /** Remembers arp steps until their announced note-off has passed. */
+    _trackArpNote(event, noteNumber) {
+        const now = this.soundModule.audioState?.audioContext?.currentTime ?? 0;
+        this.arpNotes = this.arpNotes.filter(step => step.offTime === null || step.offTime > now);
+        if (event.type === 'noteOn') {
+            this.arpNotes.push({ noteNumber, onTime: event.time, offTime: null });
+        } else {
+            const step = this.arpNotes.find(other => other.noteNumber === noteNumber && other.offTime === null);
+            if (step) step.offTime = event.time;
+        }
+    }
+
+    /**
+     * Ends arp steps that were sent ahead: sounding ones now, queued ones right at their note-on.
+     * Their original note-offs still arrive later, which is harmless.
+     * @param {number} [time] - AudioContext time the arp stopped (defaults to now).
+     */
+    _releaseArpNotes(time) {
+        const ac = this.soundModule.audioState?.audioContext;
+        const stopTime = Number.isFinite(time) ? time : (ac?.currentTime ?? 0);
+        const status = this.channel - 1;
+        this.arpNotes
+            .filter(step => step.offTime === null || step.offTime > stopTime)
+            .forEach(step => {
+                const timestamp = step.onTime > stopTime ? this._toTimestamp(step.onTime) : 0;
+                this._send([NOTE_OFF | status, step.noteNumber, 0], timestamp);
+            });
+        this.arpNotes = [];
+    }
+
+    _toTimestamp(time) {
+        const ac = this.soundModule.audioState?.audioContext;
+        return ac && Number.isFinite(time) ? audioTimeToPerformanceTime(ac, time) : 0; // 0 = send now
+    }
+
+    _send(data, timestamp) {
+        try {
+            this.output.send(data, timestamp);
+        } catch (e) {
+            console.error("MidiOutput: Could not send note message:", e);
+        }
+    }
+
+    /** Releases sounding notes and stops listening to the sound module. */
+    dispose() {
+        this.releaseAllNotes();
+        if (this._unsubscribe) this._unsubscribe();
+        this._unsubscribe = null;
+        this.output = null;
+    }
+}
+
+export { MidiOutput, audioTimeToPerformanceTime, performanceTimeToAudioTime };
+export default MidiOutput;
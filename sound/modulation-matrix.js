@@ -0,0 +1,368 @@
+/* sound/modulation-matrix.js */
+
+/**
+ * Low-frequency oscillators and the modulation matrix that routes them onto
+ * SoundModule's audio parameters. Everything runs on the audio clock: LFOs are
+ * audio nodes and each route is a GainNode (depth) connected straight into the
+ * target AudioParam(s), so modulation keeps running even if the UI thread stalls.
+ *
+ * Route targets use the same parameter paths as SoundModule.setParameter().
+ *
+ * Most sources are single nodes shared by every voice (LFOs, mod wheel). Voice
+ * sources (e.g. polyphonic pressure) exist once per voice instead: each voice
+ * brings its own node in `voice.modSources`, and a route from such a source gets
+ * a depth gain per voice, so it only ever reaches that voice's parameters.
+ */
+
+import Transport from './transport.js';
+
+/**
+ * Supported modulation targets.
+ * scope 'voice' targets exist once per voice (connected as voices start/stop),
+ * scope 'global' targets are the persistent bus/effect nodes.
+ * range is the modulation depth at amount = 1.0, in the target param's units.
+ */
+const MODULATION_TARGETS = {
+    'oscillator.detune':  { scope: 'voice',  range: 1200 }, // Cents (+/- 1 octave)
+    'filter.frequency':   { scope: 'voice',  range: 4800 }, // Cents on filter.detune (+/- 4 octaves)
+    'filter.Q':           { scope: 'voice',  range: 20 },
+    'oscillator.gain':    { scope: 'global', range: 1.0 },  // Voice bus gain (tremolo)
+    'effects.delay.time': { scope: 'global', range: 0.25 }, // Seconds
+    'effects.reverb.wet': { scope: 'global', range: 1.0 },
+};
+
+const LFO_SHAPES = ['sine', 'triangle', 'square', 'sawtooth', 'sampleHold'];
+const SAMPLE_HOLD_STEPS = 64;
+const SAMPLE_HOLD_STEP_SAMPLES = 128;
+
+class ModulationMatrix {
+    /**
+     * Creates a new ModulationMatrix instance.
+     * @param {BaseAudioContext} audioContext - Context to build the LFO nodes in.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.lfoCount=3] - Number of LFOs (exposed as sources 'lfo1'...'lfoN').
+     * @param {number} [options.bpm=120] - Tempo used by synced LFO rates.
+     * @param {Object.<string, AudioParam>} [options.globalTargets={}] - AudioParams for the 'global' targets, keyed by path.
+     * @param {function(): number} [options.random=Math.random] - Random number source for sample & hold steps.
+     */
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.options = this._mergeDefaults(options);
+        /** @type {Object.<string, AudioNode>} Modulation source outputs, keyed by name. */
+        this.sources = {};
+        /** Names of sources every voice provides itself (voice.modSources[name]). */
+        this.voiceSources = new Set();
+        this.lfos = [];
+        this.routes = [];
+        this.voices = new Set();
+        this._initLfos();
+    }
+
+    _mergeDefaults(options) {
+        return {
+            lfoCount: 3,
+            bpm: 120,
+            globalTargets: {},
+            random: Math.random,
+            ...options
+        };
+    }
+
+    /** Builds the LFO output nodes and registers them as 'lfo1'...'lfoN'. */
+    _initLfos() {
+        for (let i = 0; i < this.options.lfoCount; i++) {
+            const output = this.audioContext.createGain(); // Stable output; the source behind it can be swapped
+            const lfo = { output, source: null, settings: { shape: 'sine', rate: 1.0, sync: false, division: '1/4' } };
+            this.lfos.push(lfo);
+            this._buildLfoSource(lfo);
+            this.registerSource(`lfo${i + 1}`, output);
+        }
+    }
+
+    /**
+     * Registers an additional modulation source (e.g. mod wheel, aftertouch).
+     * @param {string} name - Source name used in routes.
+     * @param {AudioNode} node - Node whose output is the modulation signal (nominally -1 to 1).
+     */
+    registerSource(name, node) {
+        if (this.sources[name]) {
+            console.warn(`ModulationMatrix: Overwriting existing source '${name}'.`);
+        }
+        this.sources[name] = node;
+    }
+
+    /**
+     * Registers a per-voice modulation source (e.g. polyphonic pressure). Voices carry the node
+     * as voice.modSources[name]; routes from it can only target 'voice' scope parameters.
+     * @param {string} name - Source name used in routes.
+     */
+    registerVoiceSource(name) {
+        if (this.sources[name]) {
+            console.warn(`ModulationMatrix: '${name}' is already a shared source.`);
+            return;
+        }
+        this.voiceSources.add(name);
+    }
+
+    /** Returns the names of all registered sources. */
+    getSourceNames() {
+        return [...Object.keys(this.sources), ...this.voiceSources];
+    }
+
+    /** Returns the names of all supported targets. */
+    getTargetNames() {
+        return Object.keys(MODULATION_TARGETS);
+    }
+
+    // --- LFOs ---
+
+    _buildLfoSource(lfo) {
+        const ac = this.audioContext;
+        if (lfo.source) {
+            try { lfo.source.stop(); } catch(e) { /* Not started */ }
+            try { lfo.source.disconnect(); } catch(e) {}
+        }
+
+        if (lfo.settings.shape === 'sampleHold') {
+            // Looped buffer of random steps; playbackRate sets how often a new value is picked
+            const length = SAMPLE_HOLD_STEPS * SAMPLE_HOLD_STEP_SAMPLES;
+            const buffer = ac.createBuffer(1, length, ac.sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let step = 0; step < SAMPLE_HOLD_STEPS; step++) {
+                const value = this.options.random() * 2 - 1;
+                data.fill(value, step * SAMPLE_HOLD_STEP_SAMPLES, (step + 1) * SAMPLE_HOLD_STEP_SAMPLES);
+            }
+            const source = ac.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+            lfo.source = source;
+        } else {
+            const source = ac.createOscillator();
+            source.type = lfo.settings.shape;
+            lfo.source = source;
+        }
+        this._applyLfoRate(lfo, ac.currentTime);
+        lfo.source.connect(lfo.output);
+        lfo.source.start();
+    }
+
+    _applyLfoRate(lfo, time) {
+        const rateHz = this._getLfoRateHz(lfo.settings);
+        if (lfo.settings.shape === 'sampleHold') {
+            // One buffer step per LFO cycle
+            const playbackRate = rateHz * SAMPLE_HOLD_STEP_SAMPLES / this.audioContext.sampleRate;
+            lfo.source.playbackRate.setValueAtTime(playbackRate, time);
+        } else {
+            lfo.source.frequency.setValueAtTime(rateHz, time);
+        }
+    }
+
+    /**
+     * Free LFOs use `rate` in Hz; synced LFOs complete one cycle per note `division` at the current tempo.
+     * A division string as `rate` (e.g. '1/8d') also syncs the LFO.
+     */
+    _getLfoRateHz(settings) {
+        const division = settings.sync ? settings.division : (Transport.isDivision(settings.rate) ? settings.rate : null);
+        if (division) {
+            const beats = ModulationMatrix.divisionToBeats(division);
+            if (beats) return (this.options.bpm / 60) / beats;
+        }
+        return Math.max(0.01, Math.min(50, Number(settings.rate) || 1.0));
+    }
+
+    /**
+     * Converts a note division ('1/4', '1/8d' dotted, '1/16t' triplet) to a length in beats (quarter notes).
+     * @param {string} division - Note division.
+     * @returns {number|null} Length in beats, or null if the division is invalid.
+     */
+    static divisionToBeats(division) {
+        return Transport.divisionToBeats(division);
+    }
+
+    /**
+     * Updates one LFO's settings. Changing to or from sample-and-hold rebuilds its source node.
+     * @param {number} index - LFO index (0-based).
+     * @param {object} settings - { shape, rate, sync, division } (partial allowed).
+     */
+    setLfo(index, settings = {}) {
+        const lfo = this.lfos[index];
+        if (!lfo) { console.warn(`ModulationMatrix: No LFO at index ${index}.`); return; }
+        if (settings.shape !== undefined && !LFO_SHAPES.includes(settings.shape)) {
+            console.warn(`ModulationMatrix: Invalid LFO shape '${settings.shape}'.`);
+            settings = { ...settings, shape: lfo.settings.shape };
+        }
+        const previousShape = lfo.settings.shape;
+        lfo.settings = { ...lfo.settings, ...settings };
+
+        const needsRebuild = previousShape !== lfo.settings.shape &&
+            (previousShape === 'sampleHold' || lfo.settings.shape === 'sampleHold');
+        if (needsRebuild) {
+            this._buildLfoSource(lfo);
+        } else {
+            if (previousShape !== lfo.settings.shape) lfo.source.type = lfo.settings.shape;
+            this._applyLfoRate(lfo, this.audioContext.currentTime);
+        }
+    }
+
+    /**
+     * Restarts the tempo-synced LFOs from the start of their cycle (e.g. when the transport starts),
+     * so they line up with the beat.
+     */
+    restartSyncedLfos() {
+        this.lfos.forEach(lfo => {
+            if (lfo.settings.sync || Transport.isDivision(lfo.settings.rate)) this._buildLfoSource(lfo);
+        });
+    }
+
+    /** Changes the tempo used by synced LFOs. */
+    setTempo(bpm) {
+        this.options.bpm = Math.max(1, Number(bpm) || 120);
+        const now = this.audioContext.currentTime;
+        this.lfos.forEach(lfo => {
+            if (lfo.settings.sync || Transport.isDivision(lfo.settings.rate)) this._applyLfoRate(lfo, now);
+        });
+    }
+
+    // --- Routes ---
+
+    /**
+     * Replaces every route. Invalid routes (unknown source/target) are skipped with a warning.
+     * @param {object[]} routes - Array of { source: 'lfo1', target: 'filter.frequency', amount: -1..1 }.
+     */
+    setRoutes(routes = []) {
+        this.routes.forEach(route => this._disconnectRoute(route));
+        this.routes = [];
+        routes.forEach((routeDef, index) => {
+            const route = this._createRoute({ ...routeDef, index });
+            if (route) this.routes.push(route);
+        });
+    }
+
+    /** Updates the depth of an existing route (by its position in the routes array) without rebuilding connections. */
+    setRouteAmount(index, amount) {
+        const route = this.routes.find(r => r.index === index);
+        if (!route) return;
+        const depth = this._scaleAmount(route.target, amount);
+        const now = this.audioContext.currentTime;
+        if (route.voiceGains) {
+            route.depth = depth;
+            route.voiceGains.forEach(gain => gain.gain.setTargetAtTime(depth, now, 0.01));
+        } else {
+            route.gain.gain.setTargetAtTime(depth, now, 0.01);
+        }
+    }
+
+    _scaleAmount(target, amount) {
+        const clamped = Math.max(-1, Math.min(1, Number(amount) || 0));
+        return clamped * MODULATION_TARGETS[target].range;
+    }
+
+    _createRoute(routeDef) {
+        const index = routeDef.index;
+        const { source, target, amount } = routeDef;
+        if (!this.sources[source] && !this.voiceSources.has(source)) {
+            console.warn(`ModulationMatrix: Unknown modulation source '${source}'.`);
+            return null;
+        }
+        if (!MODULATION_TARGETS[target]) {
+            console.warn(`ModulationMatrix: Unknown modulation target '${target}'.`);
+            return null;
+        }
+        if (this.voiceSources.has(source)) {
+            if (MODULATION_TARGETS[target].scope !== 'voice') {
+                console.warn(`ModulationMatrix: Per-voice source '${source}' can't modulate global target '${target}'.`);
+                return null;
+            }
+            // Depth gains are built per voice as voices connect
+            const route = { index, source, target, depth: this._scaleAmount(target, amount), voiceGains: new Map() };
+            this.voices.forEach(voice => this._connectRouteToVoice(route, voice));
+            return route;
+        }
+        const gain = this.audioContext.createGain();
+        gain.gain.value = this._scaleAmount(target, amount);
+        this.sources[source].connect(gain);
+
+        const route = { index, source, target, gain };
+        if (MODULATION_TARGETS[target].scope === 'global') {
+            const param = this.options.globalTargets[target];
+            if (param) gain.connect(param);
+        } else {
+            this.voices.forEach(voice => this._connectRouteToVoice(route, voice));
+        }
+        return route;
+    }
+
+    _disconnectRoute(route) {
+        if (route.voiceGains) {
+            route.voiceGains.forEach(gain => { try { gain.disconnect(); } catch(e) {} });
+            route.voiceGains.clear();
+            return;
+        }
+        try { this.sources[route.source]?.disconnect(route.gain); } catch(e) { /* Not connected */ }
+        try { route.gain.disconnect(); } catch(e) {}
+    }
+
+    _connectRouteToVoice(route, voice) {
+        const params = voice.modTargets?.[route.target] || [];
+        if (!route.voiceGains) {
+            params.forEach(param => route.gain.connect(param));
+            return;
+        }
+        const sourceNode = voice.modSources?.[route.source];
+        if (!sourceNode || params.length === 0) return;
+        const gain = this.audioContext.createGain();
+        gain.gain.value = route.depth;
+        sourceNode.connect(gain);
+        params.forEach(param => gain.connect(param));
+        route.voiceGains.set(voice, gain);
+    }
+
+    // --- Voices ---
+
+    /**
+     * Connects per-voice routes to a new voice.
+     * @param {object} voice - Voice with a `modTargets` map of target path -> AudioParam[].
+     */
+    connectVoice(voice) {
+        this.voices.add(voice);
+        this.routes
+            .filter(route => MODULATION_TARGETS[route.target].scope === 'voice')
+            .forEach(route => this._connectRouteToVoice(route, voice));
+    }
+
+    /** Disconnects a finished voice from every route. */
+    disconnectVoice(voice) {
+        if (!this.voices.delete(voice)) return;
+        this.routes
+            .filter(route => MODULATION_TARGETS[route.target].scope === 'voice')
+            .forEach(route => {
+                if (route.voiceGains) {
+                    const gain = route.voiceGains.get(voice);
+                    if (gain) { try { gain.disconnect(); } catch(e) {} }
+                    route.voiceGains.delete(voice);
+                    return;
+                }
+                (voice.modTargets?.[route.target] || []).forEach(param => {
+                    try { route.gain.disconnect(param); } catch(e) { /* Already gone */ }
+                });
+            });
+    }
+
+    /** Stops the LFOs and disconnects every node. */
+    dispose() {
+        this.routes.forEach(route => this._disconnectRoute(route));
+        this.routes = [];
+        this.lfos.forEach(lfo => {
+            try { lfo.source.stop(); } catch(e) {}
+            try { lfo.source.disconnect(); } catch(e) {}
+            try { lfo.output.disconnect(); } catch(e) {}
+        });
+        this.lfos = [];
+        this.voices.clear();
+        this.sources = {};
+        this.voiceSources.clear();
+    }
+}
+
+export { ModulationMatrix, MODULATION_TARGETS, LFO_SHAPES };
+export default ModulationMatrix;
@@ -0,0 +1,235 @@
+/* sound/mpe-zone.js */
+
+/**
+ * MIDI Polyphonic Expression (MPE) zone for MidiInput. An MPE controller plays
+ * every note on a channel of its own (a "member" channel), so the pitch bend,
+ * CC 74 (slide) and channel pressure sent on that channel shape that note only.
+ * Each zone also has a master channel (1 for the lower zone, 16 for the upper
+ * one) for zone-wide messages such as global pitch bend, mod wheel and sustain;
+ * MidiInput handles those as usual.
+ *
+ * Per-note values are passed to SoundModule.setNoteExpression(). Notes are started,
+ * shaped and released under their channel's tag ('mpe:<channel>'), so the same pitch
+ * held on two member channels stays two voices with their own expression. Controllers
+ * announce their layout with the MPE Configuration Message (RPN 6 on a master
+ * channel) and pitch bend ranges with RPN 0; both are followed, and the zone can
+ * also be configured directly.
+ *
+ * Attach with midiInput.setMpeZone(zone); messages are injected through
+ * MidiInput.handleMessage(), so a fake input is enough to test it.
+ */
+
+import { MIDI_STATUS } from './midi-input.js';
+import { midiToNoteName } from './notes.js';
+
+const MPE_ZONES = ['lower', 'upper'];
+const MAX_MEMBER_CHANNELS = 15;
+/** Default member channel pitch bend range in semitones (set by the MPE spec). */
+const DEFAULT_MPE_BEND_RANGE = 48;
+const SLIDE_CC = 74;
+// Registered parameter numbers, selected with CC 101 (MSB) / CC 100 (LSB) and set with CC 6
+const RPN_CC = { MSB: 101, LSB: 100, DATA_ENTRY: 6 };
+const RPN_PITCH_BEND_RANGE = 0;
+const RPN_MPE_CONFIGURATION = 6;
+
+class MpeZone {
+    /**
+     * Creates a new MpeZone instance.
+     * @param {object} soundModule - SoundModule the notes and their expression go to.
+     * @param {object} [options={}] - Configuration options.
+     * @param {string} [options.zone='lower'] - 'lower' (master channel 1) or 'upper' (master channel 16).
+     * @param {number} [options.memberChannels=15] - Number of member channels (0-15).
+     * @param {number} [options.pitchBendRange=48] - Member channel pitch bend range in semitones.
+     * @param {object} [options.callbacks={}] - { onNote(note, velocity, isOn), onConfigChanged(config) }.
+     */
+    constructor(soundModule, options = {}) {
+        this.soundModule = soundModule;
+        this.options = this._mergeDefaults(options);
+        this.zone = 'lower';
+        this.memberChannels = MAX_MEMBER_CHANNELS;
+        this.pitchBendRange = DEFAULT_MPE_BEND_RANGE;
+        /** Per member channel: { note, tag, bend (-1 to 1), slide (0-1), pressure (0-1) }. */
+        this.channels = new Map();
+        /** Per channel: RPN currently selected with CC 101/100, as [msb, lsb]. */
+        this.selectedRpns = new Map();
+        this.configure(this.options);
+    }
+
+    _mergeDefaults(options) {
+        return {
+            zone: 'lower',
+            memberChannels: MAX_MEMBER_CHANNELS,
+            pitchBendRange: DEFAULT_MPE_BEND_RANGE,
+            ...options,
+            callbacks: { onNote: null, onConfigChanged: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    /**
+     * Changes the zone layout. Notes held on channels that stop being member channels are released.
+     * @param {object} config - { zone, memberChannels, pitchBendRange } (partial allowed).
+     */
+    configure(config = {}) {
+        if (config.zone !== undefined && !MPE_ZONES.includes(config.zone)) {
+            console.warn(`MpeZone: Invalid zone '${config.zone}'.`);
+        } else if (config.zone !== undefined) {
+            this.zone = config.zone;
+        }
+        if (config.memberChannels !== undefined) {
+            this.memberChannels = Math.max(0, Math.min(MAX_MEMBER_CHANNELS, Math.round(Number(config.memberChannels)) || 0));
+        }
+        if (config.pitchBendRange !== undefined) {
+            this.pitchBendRange = Math.max(0, Math.min(96, Number(config.pitchBendRange) || 0));
+            this.channels.forEach(state => this._applyExpression(state));
+        }
+        this.channels.forEach((state, channel) => {
+            if (!this.isMemberChannel(channel)) this._releaseChannel(channel);
+        });
+        if (this.options.callbacks.onConfigChanged) this.options.callbacks.onConfigChanged(this.getConfig());
+    }
+
+    /** Current layout: { zone, masterChannel, memberChannels, pitchBendRange }. */
+    getConfig() {
+        return {
+            zone: this.zone,
+            masterChannel: this.getMasterChannel(),
+            memberChannels: this.memberChannels,
+            pitchBendRange: this.pitchBendRange,
+        };
+    }
+
+    /** Master channel (1-16) of the zone. */
+    getMasterChannel() {
+        return this.zone === 'upper' ? 16 : 1;
+    }
+
+    /** True if notes on `channel` (1-16) are per-note expression channels of the zone. */
+    isMemberChannel(channel) {
+        if (this.zone === 'upper') return channel <= 15 && channel >= 16 - this.memberChannels;
+        return channel >= 2 && channel <= 1 + this.memberChannels;
+    }
+
+    /**
+     * Handles one channel message. Member channel messages are consumed; master channel
+     * messages are only inspected for configuration and left to MidiInput.
+     * @param {number} type - Status high nibble (MIDI_STATUS value).
+     * @param {number} channel - Channel 1-16.
+     * @param {Uint8Array|number[]} data - Raw message bytes.
+     * @returns {boolean} True if the message was consumed.
+     */
+    handleChannelMessage(type, channel, data) {
+        if (type === MIDI_STATUS.CONTROL_CHANGE && this._handleRpn(channel, data[1], data[2])) return true;
+        if (!this.isMemberChannel(channel)) return false;
+        const state = this._getChannelState(channel);
+        switch (type) {
+            case MIDI_STATUS.NOTE_ON:
+                if (data[2] > 0) this._noteOn(channel, state, data[1], data[2]);
+                else this._noteOff(channel, state, data[1]);
+                break;
+            case MIDI_STATUS.NOTE_OFF:
+                this._noteOff(channel, state, data[1]);
+                break;
+            case MIDI_STATUS.PITCH_BEND: {
+                const value = (data[2] << 7) | data[1]; // 14-bit, centre 8192
+                state.bend = Math.max(-1, (value - 8192) / 8191);
+                this._applyExpression(state);
+                break;
+            }
+            case MIDI_STATUS.CONTROL_CHANGE:
+                if (data[1] === SLIDE_CC) {
+                    state.slide = data[2] / 127;
+                    this._applyExpression(state);
+                }
+                break;
+            case MIDI_STATUS.CHANNEL_PRESSURE:
+                state.pressure = data[1] / 127;
+                this._applyExpression(state);
+                break;
+            default:
+                break;
+        }
+        return true;
+    }
+
+    _getChannelState(channel) {
+        if (!this.channels.has(channel)) this.channels.set(channel, { note: null, tag: `mpe:${channel}`, bend: 0, slide: 0, pressure: 0 });
+        return this.channels.get(channel);
+    }
+
+    _noteOn(channel, state, noteNumber, velocity) {
+        if (state.note) this._releaseChannel(channel); // One note per member channel
+        const note = midiToNoteName(noteNumber);
+        state.note = note;
+        this.soundModule.startNote(note, velocity / 127, state.tag);
+        // Expression sent before the note-on is the note's starting expression
+        this._applyExpression(state);
+        if (this.options.callbacks.onNote) this.options.callbacks.onNote(note, velocity / 127, true);
+    }
+
+    _noteOff(channel, state, noteNumber) {
+        if (state.note !== midiToNoteName(noteNumber)) return;
+        this._releaseChannel(channel);
+    }
+
+    _releaseChannel(channel) {
+        const state = this.channels.get(channel);
+        if (!state?.note) return;
+        const note = state.note;
+        state.note = null;
+        this.soundModule.stopNote(note, true, state.tag);
+        if (this.options.callbacks.onNote) this.options.callbacks.onNote(note, 0, false);
+    }
+
+    _applyExpression(state) {
+        if (!state.note) return;
+        this.soundModule.setNoteExpression(state.note, {
+            bend: state.bend * this.pitchBendRange,
+            slide: state.slide,
+            pressure: state.pressure,
+        }, state.tag);
+    }
+
+    /**
+     * Follows RPN selection and data entry: the MPE Configuration Message on either master
+     * channel, and pitch bend range on the master or member channels.
+     * @returns {boolean} True if the controller change was an RPN message.
+     */
+    _handleRpn(channel, controller, value) {
+        if (controller === RPN_CC.MSB || controller === RPN_CC.LSB) {
+            const selected = this.selectedRpns.get(channel) || [127, 127];
+            selected[controller === RPN_CC.MSB ? 0 : 1] = value;
+            this.selectedRpns.set(channel, selected);
+            return true;
+        }
+        const selected = this.selectedRpns.get(channel);
+        if (controller !== RPN_CC.DATA_ENTRY || !selected || selected[0] !== 0) return false;
+
+        const isMaster = channel === 1 || channel === 16;
+        if (selected[1] === RPN_MPE_CONFIGURATION && isMaster) {
+            const zone = channel === 16 ? 'upper' : 'lower';
+            // Zero member channels turns a zone off; only follow that for the zone in use
+            if (value > 0 || zone === this.zone) this.configure({ zone, memberChannels: value });
+        } else if (selected[1] === RPN_PITCH_BEND_RANGE) {
+            if (this.isMemberChannel(channel)) {
+                this.configure({ pitchBendRange: value });
+            } else if (channel === this.getMasterChannel()) {
+                this.soundModule.setParameter('controllers', 'pitchBendRange', value);
+            }
+        }
+        return true;
+    }
+
+    /** Releases every note held on a member channel and clears their expression. */
+    releaseAllNotes() {
+        this.channels.forEach((state, channel) => this._releaseChannel(channel));
+        this.channels.clear();
+    }
+
+    dispose() {
+        this.releaseAllNotes();
+        this.selectedRpns.clear();
+    }
+}
+
+export { MpeZone, MPE_ZONES, DEFAULT_MPE_BEND_RANGE, SLIDE_CC };
+export default MpeZone;
@@ -0,0 +1,98 @@
+/* sound/notes.js */
+
+/**
+ * Note naming, equal-temperament pitch helpers and scales shared by SoundModule and the
+ * MIDI classes. Note names use sharps and scientific octave numbers, with MIDI
+ * note 60 = 'C4' and 69 = 'A4'; flats ('Bb3') are accepted as input.
+ */
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Semitones of the natural notes above C; a sharp or flat moves one semitone from there
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const MIN_MIDI_NOTE = 0;
+const MAX_MIDI_NOTE = 127;
+const DEFAULT_A4_HZ = 440;
+
+/** Scales as semitone offsets from the key's root within one octave (used to quantize continuous input). */
+const SCALES = {
+    chromatic:       [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    major:           [0, 2, 4, 5, 7, 9, 11],
+    minor:           [0, 2, 3, 5, 7, 8, 10], // Natural minor (aeolian)
+    dorian:          [0, 2, 3, 5, 7, 9, 10],
+    phrygian:        [0, 1, 3, 5, 7, 8, 10],
+    lydian:          [0, 2, 4, 6, 7, 9, 11],
+    mixolydian:      [0, 2, 4, 5, 7, 9, 10],
+    locrian:         [0, 1, 3, 5, 6, 8, 10],
+    harmonicMinor:   [0, 2, 3, 5, 7, 8, 11],
+    majorPentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10],
+};
+
+/**
+ * Parses a custom scale like '0 2 3 7 8' or '0,3,5': semitone offsets within the octave,
+ * sorted and de-duplicated, always including the root.
+ * @param {string|number[]} value - Offsets as text or array.
+ * @returns {number[]} Scale offsets (0-11).
+ */
+function parseScale(value) {
+    const offsets = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+        .map(Number)
+        .filter(offset => Number.isInteger(offset))
+        .map(offset => ((offset % 12) + 12) % 12);
+    return Array.from(new Set([0, ...offsets])).sort((a, b) => a - b);
+}
+
+/**
+ * Converts a MIDI note number to a note name (60 -> 'C4').
+ * @param {number} noteNumber - MIDI note number (any integer; 0-127 for MIDI).
+ */
+function midiToNoteName(noteNumber) {
+    const number = Math.round(noteNumber);
+    return `${NOTE_NAMES[((number % 12) + 12) % 12]}${Math.floor(number / 12) - 1}`;
+}
+
+/**
+ * Converts a note name to a MIDI note number ('C4' -> 60, 'Bb3' -> 58).
+ * The octave number belongs to the letter, so 'Cb4' is 59 (B3) and 'B#3' is 60 (C4).
+ * @param {string} name - Note name with optional sharp or flat.
+ * @returns {number|null} Note number, or null if the name is invalid.
+ */
+function noteNameToMidi(name) {
+    const match = /^([A-G])([#b]?)(-?\d+)$/.exec(String(name).trim());
+    if (!match) return null;
+    const accidental = match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0);
+    return LETTER_SEMITONES[match[1]] + accidental + (Number(match[3]) + 1) * 12;
+}
+
+/**
+ * Resolves a note given as a name or a MIDI number to its canonical (sharp) name.
+ * @param {string|number} note - 'C4', 'Db4' or 61.
+ * @returns {string|null} Canonical name inside the MIDI range, or null.
+ */
+function normalizeNote(note) {
+    const number = typeof note === 'number' ? Math.round(note) : noteNameToMidi(note);
+    if (!Number.isFinite(number) || number < MIN_MIDI_NOTE || number > MAX_MIDI_NOTE) return null;
+    return midiToNoteName(number);
+}
+
+/**
+ * Equal-tempered frequency of a MIDI note.
+ * @param {number} noteNumber - MIDI note number (fractional values give cents in between).
+ * @param {number} [a4=440] - Reference frequency of A4 (MIDI 69) in Hz.
+ */
+function midiToFrequency(noteNumber, a4 = DEFAULT_A4_HZ) {
+    return a4 * Math.pow(2, (noteNumber - 69) / 12);
+}
+
+export {
+    NOTE_NAMES,
+    MIN_MIDI_NOTE,
+    MAX_MIDI_NOTE,
+    DEFAULT_A4_HZ,
+    midiToNoteName,
+    noteNameToMidi,
+    normalizeNote,
+    midiToFrequency,
+    SCALES,
+    parseScale,
+};
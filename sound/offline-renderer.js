@@ -0,0 +1,214 @@
+/* sound/offline-renderer.js */
+
+/**
+ * Renders a recorded performance to audio faster than real time. A fresh
+ * SoundModule is built on an OfflineAudioContext, so the graph (voices,
+ * effects, controller sources, modulation matrix, transport) is exactly the one
+ * played live, and the performance's events are replayed into it at their times.
+ *
+ * A performance is plain JSON:
+ *
+ *     {
+ *         preset: 'vaporwave',   // Preset active when the performance starts
+ *         presets: { ... },      // Optional definitions of user presets it uses by name (registered before replay)
+ *         parameters: { ... },   // Optional full parameter snapshot (SoundModule.getParameters()) applied over it
+ *         duration: 12.5,        // Optional length in seconds (default: last event + tail)
+ *         events: [
+ *             { time: 0,   type: 'startNote', args: ['C4', 0.8] },
+ *             { time: 0.5, type: 'setParameter', args: ['filter', 'frequency', 1200] },
+ *             { time: 1,   type: 'stopNote', args: ['C4'] },
+ *         ]
+ *     }
+ *
+ * where `type` names the SoundModule method called with `args` (see
+ * PERFORMANCE_EVENT_TYPES) and `time` is in seconds from the start. Events of
+ * other types (e.g. visual changes recorded by the UI) don't affect the sound and
+ * are skipped.
+ *
+ * Rendering is deterministic: the context suspends on a fixed grid to replay
+ * events and advance the lookahead scheduler (so the arpeggiator runs as it
+ * would live), and every random choice comes from a seeded generator. The same
+ * performance and options therefore always give the same samples, which makes
+ * renders usable as regression references.
+ */
+
+import SoundModule, { PERFORMANCE_METHODS } from './sound-module.js';
+import { encodeWav } from './wav-encoder.js';
+
+/** SoundModule methods a performance event may call. */
+const PERFORMANCE_EVENT_TYPES = PERFORMANCE_METHODS;
+// Offline contexts can only suspend on render quantum boundaries
+const RENDER_QUANTUM = 128;
+/**
+ * Longest render accepted, in seconds. A minute of stereo float audio at 48 kHz is ~23 MB,
+ * held twice while the WAV is encoded, so longer performances are refused rather than cut.
+ */
+const MAX_RENDER_SECONDS = 180;
+
+/**
+ * Small seeded PRNG (mulberry32), a drop-in for Math.random.
+ * @param {number} seed - Any integer.
+ * @returns {function(): number} Generator of numbers in [0, 1).
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class OfflineRenderer {
+    /**
+     * Creates a new OfflineRenderer instance.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.sampleRate=44100] - Output sample rate in Hz.
+     * @param {number} [options.channels=2] - Output channel count.
+     * @param {number} [options.tail=2] - Seconds rendered after the last event when the performance has no duration (release and reverb tails).
+     * @param {number} [options.controlInterval=0.025] - Seconds between scheduler ticks; must stay below the scheduler's lookahead.
+     * @param {number} [options.seed=1] - Seed for the random numbers used by the synth.
+     * @param {function} [options.OfflineAudioContext] - Context constructor (defaults to the browser's).
+     */
+    constructor(options = {}) {
+        this.options = this._mergeDefaults(options);
+    }
+
+    _mergeDefaults(options) {
+        return {
+            sampleRate: 44100,
+            channels: 2,
+            tail: 2,
+            controlInterval: 0.025,
+            seed: 1,
+            OfflineAudioContext: typeof window !== 'undefined' ? (window.OfflineAudioContext || window.webkitOfflineAudioContext) : undefined,
+            ...options
+        };
+    }
+
+    /**
+     * Checks a performance and returns its valid events sorted by time.
+     * @param {object} performance - Performance object (see the module comment).
+     * @returns {object[]} Sound events; entries without a type or with an invalid time are dropped with a warning, non-sound types silently.
+     * @throws {Error} If the performance has no event list.
+     */
+    static getEvents(performance) {
+        if (!performance || !Array.isArray(performance.events)) throw new Error("Performance has no event list.");
+        const events = performance.events.filter(event => {
+            const valid = event && typeof event.type === 'string' && Number.isFinite(event.time) && event.time >= 0;
+            if (!valid) console.warn("OfflineRenderer: Skipping invalid event:", event);
+            return valid && PERFORMANCE_EVENT_TYPES.includes(event.type);
+        });
+        // Stable sort: events recorded at the same time keep their order
+        return events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.time - b.event.time || a.index - b.index)
+            .map(({ event }) => event);
+    }
+
+    /**
+     * Length in seconds a performance renders to.
+     * @throws {Error} If the performance is invalid or longer than MAX_RENDER_SECONDS.
+     */
+    getDuration(performance) {
+        return this._getDuration(performance, OfflineRenderer.getEvents(performance));
+    }
+
+    _getDuration(performance, events) {
+        const lastTime = events.length > 0 ? events[events.length - 1].time : 0;
+        const duration = Number(performance.duration) > 0 ? Number(performance.duration) : lastTime + this.options.tail;
+        if (duration > MAX_RENDER_SECONDS) {
+            throw new Error(`Performance is ${duration.toFixed(1)}s long; renders are limited to ${MAX_RENDER_SECONDS}s.`);
+        }
+        return duration;
+    }
+
+    /**
+     * Renders a performance.
+     * @param {object} performance - Performance object (see the module comment).
+     * @returns {Promise<AudioBuffer>} The rendered audio.
+     * @throws {Error} If the performance is invalid or too long, or offline rendering is unavailable.
+     */
+    async render(performance) {
+        const OfflineContext = this.options.OfflineAudioContext;
+        if (!OfflineContext) throw new Error("OfflineAudioContext is not supported.");
+        const events = OfflineRenderer.getEvents(performance);
+        const { sampleRate, channels } = this.options;
+        const length = Math.max(RENDER_QUANTUM, Math.ceil(this._getDuration(performance, events) * sampleRate));
+        const ac = new OfflineContext(channels, length, sampleRate);
+
+        const soundModule = new SoundModule(performance.preset || 'vaporwave', {
+            audioContext: ac,
+            random: createSeededRandom(this.options.seed),
+            presets: performance.presets || {},
+        });
+        try {
+            if (!await soundModule.initPromise) throw new Error("Could not build the audio graph offline.");
+            if (performance.parameters) soundModule.restoreParameters(performance.parameters);
+            this._scheduleEvents(ac, soundModule, events, length);
+            return await ac.startRendering();
+        } finally {
+            soundModule.dispose();
+        }
+    }
+
+    /**
+     * Renders a performance and encodes it as a WAV file.
+     * @param {object} performance - Performance object (see the module comment).
+     * @param {number} [bitDepth=16] - 16, 24 or 32 (float).
+     * @returns {Promise<Blob>} 'audio/wav' blob, ready for download.
+     */
+    async renderToWav(performance, bitDepth = 16) {
+        const audioBuffer = await this.render(performance);
+        return new Blob([encodeWav(audioBuffer, bitDepth)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Replays the events at the render quanta they fall in, and ticks the scheduler on
+     * a fixed grid in between. Events at time 0 are applied before rendering starts.
+     */
+    _scheduleEvents(ac, soundModule, events, length) {
+        const quantumSeconds = RENDER_QUANTUM / ac.sampleRate;
+        const lastQuantum = Math.ceil(length / RENDER_QUANTUM) - 1;
+        /** @type {Map<number, object[]>} Events per render quantum index. */
+        const steps = new Map();
+        const gridQuanta = Math.max(1, Math.round(this.options.controlInterval / quantumSeconds));
+        for (let quantum = 0; quantum <= lastQuantum; quantum += gridQuanta) steps.set(quantum, []);
+        events.forEach(event => {
+            const quantum = Math.ceil(event.time / quantumSeconds - 1e-9);
+            if (quantum > lastQuantum) return; // After the end of the render
+            if (!steps.has(quantum)) steps.set(quantum, []);
+            steps.get(quantum).push(event);
+        });
+
+        const runStep = (stepEvents) => {
+            stepEvents.forEach(event => this._applyEvent(soundModule, event));
+            soundModule.audioState?.scheduler?.tick();
+        };
+        steps.forEach((stepEvents, quantum) => {
+            if (quantum === 0) {
+                runStep(stepEvents);
+                return;
+            }
+            ac.suspend(quantum * quantumSeconds).then(() => {
+                runStep(stepEvents);
+                return ac.resume();
+            }).catch(e => console.error("OfflineRenderer: Error replaying events:", e));
+        });
+    }
+
+    _applyEvent(soundModule, event) {
+        const warn = (e) => console.warn(`OfflineRenderer: Event '${event.type}' at ${event.time}s failed:`, e);
+        try {
+            const result = soundModule[event.type](...(Array.isArray(event.args) ? event.args : []));
+            if (result instanceof Promise) result.catch(warn); // startNote is async
+        } catch (e) {
+            warn(e);
+        }
+    }
+}
+
+export { OfflineRenderer, PERFORMANCE_EVENT_TYPES, MAX_RENDER_SECONDS, createSeededRandom };
+export default OfflineRenderer;
@@ -0,0 +1,349 @@
+/* sound/performance-recorder.js */
+
+/**
+ * Records a performance as a JSON event log and plays it back, once or looped,
+ * optionally overdubbing new events onto the loop.
+ *
+ * Recording listens to SoundModule.addPerformanceListener(), so every note,
+ * parameter change, effect toggle and preset change is captured whatever its
+ * source (UI, MIDI, MIDI learn). The log starts with a snapshot of the preset and
+ * all parameters, so playback starts from the same sound. UI-only changes that
+ * shape the visuals can be added with recordEvent(); they are handed back to
+ * onEvent on playback, as is every replayed event, so the UI can follow along.
+ *
+ * The log is the performance format OfflineRenderer renders:
+ *
+ *     { version: 1, preset, presets, parameters, state, duration, events: [{ time, type, args }] }
+ *
+ * where `state` is whatever the UI passed to record() (e.g. visual settings) and
+ * `presets` holds the definitions of the user presets the log refers to by name
+ * (the opening preset and those applied or morphed), so it renders anywhere.
+ * Playback is timed on the AudioContext clock by a short polling timer, since
+ * the SoundModule methods act at the moment they are called.
+ */
+
+import { PERFORMANCE_METHODS } from './sound-module.js';
+import { normalizeNote } from './notes.js';
+import { validatePreset, formatIssues } from './preset-schema.js';
+
+const PERFORMANCE_FORMAT_VERSION = 1;
+/** 'idle', 'recording', 'playing' (possibly overdubbing). */
+const RECORDER_STATES = ['idle', 'recording', 'playing'];
+// Events that refer to presets by name, with the indices of those arguments
+const PRESET_ARGUMENTS = { applyPresetAudio: [0], morphPresets: [0, 1] };
+
+class PerformanceRecorder {
+    /**
+     * Creates a new PerformanceRecorder instance.
+     * @param {object} soundModule - SoundModule to record and play back into.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.interval=5] - Playback timer period in milliseconds.
+     * @param {object} [options.callbacks={}] - { onEvent(event), onStateChanged(state, isOverdubbing), onPlaybackStart(performance),
+     *   onLoop(count), onPresetsAdded(names) }.
+     */
+    constructor(soundModule, options = {}) {
+        this.soundModule = soundModule;
+        this.options = this._mergeDefaults(options);
+        this.state = 'idle';
+        this.performance = null;  // Last recorded or loaded performance
+        this.recording = null;    // Performance being recorded
+        this.isOverdubbing = false;
+        this.loop = false;
+        this.startTime = 0;       // AudioContext time of the recording start / current loop pass
+        this.playIndex = 0;       // Next event to replay
+        this.loopCount = 0;
+        this.playbackNotes = new Set(); // Notes started by playback and not yet stopped
+        this.timerId = null;
+        this._isReplaying = false; // True while replayed events run, so they aren't recorded again
+        this._unsubscribe = soundModule.addPerformanceListener((event) => this._onPerformanceEvent(event));
+    }
+
+    _mergeDefaults(options) {
+        return {
+            interval: 5,
+            ...options,
+            callbacks: { onEvent: null, onStateChanged: null, onPlaybackStart: null, onLoop: null, onPresetsAdded: null, ...(options.callbacks || {}) },
+        };
+    }
+
+    _now() {
+        return this.soundModule.audioState?.audioContext?.currentTime ?? null;
+    }
+
+    _setState(state) {
+        this.state = state;
+        if (state !== 'playing') this.isOverdubbing = false;
+        if (this.options.callbacks.onStateChanged) this.options.callbacks.onStateChanged(state, this.isOverdubbing);
+    }
+
+    // --- Recording ---
+
+    /**
+     * Starts a new recording (replacing the current performance once stopped).
+     * @param {object} [state={}] - UI state the performance starts from, stored with it (must be JSON-serializable).
+     * @returns {boolean} True if recording started (audio must be initialized).
+     */
+    record(state = {}) {
+        const now = this._now();
+        if (now === null || !this.soundModule.audioState?.isInitialized) {
+            console.warn("PerformanceRecorder: Cannot record before audio is initialized.");
+            return false;
+        }
+        this.stop();
+        this.recording = {
+            version: PERFORMANCE_FORMAT_VERSION,
+            preset: this.soundModule.audioState.activePresetName,
+            presets: {},
+            parameters: this.soundModule.getParameters(),
+            state: JSON.parse(JSON.stringify(state || {})),
+            duration: 0,
+            events: [],
+        };
+        this._embedPresets(this.recording, [this.recording.preset]);
+        // Keys already down when recording starts are part of the opening state
+        const { heldNotes, heldTags, heldVelocities } = this.soundModule.audioState;
+        heldNotes.forEach(note => {
+            const velocityOf = (tag) => heldVelocities.get(note)?.get(tag) ?? 1;
+            const tags = heldTags.get(note);
+            const args = tags ? Array.from(tags, tag => [note, velocityOf(tag), tag]) : [[note, velocityOf(null)]];
+            args.forEach(noteArgs => this.recording.events.push({ time: 0, type: 'startNote', args: noteArgs }));
+        });
+        this.startTime = now;
+        this._setState('recording');
+        return true;
+    }
+
+    /**
+     * Adds an event that isn't a SoundModule call (e.g. a visual change) to the recording or overdub.
+     * @param {string} type - Event type; replayed through onEvent only.
+     * @param {Array} [args=[]] - JSON-serializable arguments.
+     */
+    recordEvent(type, args = []) {
+        this._addEvent(type, args, this._now());
+    }
+
+    _onPerformanceEvent(event) {
+        if (this._isReplaying) return;
+        this._addEvent(event.type, event.args, event.time ?? this._now());
+    }
+
+    _addEvent(type, args, time) {
+        if (time === null) return;
+        const event = { time: Math.max(0, time - this.startTime), type, args: JSON.parse(JSON.stringify(args ?? [])) };
+        const presetNames = (PRESET_ARGUMENTS[type] || []).map(index => event.args[index]);
+        if (this.state === 'recording') {
+            this.recording.events.push(event);
+            this._embedPresets(this.recording, presetNames);
+        } else if (this.state === 'playing' && this.isOverdubbing) {
+            this._embedPresets(this.performance, presetNames);
+            // Inserted in time order; if it lands before the playhead it first plays on the next pass
+            const events = this.performance.events;
+            let index = events.length;
+            while (index > 0 && events[index - 1].time > event.time) index--;
+            events.splice(index, 0, event);
+            if (index < this.playIndex) this.playIndex++;
+        }
+    }
+
+    /**
+     * Adds the presets embedded in a performance that the sound module doesn't know (e.g. a log
+     * shared by someone else), so its preset changes and morphs play. Presets already defined,
+     * factory ones included, are kept; invalid embedded ones are skipped with a warning.
+     */
+    _registerPresets(performance) {
+        const known = this.soundModule.audioState?.presets;
+        if (!known) return;
+        const added = [];
+        Object.entries(performance?.presets || {}).forEach(([name, preset]) => {
+            if (known[name] || this.soundModule.isFactoryPreset(name)) return;
+            const { ok, preset: valid, errors } = validatePreset(preset);
+            if (!ok) {
+                console.warn(`PerformanceRecorder: Skipping invalid embedded preset '${name}':`, formatIssues(errors).join('; '));
+                return;
+            }
+            if (this.soundModule.addPreset(name, valid)) added.push(name);
+        });
+        if (added.length > 0 && this.options.callbacks.onPresetsAdded) this.options.callbacks.onPresetsAdded(added);
+    }
+
+    /** Stores the definitions of user presets a performance uses, as they are when first used. */
+    _embedPresets(performance, names) {
+        const presets = this.soundModule.audioState.presets;
+        names.forEach(name => {
+            if (typeof name !== 'string' || !presets[name] || this.soundModule.isFactoryPreset(name)) return;
+            if (!performance.presets[name]) performance.presets[name] = JSON.parse(JSON.stringify(presets[name]));
+        });
+    }
+
+    /** Stops recording or playback. A recording in progress becomes the current performance. */
+    stop() {
+        if (this.state === 'recording') {
+            this.recording.duration = Math.max(0, (this._now() ?? this.startTime) - this.startTime);
+            this.performance = this.recording;
+            this.recording = null;
+        } else if (this.state === 'playing') {
+            this._stopTimer();
+            this._releasePlaybackNotes();
+        }
+        if (this.state !== 'idle') this._setState('idle');
+    }
+
+    // --- Playback ---
+
+    /**
+     * Plays the current performance from its opening snapshot.
+     * @param {object} [options={}] - { loop (boolean) }.
+     * @returns {boolean} True if playback started.
+     */
+    play({ loop = false } = {}) {
+        const now = this._now();
+        if (!this.performance || now === null || !this.soundModule.audioState?.isInitialized) {
+            console.warn("PerformanceRecorder: Nothing to play, or audio not initialized.");
+            return false;
+        }
+        this.stop();
+        this._registerPresets(this.performance);
+        this.loop = !!loop;
+        this.loopCount = 0;
+        this._replay(() => {
+            this.soundModule.stopNote(null, false);
+            if (this.soundModule.audioState.presets[this.performance.preset]) this.soundModule.applyPresetAudio(this.performance.preset);
+            if (this.performance.parameters) this.soundModule.restoreParameters(this.performance.parameters);
+        });
+        if (this.options.callbacks.onPlaybackStart) this.options.callbacks.onPlaybackStart(this.performance);
+        this.startTime = now;
+        this.playIndex = 0;
+        this._setState('playing');
+        this._tick();
+        this.timerId = setInterval(() => this._tick(), this.options.interval);
+        return true;
+    }
+
+    /** Loops playback (or stops looping: the current pass is the last). */
+    setLoop(loop) {
+        this.loop = !!loop;
+    }
+
+    /**
+     * Starts or stops recording new events onto the performance while it plays.
+     * @param {boolean} isOverdubbing - True to overdub.
+     */
+    setOverdub(isOverdubbing) {
+        if (this.state !== 'playing' || this.isOverdubbing === !!isOverdubbing) return;
+        this.isOverdubbing = !!isOverdubbing;
+        if (this.options.callbacks.onStateChanged) this.options.callbacks.onStateChanged(this.state, this.isOverdubbing);
+    }
+
+    /** Seconds into the recording or the current playback pass. */
+    getPosition() {
+        const now = this._now();
+        return this.state === 'idle' || now === null ? 0 : Math.max(0, now - this.startTime);
+    }
+
+    _tick() {
+        if (this.state !== 'playing') return;
+        const performance = this.performance;
+        const position = this._now() - this.startTime;
+        const events = performance.events;
+        while (this.playIndex < events.length && events[this.playIndex].time <= position) {
+            this._dispatch(events[this.playIndex++]);
+            if (this.state !== 'playing') return; // An event (or callback) stopped playback
+        }
+        if (position < performance.duration || this.playIndex < events.length) return;
+
+        // End of a pass: notes the performance left held end with it
+        this._releasePlaybackNotes();
+        if (!this.loop || performance.duration <= 0) {
+            this.stop();
+            return;
+        }
+        this.startTime += performance.duration;
+        this.playIndex = 0;
+        this.loopCount++;
+        if (this.options.callbacks.onLoop) this.options.callbacks.onLoop(this.loopCount);
+        this._tick();
+    }
+
+    _dispatch(event) {
+        if (PERFORMANCE_METHODS.includes(event.type)) {
+            this._replay(() => this.soundModule[event.type](...(Array.isArray(event.args) ? event.args : [])));
+            this._trackPlaybackNote(event);
+        }
+        if (this.options.callbacks.onEvent) {
+            try {
+                this.options.callbacks.onEvent(event);
+            } catch (e) {
+                console.error("PerformanceRecorder: Error in event callback:", e);
+            }
+        }
+    }
+
+    _replay(action) {
+        this._isReplaying = true;
+        try {
+            const result = action();
+            if (result instanceof Promise) result.catch(e => console.warn("PerformanceRecorder: Replayed event failed:", e));
+        } catch (e) {
+            console.warn("PerformanceRecorder: Replayed event failed:", e);
+        } finally {
+            this._isReplaying = false;
+        }
+    }
+
+    _trackPlaybackNote(event) {
+        const note = event.args?.[0] === undefined || event.args[0] === null ? null : normalizeNote(event.args[0]);
+        if (event.type === 'startNote' && note) this.playbackNotes.add(note);
+        else if (event.type === 'stopNote' && note) this.playbackNotes.delete(note);
+        else if (event.type === 'stopNote') this.playbackNotes.clear();
+    }
+
+    _releasePlaybackNotes() {
+        this._replay(() => this.playbackNotes.forEach(note => this.soundModule.stopNote(note)));
+        this.playbackNotes.clear();
+    }
+
+    _stopTimer() {
+        if (this.timerId !== null) clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    // --- Serialization ---
+
+    /** The current performance (deep copy), or null if nothing was recorded or loaded. */
+    getPerformance() {
+        return this.performance ? JSON.parse(JSON.stringify(this.performance)) : null;
+    }
+
+    /**
+     * Replaces the current performance, e.g. with one loaded from a file.
+     * @param {object} performance - Performance object (as from getPerformance()).
+     * @throws {Error} If it has no event list.
+     */
+    loadPerformance(performance) {
+        if (!performance || !Array.isArray(performance.events)) throw new Error("Performance has no event list.");
+        const events = performance.events
+            .filter(event => event && typeof event.type === 'string' && Number.isFinite(event.time) && event.time >= 0)
+            .sort((a, b) => a.time - b.time);
+        const lastTime = events.length > 0 ? events[events.length - 1].time : 0;
+        this.stop();
+        this.performance = {
+            version: PERFORMANCE_FORMAT_VERSION,
+            preset: performance.preset ?? null,
+            presets: performance.presets && typeof performance.presets === 'object' ? JSON.parse(JSON.stringify(performance.presets)) : {},
+            parameters: performance.parameters ?? null,
+            state: performance.state ?? {},
+            duration: Number(performance.duration) > 0 ? Math.max(Number(performance.duration), lastTime) : lastTime,
+            events: JSON.parse(JSON.stringify(events)),
+        };
+        this._registerPresets(this.performance);
+    }
+
+    dispose() {
+        this.stop();
+        if (this._unsubscribe) this._unsubscribe();
+        this._unsubscribe = null;
+    }
+}
+
+export { PerformanceRecorder, PERFORMANCE_FORMAT_VERSION, RECORDER_STATES };
+export default PerformanceRecorder;
@@ -0,0 +1,116 @@
+/* sound/preset-morph.js */
+
+/**
+ * Interpolation between two parameter sets, used to glide from one preset to
+ * another (SoundModule.morphPresets()). Numbers move continuously: cutoff and
+ * rates on a log scale so the sweep sounds even, counts in whole steps. What
+ * can't be in between (waveforms, filter types, modes, note divisions, arp
+ * patterns) switches at the midpoint.
+ *
+ * Two kinds of change crossfade instead of switching: an oscillator layer or
+ * the reverb that is on in only one of the presets stays on for the whole
+ * morph while its level (wet) fades to or from zero, and a modulation route
+ * that exists in only one of them fades its amount, so LFO depths glide too.
+ *
+ * Works on any nested parameter object, including the visual settings stored
+ * with user presets.
+ */
+
+/** Position at which discrete parameters switch from the first preset to the second. */
+const MORPH_SWITCH_POINT = 0.5;
+// Parameters interpolated on a log scale (paths with array indices removed)
+const LOG_PARAMETERS = ['filter.frequency', 'modulation.lfos.rate', 'effects.arpeggiator.rate'];
+// Parameters that only take whole values (by name, in any group)
+const INTEGER_PARAMETERS = ['octave', 'semitone', 'voices', 'octaves', 'pitchBendRange'];
+// Arrays that are one value, not a list to interpolate entry by entry
+const DISCRETE_PARAMETERS = ['transport.timeSignature', 'effects.arpeggiator.pattern'];
+// Parameters that are costly to apply (the reverb impulse is rebuilt), so they move in steps
+const STEPPED_PARAMETERS = { 'effects.reverb.decay': 0.25 };
+// Groups with an on/off switch whose level crossfades when only one preset turns them on
+const CROSSFADE_LEVELS = {
+    oscillator2: 'level',
+    oscillator3: 'level',
+    subOscillator: 'level',
+    'effects.reverb': 'wet',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const lerp = (from, to, amount) => from + (to - from) * amount;
+
+function interpolateNumber(from, to, amount, path, key) {
+    const genericPath = path.replace(/\.\d+/g, '');
+    let value = LOG_PARAMETERS.includes(genericPath) && from > 0 && to > 0
+        ? Math.exp(lerp(Math.log(from), Math.log(to), amount))
+        : lerp(from, to, amount);
+    if (INTEGER_PARAMETERS.includes(key)) value = Math.round(value);
+    const step = STEPPED_PARAMETERS[genericPath];
+    if (step) value = Math.round(value / step) * step;
+    return value;
+}
+
+/**
+ * Routes are matched by source and target. A route only one side has fades its amount
+ * from or to zero; the list keeps the same order throughout, so only amounts change.
+ */
+function morphRoutes(from = [], to = [], amount) {
+    const key = (route, index, routes) => {
+        const id = `${route.source}>${route.target}`;
+        const occurrence = routes.slice(0, index).filter(other => `${other.source}>${other.target}` === id).length;
+        return `${id}#${occurrence}`;
+    };
+    const routes = new Map();
+    from.forEach((route, index) => routes.set(key(route, index, from), { route, from: route.amount, to: 0 }));
+    to.forEach((route, index) => {
+        const id = key(route, index, to);
+        if (routes.has(id)) routes.get(id).to = route.amount;
+        else routes.set(id, { route, from: 0, to: route.amount });
+    });
+    return Array.from(routes.values(), entry => ({
+        ...copy(entry.route),
+        amount: lerp(Number(entry.from) || 0, Number(entry.to) || 0, amount),
+    }));
+}
+
+function interpolate(from, to, amount, path, key) {
+    const pick = () => copy(amount < MORPH_SWITCH_POINT ? from : to);
+    if (path === 'modulation.routes' && Array.isArray(from) && Array.isArray(to)) return morphRoutes(from, to, amount);
+    if (typeof from === 'number' && typeof to === 'number' && Number.isFinite(from) && Number.isFinite(to)) {
+        return interpolateNumber(from, to, amount, path, key);
+    }
+    if (Array.isArray(from) && Array.isArray(to)) {
+        if (DISCRETE_PARAMETERS.includes(path) || from.length !== to.length) return pick();
+        return from.map((value, index) => interpolate(value, to[index], amount, `${path}.${index}`, key));
+    }
+    if (isPlainObject(from) && isPlainObject(to)) {
+        const result = {};
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach(name => {
+            const value = interpolate(from[name], to[name], amount, path ? `${path}.${name}` : name, name);
+            if (value !== undefined) result[name] = value;
+        });
+        const levelName = CROSSFADE_LEVELS[path];
+        if (levelName && !!from.active !== !!to.active) {
+            result.active = true;
+            result[levelName] = lerp(from.active ? Number(from[levelName]) || 0 : 0, to.active ? Number(to[levelName]) || 0 : 0, amount);
+        }
+        return result;
+    }
+    return pick();
+}
+
+/**
+ * Interpolates between two parameter sets.
+ * @param {object} from - Parameters at amount 0 (e.g. a preset merged with the defaults).
+ * @param {object} to - Parameters at amount 1.
+ * @param {number} amount - Position between them, 0-1 (clamped).
+ * @returns {object} New parameter set; at 0 and 1 an exact copy of `from` or `to`.
+ */
+function morphParameters(from, to, amount) {
+    const position = Math.max(0, Math.min(1, Number(amount) || 0));
+    if (position === 0) return copy(from);
+    if (position === 1) return copy(to);
+    return interpolate(from, to, position, '', '');
+}
+
+export { morphParameters, MORPH_SWITCH_POINT };
+export default morphParameters;
@@ -0,0 +1,332 @@
+/* sound/preset-schema.js */
+
+/**
+ * Versioned preset schema: checks presets field by field, migrates presets
+ * written by older versions, and reads and writes preset files.
+ *
+ * A preset is a set of parameter groups (see SoundModule.getPresetsDefinition()),
+ * any of them partial, plus an optional `visual` block of visualizer settings
+ * (0-1 values by name). validatePreset() keeps only the fields PRESET_SCHEMA
+ * knows and whose values are in range, and reports the rest, so a bad value is
+ * caught on import instead of when an audio node rejects it.
+ *
+ * Files are JSON, either a single preset or a bank of named presets:
+ *
+ *     { format: 'maleficarum-preset', version: 1, name: 'night_drive', preset: { ... } }
+ *     { format: 'maleficarum-bank', version: 1, presets: { night_drive: { ... }, ... } }
+ *
+ * A bare preset object (no `format`) is read as version 0, the unversioned
+ * format of the factory presets and of presets saved before files existed.
+ */
+
+import {
+    OSCILLATOR_TYPES, FILTER_TYPES, ENVELOPE_CURVES, MAX_FILTER_ENV_OCTAVES, MODULATION_LFO_COUNT, MAX_UNISON_VOICES,
+    ARP_MODES, MAX_ARP_OCTAVES, MAX_ARP_SWING, PORTAMENTO_MODES, MAX_PORTAMENTO_TIME, VELOCITY_CURVES, MIN_A4_HZ, MAX_A4_HZ,
+} from './sound-module.js';
+import { STEAL_MODES, MAX_VOICE_LIMIT } from './voice-allocator.js';
+import { MODULATION_TARGETS, LFO_SHAPES } from './modulation-matrix.js';
+import Transport, { MIN_BPM, MAX_BPM } from './transport.js';
+import { BUILT_IN_TUNINGS } from './tuning.js';
+
+/** Version written to preset files; older files are migrated up to it on import. */
+const PRESET_SCHEMA_VERSION = 1;
+const PRESET_FILE_FORMAT = 'maleficarum-preset';
+const PRESET_BANK_FORMAT = 'maleficarum-bank';
+// Sources SoundModule registers with the modulation matrix besides its LFOs
+const CONTROLLER_SOURCES = ['modWheel', 'aftertouch', 'polyPressure', 'slide'];
+const MAX_ENVELOPE_TIME = 30; // Seconds
+const MAX_PATTERN_LENGTH = 64;
+
+// --- Field specs ---
+
+const number = (min, max) => ({ kind: 'number', min, max });
+const integer = (min, max) => ({ kind: 'number', min, max, integer: true });
+const oneOf = (values) => ({ kind: 'enum', values });
+const boolean = { kind: 'boolean' };
+// Seconds or steps per second, or a tempo-synced note division ('1/8d')
+const numberOrDivision = (min, max) => ({ kind: 'numberOrDivision', min, max });
+const numberList = (min, max, maxLength) => ({ kind: 'numberList', min, max, maxLength });
+const textOrNull = { kind: 'textOrNull' };
+const group = (fields) => ({ kind: 'group', fields });
+const list = (item, maxLength) => ({ kind: 'list', item, maxLength });
+
+const layerFields = {
+    type: oneOf(OSCILLATOR_TYPES),
+    octave: integer(-4, 4),
+    semitone: integer(-12, 12),
+    fine: number(-100, 100), // Cents
+    level: number(0, 1),
+};
+
+/** Every field a preset may carry, with its accepted values. */
+const PRESET_SCHEMA = group({
+    oscillator: group({ ...layerFields, gain: number(0, 1), detune: number(-1200, 1200) }),
+    oscillator2: group({ active: boolean, ...layerFields }),
+    oscillator3: group({ active: boolean, ...layerFields }),
+    subOscillator: group({ active: boolean, type: oneOf(OSCILLATOR_TYPES), octave: integer(-4, 0), level: number(0, 1) }),
+    unison: group({ voices: integer(1, MAX_UNISON_VOICES), detune: number(0, 100), spread: number(0, 1) }),
+    filter: group({ type: oneOf(FILTER_TYPES), frequency: number(10, 24000), Q: number(0.0001, 50), keyTracking: number(0, 1) }),
+    filterEnvelope: group({
+        attack: number(0, MAX_ENVELOPE_TIME), decay: number(0, MAX_ENVELOPE_TIME), sustain: number(0, 1),
+        release: number(0, MAX_ENVELOPE_TIME), amount: number(-MAX_FILTER_ENV_OCTAVES, MAX_FILTER_ENV_OCTAVES),
+    }),
+    envelope: group({
+        attack: number(0, MAX_ENVELOPE_TIME), hold: number(0, MAX_ENVELOPE_TIME), decay: number(0, MAX_ENVELOPE_TIME),
+        sustain: number(0, 1), release: number(0, MAX_ENVELOPE_TIME), curve: oneOf(ENVELOPE_CURVES),
+    }),
+    polyphony: group({ voices: integer(1, MAX_VOICE_LIMIT), stealMode: oneOf(STEAL_MODES) }),
+    controllers: group({ pitchBendRange: integer(0, 48) }),
+    portamento: group({ time: number(0, MAX_PORTAMENTO_TIME), mode: oneOf(PORTAMENTO_MODES) }),
+    velocity: group({
+        curve: oneOf(Object.keys(VELOCITY_CURVES)), amplitude: number(0, 1),
+        filter: number(-MAX_FILTER_ENV_OCTAVES, MAX_FILTER_ENV_OCTAVES), envelope: number(-1, 1),
+    }),
+    transport: group({ bpm: number(MIN_BPM, MAX_BPM), timeSignature: { kind: 'timeSignature' } }),
+    tuning: group({
+        a4: number(MIN_A4_HZ, MAX_A4_HZ), scale: oneOf([...Object.keys(BUILT_IN_TUNINGS), 'custom']),
+        scl: textOrNull, kbm: textOrNull,
+    }),
+    modulation: group({
+        lfos: list(group({ shape: oneOf(LFO_SHAPES), rate: numberOrDivision(0.01, 50), sync: boolean, division: { kind: 'division' } }), MODULATION_LFO_COUNT),
+        routes: list(group({
+            source: oneOf([...Array.from({ length: MODULATION_LFO_COUNT }, (_, i) => `lfo${i + 1}`), ...CONTROLLER_SOURCES]),
+            target: oneOf(Object.keys(MODULATION_TARGETS)),
+            amount: number(-1, 1),
+        })),
+    }),
+    effects: group({
+        delay: group({ active: boolean, time: numberOrDivision(0, 2), feedback: number(0, 0.98) }),
+        reverb: group({ active: boolean, decay: number(0.01, 10), wet: number(0, 1) }),
+        glitch: group({ active: boolean }),
+        arpeggiator: group({
+            active: boolean, rate: numberOrDivision(0.1, 50), pattern: numberList(-48, 48, MAX_PATTERN_LENGTH),
+            mode: oneOf(ARP_MODES), octaves: integer(1, MAX_ARP_OCTAVES), gate: number(0.05, 1),
+            swing: number(0, MAX_ARP_SWING), accents: numberList(0, 1, MAX_PATTERN_LENGTH), latch: boolean,
+        }),
+    }),
+    // Visualizer settings saved with the preset: normalized values by parameter name
+    visual: { kind: 'map', value: number(0, 1) },
+});
+
+// --- Validation ---
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const describe = (value) => JSON.stringify(value) ?? String(value);
+
+/**
+ * Checks a value against a spec.
+ * @returns {*} The value to keep (a cleaned copy for groups and lists), or undefined if it's invalid.
+ */
+function checkValue(spec, value, path, report) {
+    const fail = (message) => {
+        report.errors.push({ path, message: `${message} (got ${describe(value)})` });
+        return undefined;
+    };
+    const checkNumber = (number) => {
+        if (typeof number !== 'number' || !Number.isFinite(number)) return 'must be a number';
+        if (spec.integer && !Number.isInteger(number)) return 'must be a whole number';
+        if (number < spec.min || number > spec.max) return `must be between ${spec.min} and ${spec.max}`;
+        return null;
+    };
+
+    switch (spec.kind) {
+        case 'number': {
+            const problem = checkNumber(value);
+            return problem ? fail(problem) : value;
+        }
+        case 'numberOrDivision': {
+            if (Transport.isDivision(value)) return value;
+            const problem = checkNumber(value);
+            return problem ? fail(`${problem}, or a note division like '1/8'`) : value;
+        }
+        case 'division':
+            return Transport.isDivision(value) ? value : fail("must be a note division like '1/4', '1/8d' or '1/16t'");
+        case 'enum':
+            return spec.values.includes(value) ? value : fail(`must be one of ${spec.values.map(v => `'${v}'`).join(', ')}`);
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('must be true or false');
+        case 'textOrNull':
+            return value === null || typeof value === 'string' ? value : fail('must be text or null');
+        case 'timeSignature': {
+            const valid = Array.isArray(value) && value.length === 2 && Number.isInteger(value[0]) && value[0] >= 1 && value[0] <= 32
+                && [1, 2, 4, 8, 16, 32].includes(value[1]);
+            return valid ? [...value] : fail('must be [beats per bar (1-32), beat unit (1, 2, 4 ... 32)]');
+        }
+        case 'numberList': {
+            if (!Array.isArray(value)) return fail('must be a list of numbers');
+            if (value.length > spec.maxLength) return fail(`must have at most ${spec.maxLength} entries`);
+            const problem = value.map(checkNumber).find(Boolean);
+            return problem ? fail(`entries ${problem}`) : [...value];
+        }
+        case 'list': {
+            if (!Array.isArray(value)) return fail('must be a list');
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) return fail(`must have at most ${spec.maxLength} entries`);
+            // Entries keep their index (LFO n stays LFO n); an invalid one is reported and emptied
+            return value.map((item, index) => checkValue(spec.item, item, `${path}[${index}]`, report) ?? {});
+        }
+        case 'map': {
+            if (!isPlainObject(value)) return fail('must be an object');
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                const itemPath = path ? `${path}.${key}` : key;
+                if (!/^[A-Za-z][A-Za-z0-9]*$/.test(key)) {
+                    report.warnings.push({ path: itemPath, message: 'invalid name, ignored' });
+                    return;
+                }
+                const checked = checkValue(spec.value, item, itemPath, report);
+                if (checked !== undefined) result[key] = checked;
+            });
+            return result;
+        }
+        case 'group': {
+            if (!isPlainObject(value)) return fail('must be an object');
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                const itemPath = path ? `${path}.${key}` : key;
+                const fieldSpec = spec.fields[key];
+                if (!fieldSpec) {
+                    report.warnings.push({ path: itemPath, message: 'unknown field, ignored' });
+                    return;
+                }
+                const checked = checkValue(fieldSpec, item, itemPath, report);
+                if (checked !== undefined) result[key] = checked;
+            });
+            return result;
+        }
+        default:
+            return fail(`has an unknown schema kind '${spec.kind}'`);
+    }
+}
+
+/**
+ * Checks a preset (current schema version) against PRESET_SCHEMA.
+ * @param {object} preset - Preset groups, optionally with a `visual` block.
+ * @returns {{ok: boolean, preset: object, errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}}
+ *   `preset` holds only the valid, known fields; `ok` is false if any field was invalid
+ *   (unknown fields are only warnings).
+ */
+function validatePreset(preset) {
+    const report = { errors: [], warnings: [] };
+    const checked = checkValue(PRESET_SCHEMA, preset, '', report);
+    if (checked !== undefined && Object.keys(checked).length === 0 && report.errors.length === 0) {
+        report.errors.push({ path: '', message: 'preset has no parameters' });
+    }
+    return { ok: report.errors.length === 0, preset: checked || {}, ...report };
+}
+
+/** One line per problem, e.g. "filter.frequency: must be between 10 and 24000 (got 90000)". */
+function formatIssues(issues) {
+    return issues.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+}
+
+// --- Migration ---
+
+/**
+ * Steps that bring a preset from version N to N + 1, keyed by N. Each gets a deep
+ * copy and returns the migrated preset.
+ */
+const MIGRATIONS = {
+    // Unversioned presets relied on the defaults of their time. Envelopes without a sustain
+    // were attack/release only and held at peak; pin that shape so later defaults can't change it.
+    0: (preset) => {
+        if (isPlainObject(preset.envelope)) {
+            if (preset.envelope.sustain === undefined) preset.envelope.sustain = 1.0;
+            if (preset.envelope.hold === undefined) preset.envelope.hold = 0;
+        }
+        return preset;
+    },
+};
+
+/**
+ * Migrates a preset to PRESET_SCHEMA_VERSION.
+ * @param {object} preset - Preset as written by `version`.
+ * @param {number} version - Schema version the preset was written with (0 = unversioned).
+ * @returns {object} Migrated copy.
+ * @throws {Error} If the version is newer than this one or unknown.
+ */
+function migratePreset(preset, version) {
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown preset version '${version}'.`);
+    if (version > PRESET_SCHEMA_VERSION) {
+        throw new Error(`Preset version ${version} is newer than this synth supports (${PRESET_SCHEMA_VERSION}).`);
+    }
+    let migrated = JSON.parse(JSON.stringify(preset));
+    for (let step = version; step < PRESET_SCHEMA_VERSION; step++) migrated = MIGRATIONS[step](migrated);
+    return migrated;
+}
+
+// --- Files ---
+
+/**
+ * Serializes one preset as a preset file. The preset is validated first, so only
+ * known, valid fields are written.
+ * @param {string} name - Preset name.
+ * @param {object} preset - Preset groups.
+ * @returns {string} JSON file contents.
+ */
+function exportPreset(name, preset) {
+    return JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_SCHEMA_VERSION, name, preset: validatePreset(preset).preset }, null, 2);
+}
+
+/**
+ * Serializes several presets as a bank file.
+ * @param {Object.<string, object>} presets - Presets by name.
+ * @returns {string} JSON file contents.
+ */
+function exportBank(presets) {
+    const cleaned = {};
+    Object.entries(presets || {}).forEach(([name, preset]) => { cleaned[name] = validatePreset(preset).preset; });
+    return JSON.stringify({ format: PRESET_BANK_FORMAT, version: PRESET_SCHEMA_VERSION, presets: cleaned }, null, 2);
+}
+
+/**
+ * Reads a preset or bank file. Each preset is migrated and validated on its own:
+ * valid ones are returned ready to use, invalid ones are listed with their errors.
+ * @param {string} text - File contents.
+ * @param {string} [fallbackName='imported'] - Name for a preset file without one (e.g. the file name).
+ * @returns {{presets: {name: string, preset: object, warnings: string[]}[], rejected: {name: string, errors: string[]}[]}}
+ * @throws {Error} If the text isn't JSON, isn't a preset or bank, or has an unsupported version.
+ */
+function parsePresetFile(text, fallbackName = 'imported') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a JSON file (${e.message}).`);
+    }
+    if (!isPlainObject(data)) throw new Error("Not a preset or bank file.");
+
+    let version = 0;
+    let entries;
+    if (data.format === PRESET_FILE_FORMAT || data.format === PRESET_BANK_FORMAT) {
+        version = data.version;
+        if (!Number.isInteger(version)) throw new Error("File has no schema version.");
+        if (data.format === PRESET_FILE_FORMAT) {
+            entries = [[typeof data.name === 'string' && data.name ? data.name : fallbackName, data.preset]];
+        } else {
+            if (!isPlainObject(data.presets)) throw new Error("Bank file has no presets.");
+            entries = Object.entries(data.presets);
+        }
+    } else if (data.format !== undefined) {
+        throw new Error(`Unknown file format '${data.format}'.`);
+    } else {
+        entries = [[fallbackName, data]]; // Bare, unversioned preset
+    }
+
+    const result = { presets: [], rejected: [] };
+    entries.forEach(([name, preset]) => {
+        if (!isPlainObject(preset)) {
+            result.rejected.push({ name, errors: ['preset must be an object'] });
+            return;
+        }
+        const { ok, preset: valid, errors, warnings } = validatePreset(migratePreset(preset, version));
+        if (ok) result.presets.push({ name, preset: valid, warnings: formatIssues(warnings) });
+        else result.rejected.push({ name, errors: formatIssues(errors) });
+    });
+    return result;
+}
+
+export {
+    validatePreset, migratePreset, formatIssues, exportPreset, exportBank, parsePresetFile,
+    PRESET_SCHEMA, PRESET_SCHEMA_VERSION, PRESET_FILE_FORMAT, PRESET_BANK_FORMAT,
+};
+export default validatePreset;
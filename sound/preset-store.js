@@ -0,0 +1,146 @@
+/* sound/preset-store.js */
+
+/**
+ * Persistent user presets. Each preset is a SoundModule parameter snapshot
+ * (SoundModule.getParameters()), optionally with a `visual` block for the
+ * visualizer settings saved alongside it, stored by name in localStorage.
+ *
+ * The store knows nothing about factory presets; callers (the UI) keep user
+ * names clear of them and register the stored presets with
+ * SoundModule.addPreset().
+ */
+
+const PRESET_STORAGE_KEY = 'maleficarum.userPresets.v1';
+const MAX_PRESET_NAME_LENGTH = 32;
+
+class PresetStore {
+    /**
+     * Creates a new PresetStore instance.
+     * @param {object} [options={}] - Configuration options.
+     * @param {Storage|null} [options.storage=localStorage] - Where presets are persisted (null keeps them in memory only).
+     * @param {string} [options.storageKey] - Storage key for the presets.
+     */
+    constructor(options = {}) {
+        this.options = this._mergeDefaults(options);
+        /** @type {Object.<string, object>} User presets keyed by name. */
+        this.presets = {};
+        this.load();
+    }
+
+    _mergeDefaults(options) {
+        return {
+            storage: typeof localStorage !== 'undefined' ? localStorage : null,
+            storageKey: PRESET_STORAGE_KEY,
+            ...options
+        };
+    }
+
+    /**
+     * Turns a typed name into a preset name: lower case, words joined by underscores
+     * (the selector shows them upper case with spaces, like the factory presets).
+     * @param {string} name - Name as typed ('Night Drive').
+     * @returns {string|null} Preset name ('night_drive'), or null if nothing usable is left.
+     */
+    static normalizeName(name) {
+        const normalized = String(name ?? '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9 _-]/g, '')
+            .replace(/[\s_]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, MAX_PRESET_NAME_LENGTH);
+        return normalized || null;
+    }
+
+    // --- Persistence ---
+
+    /** Loads presets from storage, dropping entries that aren't objects. */
+    load() {
+        this.presets = {};
+        if (!this.options.storage) return;
+        try {
+            const stored = JSON.parse(this.options.storage.getItem(this.options.storageKey) || '{}');
+            Object.entries(stored).forEach(([name, preset]) => {
+                const normalized = PresetStore.normalizeName(name);
+                if (normalized && preset && typeof preset === 'object' && !Array.isArray(preset)) this.presets[normalized] = preset;
+            });
+        } catch (e) {
+            console.warn("PresetStore: Could not read stored presets:", e);
+        }
+    }
+
+    /** @returns {boolean} True if the presets were written (storage can be full or unavailable). */
+    save() {
+        if (!this.options.storage) return true;
+        try {
+            this.options.storage.setItem(this.options.storageKey, JSON.stringify(this.presets));
+            return true;
+        } catch (e) {
+            console.warn("PresetStore: Could not store presets:", e);
+            return false;
+        }
+    }
+
+    // --- Presets ---
+
+    /** User preset names, alphabetically. */
+    getNames() {
+        return Object.keys(this.presets).sort();
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+
+    /** Deep copy of a user preset, or null. */
+    get(name) {
+        return this.has(name) ? JSON.parse(JSON.stringify(this.presets[name])) : null;
+    }
+
+    /**
+     * Saves (or overwrites) a user preset.
+     * @param {string} name - Preset name; normalized with normalizeName().
+     * @param {object} preset - Parameter snapshot, optionally with a `visual` block.
+     * @returns {string|null} The name it was stored under, or null if the name is empty or storage failed.
+     */
+    set(name, preset) {
+        const normalized = PresetStore.normalizeName(name);
+        if (!normalized || !preset || typeof preset !== 'object') return null;
+        const previous = this.presets[normalized];
+        this.presets[normalized] = JSON.parse(JSON.stringify(preset));
+        if (this.save()) return normalized;
+        // Keep memory and storage in step
+        if (previous === undefined) delete this.presets[normalized];
+        else this.presets[normalized] = previous;
+        return null;
+    }
+
+    /**
+     * Renames a user preset. Fails if the new name is empty or already taken.
+     * @returns {string|null} The new name, or null if nothing changed (including when storage failed).
+     */
+    rename(oldName, newName) {
+        const normalized = PresetStore.normalizeName(newName);
+        if (!this.has(oldName) || !normalized || this.has(normalized)) return null;
+        const preset = this.presets[oldName];
+        this.presets[normalized] = preset;
+        delete this.presets[oldName];
+        if (this.save()) return normalized;
+        delete this.presets[normalized];
+        this.presets[oldName] = preset;
+        return null;
+    }
+
+    /** Deletes a user preset. @returns {boolean} True if it existed and the deletion was stored. */
+    remove(name) {
+        if (!this.has(name)) return false;
+        const preset = this.presets[name];
+        delete this.presets[name];
+        if (this.save()) return true;
+        this.presets[name] = preset;
+        return false;
+    }
+}
+
+export { PresetStore, PRESET_STORAGE_KEY };
+export default PresetStore;
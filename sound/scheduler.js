@@ -0,0 +1,115 @@
+/* sound/scheduler.js */
+
+/**
+ * Lookahead scheduler on the AudioContext timeline ("two clocks" pattern).
+ * A coarse JS timer wakes up every few milliseconds and hands each registered
+ * track every step that falls within the next `lookahead` seconds, together with
+ * the exact AudioContext time it should sound at. Audio events are therefore
+ * scheduled sample-accurately, and timer jitter (rAF work, GC pauses) only has to
+ * stay below the lookahead window to be inaudible.
+ *
+ * Several tracks (arpeggiator, sequencers, tempo-synced effects) can share one
+ * scheduler, and therefore one clock.
+ */
+
+class LookaheadScheduler {
+    /**
+     * Creates a new LookaheadScheduler instance.
+     * @param {BaseAudioContext} audioContext - Context whose currentTime is the master clock.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.lookahead=0.1] - How far ahead to schedule, in seconds.
+     * @param {number} [options.interval=25] - Timer period in milliseconds.
+     * @param {boolean} [options.useTimer=true] - Drive tick() from a timer. Disable to call tick() manually (e.g. offline rendering).
+     */
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.options = this._mergeDefaults(options);
+        /** @type {Map<string, object>} Registered tracks, keyed by name. */
+        this.tracks = new Map();
+        this.timerId = null;
+    }
+
+    _mergeDefaults(options) {
+        return {
+            lookahead: 0.1,
+            interval: 25,
+            useTimer: true,
+            ...options
+        };
+    }
+
+    /**
+     * Registers (or replaces) a track and starts the timer if needed.
+     * @param {string} name - Track name (e.g. 'arpeggiator').
+     * @param {object} track - Track definition.
+     * @param {function(number): number} track.getStepDuration - Returns the duration (s) of step `index`; read every step so tempo changes apply immediately.
+     * @param {function(number, number): void} track.onStep - Called with (time, index) for each step to schedule.
+     * @param {number} [track.startTime] - AudioContext time of the first step (defaults to now).
+     */
+    addTrack(name, { getStepDuration, onStep, startTime }) {
+        const now = this.audioContext.currentTime;
+        this.tracks.set(name, {
+            getStepDuration,
+            onStep,
+            nextTime: Math.max(now, startTime ?? now),
+            index: 0,
+        });
+        this.tick(); // Schedule the first steps right away rather than on the next timer tick
+        this._updateTimer();
+    }
+
+    /** Unregisters a track. Steps already handed out stay scheduled. */
+    removeTrack(name) {
+        this.tracks.delete(name);
+        this._updateTimer();
+    }
+
+    hasTrack(name) {
+        return this.tracks.has(name);
+    }
+
+    /** Returns the AudioContext time of a track's next unscheduled step, or null. */
+    getNextStepTime(name) {
+        return this.tracks.get(name)?.nextTime ?? null;
+    }
+
+    /** Schedules every step of every track that falls inside the lookahead window. */
+    tick() {
+        const horizon = this.audioContext.currentTime + this.options.lookahead;
+        this.tracks.forEach((track, name) => {
+            // Guard against runaway loops if a duration is invalid
+            let guard = 0;
+            while (track.nextTime < horizon && guard++ < 256) {
+                try {
+                    track.onStep(track.nextTime, track.index);
+                } catch (e) {
+                    console.error(`LookaheadScheduler: Error in track '${name}':`, e);
+                }
+                // The callback may have removed or replaced this track
+                if (this.tracks.get(name) !== track) return;
+                const duration = Math.max(0.001, Number(track.getStepDuration(track.index)) || 0.125);
+                track.nextTime += duration;
+                track.index++;
+            }
+        });
+    }
+
+    _updateTimer() {
+        if (!this.options.useTimer) return;
+        if (this.tracks.size > 0 && this.timerId === null) {
+            this.timerId = setInterval(() => this.tick(), this.options.interval);
+        } else if (this.tracks.size === 0 && this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /** Removes every track and stops the timer. */
+    dispose() {
+        this.tracks.clear();
+        this._updateTimer();
+    }
+}
+
+export { LookaheadScheduler };
+export default LookaheadScheduler;
@@ -1,43 +1,133 @@
 /* sound/sound-module.js */
 
+import VoiceAllocator from './voice-allocator.js';
+import ModulationMatrix from './modulation-matrix.js';
+import LookaheadScheduler from './scheduler.js';
+import Transport from './transport.js';
+import Tuning, { BUILT_IN_TUNINGS } from './tuning.js';
+import { morphParameters, MORPH_SWITCH_POINT } from './preset-morph.js';
+import { DEFAULT_A4_HZ, MIN_MIDI_NOTE, MAX_MIDI_NOTE, midiToNoteName, noteNameToMidi, normalizeNote } from './notes.js';
+
+// Note at which key tracking leaves the cutoff unchanged (C4)
+const KEY_TRACKING_REFERENCE_HZ = 261.63;
+// Filter envelope depth limit, in octaves either side of the cutoff
+const MAX_FILTER_ENV_OCTAVES = 4;
+// Number of LFOs available as modulation sources ('lfo1'...)
+const MODULATION_LFO_COUNT = 3;
+// Parameter groups that describe an oscillator layer of each voice
+const OSCILLATOR_LAYERS = ['oscillator', 'oscillator2', 'oscillator3', 'subOscillator'];
+const OSCILLATOR_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch', 'lowshelf', 'highshelf', 'peaking', 'allpass'];
+// Shapes of the amplitude envelope's attack, decay and release segments
+const ENVELOPE_CURVES = ['linear', 'exponential'];
+const MAX_UNISON_VOICES = 7;
+// Orders the arpeggiator can walk its notes in ('asPlayed' keeps the pattern order)
+const ARP_MODES = ['up', 'down', 'upDown', 'random', 'asPlayed'];
+const MAX_ARP_OCTAVES = 4;
+const MAX_ARP_SWING = 0.75;
+// 'legato' glides only from a note still held; 'always' also slides fresh notes from the last pitch
+const PORTAMENTO_MODES = ['legato', 'always'];
+const MAX_PORTAMENTO_TIME = 2; // Seconds
+// Velocity curves: map strike velocity (0-1) to the response that drives level, cutoff and envelope times
+const VELOCITY_CURVES = {
+    linear: velocity => velocity,
+    soft: velocity => Math.sqrt(velocity), // Light touches already sound strong
+    hard: velocity => velocity * velocity, // Needs a firm strike to reach full response
+    fixed: () => 1,                        // Ignores velocity
+};
+// Accepted range for the A4 reference pitch (Hz)
+const MIN_A4_HZ = 380;
+const MAX_A4_HZ = 500;
+// Public methods that make up a performance: their calls can be recorded and replayed (see addPerformanceListener)
+const PERFORMANCE_METHODS = [
+    'startNote', 'stopNote', 'setNoteFrequency',
+    'setParameter', 'toggleEffect', 'applyPresetAudio', 'restoreParameters', 'morphPresets',
+    'addModulationRoute', 'removeModulationRoute', 'loadScalaTuning', 'loadKeyboardMapping',
+    'setPitchBend', 'setModWheel', 'setAftertouch', 'setPolyPressure', 'setNoteExpression', 'setSustainPedal',
+    'startTransport', 'stopTransport',
+];
+
 /**
  * Manages Web Audio API for synthesis, effects, analysis, and Arpeggiator.
  * Provides the core sound generation engine for the Maleficarum.
  */
 export default class SoundModule {
-    constructor(initialPresetName = 'vaporwave') {
+    /**
+     * Creates a new SoundModule instance.
+     * @param {string} [initialPresetName='vaporwave'] - Preset loaded before audio starts.
+     * @param {object} [options={}] - Configuration options.
+     * @param {BaseAudioContext|null} [options.audioContext=null] - Context to build the graph in right away (e.g. an
+     *   OfflineAudioContext for rendering). Without one, an AudioContext is created on the first user interaction.
+     * @param {function(): number} [options.random=Math.random] - Source of random numbers in [0, 1) for the reverb
+     *   impulse, random arp steps and sample & hold LFOs; a seeded generator makes renders repeatable.
+     * @param {Object.<string, object>} [options.presets={}] - User presets to register (see addPreset()) before the
+     *   initial preset is applied, so it can be one of them.
+     */
+    constructor(initialPresetName = 'vaporwave', options = {}) {
+        this.options = this._mergeDefaults(options);
+        this.random = this.options.random;
         this.audioState = {
             isInitialized: false,
+            isOffline: false, // True when rendering into an OfflineAudioContext
             isPlaying: false, // Tracks if any note (sustained or arp) is active
             audioContext: null,
             masterGain: null,
             analyser: null,
-            // Main Synth Nodes (managed by note/arp handlers)
-            currentOscillator: null,
-            currentFilter: null,
-            currentGainNode: null, // Envelope control
-            activeNote: null,      // The base note name being held/arp'd ('C4')
+            // Voices (each owns an oscillators -> filter -> envelope chain)
+            voiceAllocator: new VoiceAllocator(),
+            voiceBus: null,        // Sums all voices; feeds master gain and effects
+            heldNotes: [],         // Note names currently held, in the order pressed
+            heldTags: new Map(),   // Per held note, the tags (e.g. MPE channels) holding it when started with one
+            heldVelocities: new Map(), // Per held note, the strike velocity of each tag (null: untagged) holding it
+            pedalNotes: [],        // Released notes kept sounding by the sustain pedal, as { note, tag }
+            activeNote: null,      // The most recently pressed held note ('C4')
             currentNoteFrequency: null, // Frequency of the last note played (for visuals)
             // Effect Nodes (persistent)
             delayNode: null,
             delayFeedback: null,
             reverbNode: null,
             reverbGain: null,
+            // MediaStreamDestinations tapping the master output (recording), keyed by their stream
+            outputStreams: new Map(),
+            // Modulation (LFOs + routing), created with the AudioContext
+            modulationMatrix: null,
+            // Lookahead scheduler shared by the arpeggiator and other timed tracks
+            scheduler: null,
+            // Global clock (BPM, time signature, start/stop) for tempo-synced parameters
+            transport: null,
+            // Performance controllers (pitch bend, mod wheel, channel aftertouch, sustain pedal), e.g. from MIDI
+            controllers: { pitchBend: 0, modWheel: 0, aftertouch: 0, sustain: false },
+            pitchBendSource: null, // ConstantSource (cents) feeding every oscillator's detune
+            modWheelSource: null,  // ConstantSource (0-1) registered as modulation source 'modWheel'
+            aftertouchSource: null, // ConstantSource (0-1) registered as modulation source 'aftertouch'
             // Arpeggiator State
             arp: {
                 active: false,
-                intervalId: null,
+                isRunning: false,   // True while the arp track is registered with the scheduler
                 rate: 8,            // Steps per second
                 pattern: [0, 4, 7], // Semitone offsets
                 currentStep: 0,
-                baseNote: null,     // Base note name for the current arp sequence
+                notes: [],          // Keys the arp plays, in press order (kept after release when latched)
+                currentVoice: null, // Voice of the arp step currently sounding
             },
             // Parameters (will be updated by external calls & presets)
             parameters: {
                 // Structure initialized by preset
                 oscillator: {},
+                oscillator2: {},
+                oscillator3: {},
+                subOscillator: {},
+                unison: {},
                 filter: {},
+                filterEnvelope: {},
                 envelope: {},
+                polyphony: {},
+                controllers: {},
+                portamento: {},
+                velocity: {},
+                transport: {},
+                tuning: {},
+                modulation: { lfos: [], routes: [] },
                 effects: {
                     delay: {},
                     reverb: {},
@@ -50,21 +140,38 @@ export default class SoundModule {
             activePresetName: initialPresetName,
         };
 
-        // Note Frequencies Map
-        this.noteFrequencies = {
-            'C4': 261.63, 'C#4': 277.18, 'D4': 293.66, 'D#4': 311.13, 'E4': 329.63,
-            'F4': 349.23, 'F#4': 369.99, 'G4': 392.00, 'G#4': 415.30, 'A4': 440.00,
-            'A#4': 466.16, 'B4': 493.88, 'C5': 523.25
-            // Add more octaves if needed
-        };
-        this.semitoneRatio = Math.pow(2, 1/12);
+        // Note Frequencies Map (name -> Hz for the full MIDI range), computed from the tuning parameters
+        this.tuning = new Tuning(); // 12-TET until the parameters say otherwise
+        this.noteFrequencies = {};
+
+        /** Listeners told about every note the engine plays (see addNoteListener). */
+        this.noteListeners = new Set();
+        /** Listeners told about every performance method call (see addPerformanceListener). */
+        this.performanceListeners = new Set();
+        this._performanceDepth = 0; // > 0 while a performance method runs, so its inner calls aren't reported
+        this._wrapPerformanceMethods();
+
+        Object.entries(this.options.presets || {}).forEach(([name, preset]) => this.addPreset(name, preset));
 
         // Load initial parameters but defer AudioContext creation
         this.applyPresetAudio(initialPresetName);
 
-        // Defer actual AudioContext initialization until user interaction
         this.initPromise = new Promise(resolve => { this.resolveInit = resolve; });
-        this._addInteractionListener();
+        if (this.options.audioContext) {
+            this._initializeAudio(); // Given a context: no user gesture needed
+        } else {
+            // Defer actual AudioContext initialization until user interaction
+            this._addInteractionListener();
+        }
+    }
+
+    _mergeDefaults(options) {
+        return {
+            audioContext: null,
+            random: Math.random,
+            presets: {},
+            ...options
+        };
     }
 
     // --- Initialization ---
@@ -101,15 +208,21 @@ export default class SoundModule {
         }
 
        try {
-           const AudioContext = window.AudioContext || window.webkitAudioContext;
-           if (!AudioContext) {
-                console.error("Web Audio API not supported.");
-                this.resolveInit(false); return false;
+           if (this.options.audioContext) {
+               this.audioState.audioContext = this.options.audioContext;
+           } else {
+               const AudioContext = window.AudioContext || window.webkitAudioContext;
+               if (!AudioContext) {
+                    console.error("Web Audio API not supported.");
+                    this.resolveInit(false); return false;
+               }
+               this.audioState.audioContext = new AudioContext();
            }
-           this.audioState.audioContext = new AudioContext();
+           // Offline contexts run only while rendering, and suspend between scheduled events
+           this.audioState.isOffline = typeof this.audioState.audioContext.startRendering === 'function';
 
            // Attempt to resume if suspended
-           if (this.audioState.audioContext.state === 'suspended') {
+           if (this.audioState.audioContext.state === 'suspended' && !this.audioState.isOffline) {
                 await this.audioState.audioContext.resume();
            }
 
@@ -123,7 +236,16 @@ export default class SoundModule {
            // Connect analyser AFTER master gain to analyse the final output level
            this.audioState.masterGain.connect(this.audioState.analyser);
 
+           // All voices sum here before reaching the master gain and the effect sends
+           this.audioState.voiceBus = this.audioState.audioContext.createGain();
+           this.audioState.voiceBus.connect(this.audioState.masterGain);
+
+           this._createTransport(); // Before the effects so synced delay times resolve
            this._createAudioEffects(); // Create persistent effect nodes
+           this._createControllerSources(); // Pitch bend / mod wheel signals
+           this._createModulationMatrix(); // LFOs routed onto voice/effect params
+           // Offline, the renderer ticks the scheduler itself as it steps through the timeline
+           this.audioState.scheduler = new LookaheadScheduler(this.audioState.audioContext, { useTimer: !this.audioState.isOffline });
 
            this.audioState.isInitialized = true;
            console.log('Sound Module: Audio Initialized.');
@@ -150,7 +272,7 @@ export default class SoundModule {
         try {
             this.audioState.delayNode = ac.createDelay(2.0); // Max delay time
             this.audioState.delayFeedback = ac.createGain();
-            this.audioState.delayNode.delayTime.setValueAtTime(params.delay?.time ?? 0.5, ac.currentTime);
+            this.audioState.delayNode.delayTime.setValueAtTime(this._getDelayTimeSeconds(params.delay?.time ?? 0.5), ac.currentTime);
             this.audioState.delayFeedback.gain.setValueAtTime(params.delay?.feedback ?? 0.4, ac.currentTime);
 
             this.audioState.delayNode.connect(this.audioState.delayFeedback);
@@ -172,6 +294,151 @@ export default class SoundModule {
         } catch (e) { console.error("Error creating Reverb nodes:", e); }
     }
 
+    // --- Modulation Setup ---
+    /**
+     * Creates the transport, retunes synced parameters whenever its tempo changes and
+     * lets start/stop (e.g. from MIDI clock) drive the arpeggiator and synced LFOs.
+     */
+    _createTransport() {
+        const ac = this.audioState.audioContext;
+        const settings = this.audioState.parameters.transport || {};
+        const transport = new Transport(ac, { bpm: settings.bpm, timeSignature: settings.timeSignature });
+        this.audioState.transport = transport;
+        transport.on('tempo', ({ bpm }) => {
+            // Keep the stored tempo in step with MIDI clock and clamping, so presets save what plays
+            if (this.audioState.parameters.transport) this.audioState.parameters.transport.bpm = bpm;
+            this._applyTempoSync();
+        });
+        transport.on('start', ({ time }) => {
+            this.audioState.modulationMatrix?.restartSyncedLfos();
+            this._syncArpToTransport(time);
+        });
+        transport.on('stop', () => this._syncArpToTransport());
+        transport.on('clockSource', () => this._syncArpToTransport());
+    }
+
+    /**
+     * True while the arp has to wait for the transport: an external clock owns start/stop,
+     * so steps only run between its start and stop messages.
+     */
+    _isArpGatedByTransport() {
+        const transport = this.audioState?.transport;
+        return !!transport && transport.clockSource === 'external' && !transport.isRunning;
+    }
+
+    /**
+     * Starts or stops the arp after a transport start/stop or clock source change.
+     * Keys held (or latched) across a stop resume on the next start.
+     * @param {number} [time] - Transport start time, so the first step lands on the downbeat.
+     */
+    _syncArpToTransport(time) {
+        const arp = this.audioState?.arp;
+        if (!arp?.active) return;
+        if (this._isArpGatedByTransport()) {
+            this._stopArpeggiator();
+            return;
+        }
+        if (this.audioState.heldNotes.length > 0) {
+            arp.notes = this.audioState.heldNotes.slice();
+        } else if (!(this._getArpSettings().latch && arp.notes.length > 0)) {
+            return; // Nothing to play
+        }
+        if (time !== undefined) this._stopArpeggiator(); // Restart in phase with the new start
+        if (!arp.isRunning) {
+            arp.currentStep = 0;
+            this._startArpeggiator(time);
+        }
+    }
+
+    /**
+     * Retunes everything expressed in note divisions after a BPM change. The arp reads its
+     * step length every step, so only the delay and LFOs need pushing.
+     */
+    _applyTempoSync() {
+        const transport = this.audioState.transport;
+        if (!transport) return;
+        if (this.audioState.modulationMatrix) this.audioState.modulationMatrix.setTempo(transport.bpm);
+        const delayTime = this.audioState.parameters.effects.delay?.time;
+        if (Transport.isDivision(delayTime) && this.audioState.delayNode) {
+            this.audioState.delayNode.delayTime.setTargetAtTime(this._getDelayTimeSeconds(delayTime), this.audioState.audioContext.currentTime, 0.02);
+        }
+    }
+
+    /** Delay time in seconds; `time` is seconds or a note division ('1/8d') synced to the transport. */
+    _getDelayTimeSeconds(time) {
+        const seconds = Transport.isDivision(time) ? this.audioState.transport?.divisionToSeconds(time) : Number(time);
+        return Math.max(0, Math.min(2.0, Number.isFinite(seconds) ? seconds : 0.5)); // Clamp to max delay
+    }
+
+    /** Constant sources carrying the pitch bend (in cents), mod wheel and aftertouch (0-1) signals on the audio clock. */
+    _createControllerSources() {
+        const ac = this.audioState.audioContext;
+        try {
+            ['pitchBendSource', 'modWheelSource', 'aftertouchSource'].forEach(key => {
+                const source = ac.createConstantSource();
+                source.offset.setValueAtTime(0, ac.currentTime);
+                source.start();
+                this.audioState[key] = source;
+            });
+        } catch (e) { console.error("Error creating controller sources:", e); }
+    }
+
+    _createModulationMatrix() {
+        const ac = this.audioState.audioContext;
+        if (!ac) return;
+        try {
+            this.audioState.modulationMatrix = new ModulationMatrix(ac, {
+                lfoCount: MODULATION_LFO_COUNT,
+                bpm: this.audioState.transport?.bpm,
+                random: this.random,
+                globalTargets: {
+                    'oscillator.gain': this.audioState.voiceBus?.gain,
+                    'effects.delay.time': this.audioState.delayNode?.delayTime,
+                    'effects.reverb.wet': this.audioState.reverbGain?.gain,
+                },
+            });
+            // Registered before the preset routes are applied so they can use it
+            if (this.audioState.modWheelSource) this.audioState.modulationMatrix.registerSource('modWheel', this.audioState.modWheelSource);
+            if (this.audioState.aftertouchSource) this.audioState.modulationMatrix.registerSource('aftertouch', this.audioState.aftertouchSource);
+            // Per-note pressure and slide (poly aftertouch, MPE): each voice carries its own sources
+            this.audioState.modulationMatrix.registerVoiceSource('polyPressure');
+            this.audioState.modulationMatrix.registerVoiceSource('slide');
+            this._applyModulationParams();
+        } catch (e) { console.error("Error creating modulation matrix:", e); }
+    }
+
+    /** Pushes parameters.modulation (LFO settings and routes) into the modulation matrix. */
+    _applyModulationParams() {
+        const matrix = this.audioState?.modulationMatrix;
+        const modulation = this.audioState?.parameters?.modulation;
+        if (!matrix || !modulation) return;
+        (modulation.lfos || []).forEach((lfoSettings, index) => matrix.setLfo(index, lfoSettings));
+        matrix.setRoutes(modulation.routes || []);
+    }
+
+    /**
+     * Adds a modulation route and applies it immediately.
+     * @param {string} source - Source name ('lfo1', 'lfo2', ...).
+     * @param {string} target - Parameter path (e.g. 'filter.frequency', 'effects.reverb.wet').
+     * @param {number} amount - Depth from -1 to 1.
+     * @returns {number} Index of the new route.
+     */
+    addModulationRoute(source, target, amount) {
+        if (!this.audioState?.parameters?.modulation) return -1;
+        const routes = this.audioState.parameters.modulation.routes;
+        routes.push({ source, target, amount });
+        this._applyModulationParams();
+        return routes.length - 1;
+    }
+
+    /** Removes the modulation route at `index`. */
+    removeModulationRoute(index) {
+        const routes = this.audioState?.parameters?.modulation?.routes;
+        if (!routes || index < 0 || index >= routes.length) return;
+        routes.splice(index, 1);
+        this._applyModulationParams();
+    }
+
     _updateReverbImpulse() {
         if (!this.audioState?.isInitialized || !this.audioState.reverbNode || !this.audioState.audioContext || !this.audioState.parameters?.effects?.reverb) {
             // console.warn("Cannot update reverb: Not ready or params missing.");
@@ -191,8 +458,8 @@ export default class SoundModule {
             // Exponential decay noise
             for (let i = 0; i < length; i++) {
                 const env = Math.exp(-i / (sampleRate * validDecay / 4)); // Adjust decay curve shape
-                left[i] = (Math.random() * 2 - 1) * env;
-                right[i] = (Math.random() * 2 - 1) * env;
+                left[i] = (this.random() * 2 - 1) * env;
+                right[i] = (this.random() * 2 - 1) * env;
             }
             this.audioState.reverbNode.buffer = impulse;
         } catch (e) {
@@ -207,57 +474,668 @@ export default class SoundModule {
         }
     }
 
+    // --- Transport ---
+
+    /**
+     * Starts the global transport (bar/beat position for synced tracks and MIDI clock).
+     * @param {number} [time] - AudioContext time of the first beat (defaults to now).
+     */
+    startTransport(time) {
+        this.audioState?.transport?.start(time);
+    }
+
+    stopTransport() {
+        this.audioState?.transport?.stop();
+    }
+
+    // --- Tuning ---
+
+    /**
+     * Rebuilds the tuning and the note frequency table (C-1 to G9) from the tuning parameters.
+     * Keys a keyboard mapping leaves unmapped are left out of the table, so they don't sound.
+     */
+    _computeNoteFrequencies() {
+        this.tuning = this._createTuning();
+        const a4 = this._getReferencePitch();
+        const frequencies = {};
+        for (let number = MIN_MIDI_NOTE; number <= MAX_MIDI_NOTE; number++) {
+            const frequency = this.tuning.getFrequency(number, a4);
+            if (frequency) frequencies[midiToNoteName(number)] = frequency;
+        }
+        this.noteFrequencies = frequencies;
+    }
+
+    /** Builds the Tuning described by parameters.tuning, falling back to 12-TET if its Scala data is invalid. */
+    _createTuning() {
+        const settings = this.audioState?.parameters.tuning || {};
+        try {
+            if (settings.scale === 'custom' && settings.scl) return Tuning.fromScala(settings.scl, settings.kbm || null);
+            return Tuning.builtIn(settings.scale || '12tet', settings.kbm || null);
+        } catch (e) {
+            console.warn("SoundModule: Invalid tuning, using 12-TET:", e.message);
+            return new Tuning();
+        }
+    }
+
+    _getReferencePitch() {
+        const a4 = Number(this.audioState?.parameters.tuning?.a4);
+        return Number.isFinite(a4) ? Math.max(MIN_A4_HZ, Math.min(MAX_A4_HZ, a4)) : DEFAULT_A4_HZ;
+    }
+
+    /**
+     * Loads a Scala scale (and optionally a keyboard mapping) as the current tuning.
+     * @param {string} sclText - Contents of a .scl file.
+     * @param {string|null} [kbmText=null] - Contents of a .kbm file.
+     * @returns {{ok: boolean, name?: string, error?: string}} Result; invalid files leave the tuning unchanged.
+     */
+    loadScalaTuning(sclText, kbmText = null) {
+        try {
+            const tuning = Tuning.fromScala(sclText, kbmText); // Validates both files
+            this.audioState.parameters.tuning = { ...this.audioState.parameters.tuning, scale: 'custom', scl: sclText, kbm: kbmText || null };
+            this._computeNoteFrequencies();
+            return { ok: true, name: tuning.name };
+        } catch (e) {
+            console.warn("SoundModule: Could not load Scala tuning:", e.message);
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /**
+     * Applies a keyboard mapping (.kbm) to the current scale, or removes it.
+     * @param {string|null} kbmText - Contents of a .kbm file, or null for the default mapping.
+     * @returns {{ok: boolean, error?: string}} Result; an invalid file leaves the mapping unchanged.
+     */
+    loadKeyboardMapping(kbmText) {
+        const settings = this.audioState.parameters.tuning;
+        try {
+            if (kbmText) {
+                if (settings.scale === 'custom' && settings.scl) Tuning.fromScala(settings.scl, kbmText);
+                else Tuning.builtIn(settings.scale || '12tet', kbmText);
+            }
+            settings.kbm = kbmText || null;
+            this._computeNoteFrequencies();
+            return { ok: true };
+        } catch (e) {
+            console.warn("SoundModule: Could not load keyboard mapping:", e.message);
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /** Built-in tunings as [{ id, label }] (for selectors); 'custom' is a loaded Scala file. */
+    getTuningNames() {
+        return Object.entries(BUILT_IN_TUNINGS).map(([id, definition]) => ({ id, label: definition.label }));
+    }
+
+    /**
+     * Frequency a key sounds at, a number of keys away from a note (arp offsets, patterns).
+     * Offsets count keys, so they follow the tuning: +7 is a just fifth in 5-limit JI.
+     * @returns {number|null} Hz, or null if the key is unmapped.
+     */
+    _getOffsetFrequency(note, offset = 0) {
+        const number = noteNameToMidi(note);
+        if (number === null) return null;
+        if (!offset) return this.noteFrequencies[note] ?? null;
+        return this.tuning.getFrequency(number + offset, this._getReferencePitch());
+    }
+
+    /**
+     * Frequency of a possibly fractional key under the current tuning; fractions interpolate
+     * in pitch between the neighbouring keys (e.g. for continuous XY pad glides).
+     * @param {number} key - MIDI note number, e.g. 60.5 for halfway between C4 and C#4.
+     * @returns {number|null} Hz, or null if a neighbouring key is unmapped.
+     */
+    getKeyFrequency(key) {
+        const a4 = this._getReferencePitch();
+        const lower = Math.floor(key);
+        const lowerFrequency = this.tuning.getFrequency(lower, a4);
+        if (!lowerFrequency || key === lower) return lowerFrequency;
+        const upperFrequency = this.tuning.getFrequency(lower + 1, a4);
+        if (!upperFrequency) return null;
+        return lowerFrequency * Math.pow(upperFrequency / lowerFrequency, key - lower);
+    }
+
+    /**
+     * Glides the voices of a held note to a new frequency without retriggering them.
+     * The note keeps its name (for releasing), only its pitch moves.
+     * @param {string|number} note - Held note name or MIDI number.
+     * @param {number} frequency - Target frequency in Hz.
+     * @param {number} [glideTime=0.02] - Seconds to reach the target.
+     */
+    setNoteFrequency(note, frequency, glideTime = 0.02) {
+        const name = normalizeNote(note);
+        const ac = this.audioState?.audioContext;
+        if (!name || !ac || !(frequency > 0)) return;
+        const now = ac.currentTime;
+        const timeConstant = Math.max(0.001, glideTime) / 3; // ~95% of the way after glideTime
+        this.audioState.voiceAllocator.getHeldVoices(name).forEach(voice => {
+            voice.oscillators.forEach(({ node }) => node.frequency.setTargetAtTime(frequency, now, timeConstant));
+            voice.frequency = frequency;
+        });
+        this.audioState.currentNoteFrequency = frequency;
+    }
+
+    /**
+     * Frequency of a note under the current tuning.
+     * @param {string|number} note - Note name ('C4', 'Db4') or MIDI note number.
+     * @returns {number|null} Hz, or null outside the MIDI range.
+     */
+    getNoteFrequency(note) {
+        const name = normalizeNote(note);
+        return name ? this.noteFrequencies[name] : null;
+    }
+
+    // --- Note Events ---
+
+    /**
+     * Subscribes to every note the engine sounds, sustained or generated by the arpeggiator
+     * (e.g. to mirror them to a MIDI output). Arp note-offs are announced ahead of time,
+     * together with their note-ons, and 'arpStop' (with its time) tells that steps announced
+     * ahead were cut.
+     * @param {function(object): void} listener - Receives { type: 'noteOn'|'noteOff'|'arpStop', note, offset (semitones), velocity (0-1), time, isArp }.
+     * @returns {function(): void} Unsubscribe function.
+     */
+    addNoteListener(listener) {
+        this.noteListeners.add(listener);
+        return () => this.noteListeners.delete(listener);
+    }
+
+    /**
+     * Subscribes to calls of the performance methods (PERFORMANCE_METHODS), e.g. to record them.
+     * Only outermost calls are reported: a preset change doesn't also report the parameters it sets.
+     * @param {function(object): void} listener - Receives { type (method name), args, time (AudioContext time, or null before init) }.
+     * @returns {function(): void} Unsubscribe function.
+     */
+    addPerformanceListener(listener) {
+        this.performanceListeners.add(listener);
+        return () => this.performanceListeners.delete(listener);
+    }
+
+    _wrapPerformanceMethods() {
+        PERFORMANCE_METHODS.forEach(type => {
+            const method = this[type];
+            this[type] = (...args) => {
+                if (this._performanceDepth > 0 || this.performanceListeners.size === 0) return method.apply(this, args);
+                const event = { type, args, time: this.audioState?.audioContext?.currentTime ?? null };
+                this.performanceListeners.forEach(listener => {
+                    try { listener(event); } catch (e) { console.error("SoundModule: Error in performance listener:", e); }
+                });
+                this._performanceDepth++;
+                try {
+                    return method.apply(this, args);
+                } finally {
+                    this._performanceDepth--;
+                }
+            };
+        });
+    }
+
+    _emitNoteEvent(event) {
+        this.noteListeners.forEach(listener => {
+            try { listener(event); } catch (e) { console.error("SoundModule: Error in note listener:", e); }
+        });
+    }
+
+    /** Announces the end of a voice's note once, however the voice ends (release, steal, cut). */
+    _emitVoiceNoteOff(voice, time) {
+        if (!voice || voice.noteOffSent || !voice.noteEvent) return;
+        voice.noteOffSent = true;
+        this._emitNoteEvent({ ...voice.noteEvent, type: 'noteOff', velocity: 0, time });
+    }
+
     // --- Note Handling ---
-    async startNote(note) {
-        const initialized = await this.initPromise;
+
+    /**
+     * Starts a note (or hands it to the arpeggiator).
+     * @param {string|number} note - Note name ('C4', 'Bb2') or MIDI note number (0-127).
+     * @param {number} [velocity=1] - Strike velocity 0-1, shaped by parameters.velocity into level, cutoff and envelope times.
+     * @param {string|null} [tag=null] - Identity of the key holding the note (e.g. an MPE channel), so the
+     *   same pitch held twice keeps two voices that stopNote() and setNoteExpression() can tell apart.
+     */
+    async startNote(note, velocity = 1, tag = null) {
+        note = normalizeNote(note) ?? note; // Notes are tracked by their canonical sharp name
+        // Once initialized, run synchronously so a note-off right behind a note-on (MIDI) can't overtake it
+        const initialized = this.audioState?.isInitialized || await this.initPromise;
         if (!this.audioState || !initialized || !this.noteFrequencies[note]) {
             console.warn(`SoundModule: Cannot start note ${note}. Not ready or note invalid.`);
             return;
         }
         const ac = this.audioState.audioContext;
-        if (!ac || ac.state !== 'running') {
+        if (!ac || (ac.state !== 'running' && !this.audioState.isOffline)) {
             console.warn(`SoundModule: AudioContext not running. State: ${ac?.state}`);
             return; // Don't proceed if context isn't running
         }
 
-        this.audioState.activeNote = note; // Store the base note being pressed
+        // Track held keys in the order they were pressed; the latest is the 'active' note
+        const heldNotes = this.audioState.heldNotes;
+        if (!heldNotes.includes(note)) heldNotes.push(note);
+        if (tag !== null) {
+            if (!this.audioState.heldTags.has(note)) this.audioState.heldTags.set(note, new Set());
+            this.audioState.heldTags.get(note).add(tag);
+        }
+        const heldVelocities = this.audioState.heldVelocities;
+        if (!heldVelocities.has(note)) heldVelocities.set(note, new Map());
+        heldVelocities.get(note).set(tag, velocity);
+        this._removePedalNote(note, tag); // Held again: the pedal no longer owns it
+        this.audioState.activeNote = note;
+        this.audioState.isPlaying = true;
 
         if (this.audioState.arp.active) {
-            if (!this.audioState.isPlaying) { // Start arp if not already running
-                this.audioState.arp.baseNote = note;
+            // The arp plays every held key; after a latched release the next press starts a new chord
+            this.audioState.arp.notes = heldNotes.slice();
+            if (!this.audioState.arp.isRunning) { // Start arp if not already running
                 this.audioState.arp.currentStep = 0;
                 this._startArpeggiator();
-                this.audioState.isPlaying = true;
-            } else { // Arp running, just update base note
-                this.audioState.arp.baseNote = note;
-                // Option: Reset step? Current logic lets sequence continue with new base.
-                // this.audioState.arp.currentStep = 0;
             }
+            // Arp running: the sequence continues from the new base note
         } else {
-            this._stopSustainedNote(false); // Stop previous sustained note abruptly
-            this._playSustainedNote(note); // Play new sustained note
-            // isPlaying is set within _playSustainedNote
+            this._playSustainedNote(note, velocity, tag); // Adds a voice (older voices keep sounding), or, with portamento, glides a held mono or same-tag voice
         }
     }
 
-    stopNote(useRelease = true) {
-        if (!this.audioState || !this.audioState.isPlaying) return; // Nothing to stop
-
-        if (this.audioState.arp.active && this.audioState.arp.intervalId) {
-            // Arpeggiator is ON and running: Stop the sequence
-            this._stopArpeggiator();
-        } else if (!this.audioState.arp.active && this.audioState.currentOscillator) {
-            // Arpeggiator is OFF and a sustained note is playing: Stop it
-            this._stopSustainedNote(useRelease);
+    /**
+     * Releases a held note. With no note given, releases every held note
+     * (this also stops a latched arpeggiator and overrides the sustain pedal).
+     * While the sustain pedal is down, released notes keep sounding until it is lifted.
+     * @param {string|number|null} [note=null] - Note name or MIDI number to release, or null for all.
+     * @param {boolean} [useRelease=true] - Use the envelope release, or cut quickly.
+     * @param {string|null} [tag=null] - Releases only the voice started with this tag (see startNote);
+     *   the note stays held while other tags hold it. Without a tag, every voice of the note is released.
+     */
+    stopNote(note = null, useRelease = true, tag = null) {
+        if (!this.audioState) return;
+        if (note !== null) note = normalizeNote(note) ?? note;
+        const heldNotes = this.audioState.heldNotes;
+        const heldTags = this.audioState.heldTags;
+        if (note !== null && this.audioState.controllers.sustain && heldNotes.includes(note)) {
+            const pedalNotes = this.audioState.pedalNotes;
+            if (!pedalNotes.some(entry => entry.note === note && entry.tag === tag)) pedalNotes.push({ note, tag });
+            return;
+        }
+        if (note === null) {
+            heldNotes.length = 0;
+            heldTags.clear();
+            this.audioState.heldVelocities.clear();
+            this.audioState.pedalNotes.length = 0;
+        } else {
+            const tags = heldTags.get(note);
+            if (tag !== null && tags) tags.delete(tag);
+            if (tag === null || tags?.size === 0) heldTags.delete(note);
+            const velocities = this.audioState.heldVelocities.get(note);
+            if (tag !== null && velocities) velocities.delete(tag);
+            if (tag === null || velocities?.size === 0) this.audioState.heldVelocities.delete(note);
+            // The same pitch held under another tag (e.g. on a second MPE channel) stays held
+            if (!heldTags.has(note)) {
+                const index = heldNotes.indexOf(note);
+                if (index !== -1) heldNotes.splice(index, 1);
+            }
+        }
+        this.audioState.activeNote = heldNotes.length > 0 ? heldNotes[heldNotes.length - 1] : null;
+
+        if (this.audioState.arp.active && this.audioState.arp.isRunning) {
+            const latched = note !== null && this._getArpSettings().latch;
+            if (!this.audioState.activeNote && !latched) {
+                this._stopArpeggiator();
+            } else if (!latched) {
+                // Other keys still held: keep arpeggiating those
+                this.audioState.arp.notes = heldNotes.slice();
+            }
+            // Latched: released keys stay in the chord until a fresh press replaces it
+        } else {
+            const voices = this.audioState.voiceAllocator.getHeldVoices(note).filter(voice => tag === null || voice.tag === tag);
+            const returnNote = this.audioState.activeNote;
+            const portamento = this.audioState.audioContext ? this._getPortamento() : { time: 0 };
+            // Legato portamento: letting go of the gliding key slides back to the last key still down
+            if (note !== null && portamento.time > 0 && returnNote && voices.length === 1 && !voices[0].isArpVoice
+                && this.audioState.voiceAllocator.getHeldVoices(returnNote).length === 0) {
+                this._glideVoiceToNote(voices[0], returnNote, voices[0].velocity ?? 1, this.audioState.audioContext.currentTime, portamento.time);
+            } else {
+                voices.forEach(voice => this._releaseVoice(voice, useRelease));
+            }
         }
 
-        this.audioState.isPlaying = false; // Mark main state as stopped
-        this.audioState.activeNote = null; // Clear the held note name
+        this.audioState.isPlaying = heldNotes.length > 0 || this.audioState.arp.isRunning;
         // Don't clear currentNoteFrequency here, let visualizer use the last played freq
     }
 
-    // --- Internal Note Playing Methods ---
-    _playSustainedNote(note) {
+    /** Strike velocity a held note was started with (by this tag), 1 if unknown. */
+    _getHeldVelocity(note, tag = null) {
+        return this.audioState.heldVelocities.get(note)?.get(tag) ?? 1;
+    }
+
+    _removePedalNote(note, tag = null) {
+        const pedalNotes = this.audioState.pedalNotes;
+        for (let i = pedalNotes.length - 1; i >= 0; i--) {
+            if (pedalNotes[i].note === note && (tag === null || pedalNotes[i].tag === tag)) pedalNotes.splice(i, 1);
+        }
+    }
+
+    // --- Performance Controllers ---
+
+    /**
+     * Bends every sounding voice (and new ones) by up to `controllers.pitchBendRange` semitones.
+     * @param {number} value - Bend position, -1 (down) to 1 (up).
+     */
+    setPitchBend(value) {
+        if (!this.audioState) return;
+        const bend = Math.max(-1, Math.min(1, Number(value) || 0));
+        this.audioState.controllers.pitchBend = bend;
+        const source = this.audioState.pitchBendSource;
+        if (source) {
+            const range = this.audioState.parameters.controllers?.pitchBendRange ?? 2;
+            source.offset.setTargetAtTime(bend * range * 100, this.audioState.audioContext.currentTime, 0.005);
+        }
+    }
+
+    /**
+     * Sets the mod wheel, available to modulation routes as source 'modWheel'.
+     * @param {number} value - Wheel position 0-1.
+     */
+    setModWheel(value) {
+        if (!this.audioState) return;
+        const position = Math.max(0, Math.min(1, Number(value) || 0));
+        this.audioState.controllers.modWheel = position;
+        const source = this.audioState.modWheelSource;
+        if (source) source.offset.setTargetAtTime(position, this.audioState.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Sets channel aftertouch, available to modulation routes as source 'aftertouch'.
+     * @param {number} value - Pressure 0-1.
+     */
+    setAftertouch(value) {
+        if (!this.audioState) return;
+        const pressure = Math.max(0, Math.min(1, Number(value) || 0));
+        this.audioState.controllers.aftertouch = pressure;
+        const source = this.audioState.aftertouchSource;
+        if (source) source.offset.setTargetAtTime(pressure, this.audioState.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Sets polyphonic key pressure for one held note, available to modulation routes as the
+     * per-voice source 'polyPressure' (it only moves that note's voices).
+     * @param {string|number} note - Note name or MIDI number.
+     * @param {number} value - Pressure 0-1.
+     */
+    setPolyPressure(note, value) {
+        this.setNoteExpression(note, { pressure: value });
+    }
+
+    /**
+     * Per-note expression (e.g. from MPE): shapes one held note's voices without touching the others.
+     * Slide and pressure reach sounds through modulation routes from the per-voice sources
+     * 'slide' and 'polyPressure'; bend detunes the voice directly.
+     * @param {string|number} note - Note name or MIDI number.
+     * @param {object} expression - { bend (semitones), slide (0-1), pressure (0-1) }; omitted values are kept.
+     * @param {string|null} [tag=null] - Only shape the voice started with this tag (see startNote).
+     */
+    setNoteExpression(note, expression = {}, tag = null) {
+        const ac = this.audioState?.audioContext;
+        const name = normalizeNote(note);
+        if (!ac || !name) return;
+        const now = ac.currentTime;
+        const unit = (value) => Math.max(0, Math.min(1, Number(value) || 0));
+        this.audioState.voiceAllocator.getHeldVoices(name).forEach(voice => {
+            if (!voice.expression || (tag !== null && voice.tag !== tag)) return;
+            if (expression.bend !== undefined) {
+                voice.expression.bend = Number(expression.bend) || 0;
+                voice.bendSource?.offset.setTargetAtTime(voice.expression.bend * 100, now, 0.005);
+            }
+            if (expression.slide !== undefined) {
+                voice.expression.slide = unit(expression.slide);
+                voice.modSources.slide.offset.setTargetAtTime(voice.expression.slide, now, 0.01);
+            }
+            if (expression.pressure !== undefined) {
+                voice.expression.pressure = unit(expression.pressure);
+                voice.modSources.polyPressure.offset.setTargetAtTime(voice.expression.pressure, now, 0.01);
+            }
+        });
+    }
+
+    /**
+     * Expression of every held note, e.g. for visuals that follow each finger.
+     * @returns {{note: string, tag: string|null, frequency: number, velocity: number, bend: number, slide: number, pressure: number}[]}
+     */
+    getNoteExpressions() {
+        if (!this.audioState) return [];
+        return this.audioState.voiceAllocator.getHeldVoices()
+            .filter(voice => !voice.isArpVoice && voice.expression)
+            .map(voice => ({ note: voice.note, tag: voice.tag ?? null, frequency: voice.frequency, velocity: voice.velocity ?? 1, ...voice.expression }));
+    }
+
+    /**
+     * Sustain pedal. Lifting it releases every note let go while it was down.
+     * @param {boolean} isDown - Pedal state.
+     */
+    setSustainPedal(isDown) {
+        if (!this.audioState) return;
+        this.audioState.controllers.sustain = !!isDown;
+        if (isDown) return;
+        const pedalNotes = this.audioState.pedalNotes.splice(0);
+        pedalNotes.forEach(({ note, tag }) => this.stopNote(note, true, tag));
+    }
+
+    // --- Internal Voice Methods ---
+
+    /**
+     * Builds the oscillators -> filter -> envelope chain for one voice and connects it to the voice bus.
+     * Each active oscillator layer (oscillator, oscillator2, oscillator3, subOscillator) gets its own
+     * level gain; unison copies of a layer are detuned and optionally spread across the stereo field.
+     * The envelope gain starts at zero; callers schedule the envelope and start the voice.
+     * @param {number} [cutoffCents=0] - Fixed cutoff offset for this voice (e.g. from velocity).
+     * @returns {object} Voice object (not yet registered with the allocator).
+     */
+    _createVoice(note, frequency, startTime, cutoffCents = 0) {
+        const ac = this.audioState.audioContext;
+        const params = this.audioState.parameters;
+
+        const filter = ac.createBiquadFilter();
+        const gainNode = ac.createGain(); // Envelope control
+
+        filter.type = params.filter.type || 'lowpass';
+        filter.frequency.setValueAtTime(this._getVoiceCutoff(frequency, cutoffCents), startTime);
+        filter.Q.setValueAtTime(Math.max(0.0001, params.filter.Q || 1), startTime);
+        // The filter envelope drives detune (cents) so live cutoff changes and the envelope add up
+        filter.detune.setValueAtTime(0, startTime);
+
+        gainNode.gain.setValueAtTime(0, startTime); // Start at zero
+
+        const voice = { note, frequency, cutoffCents, filter, gainNode, startTime, oscillators: [], layerGains: {}, mixNodes: [] };
+
+        // Oscillator layers -> Filter -> Envelope Gain -> Voice Bus (-> Master + Effects)
+        this._getOscillatorLayers().forEach(layer => this._buildVoiceLayer(voice, layer, startTime));
+
+        filter.connect(gainNode);
+        gainNode.connect(this.audioState.voiceBus);
+
+        // Per-note expression: modulation sources for pressure and slide, and a bend (cents) on every
+        // oscillator. They are constant sources started and stopped with the oscillators.
+        const createControlSource = () => {
+            const source = ac.createConstantSource();
+            source.offset.setValueAtTime(0, startTime);
+            return source;
+        };
+        voice.modSources = { polyPressure: createControlSource(), slide: createControlSource() };
+        voice.bendSource = createControlSource();
+        voice.expression = { bend: 0, slide: 0, pressure: 0 };
+
+        // AudioParams the modulation matrix may drive, keyed by target path
+        voice.modTargets = {
+            'oscillator.detune': voice.oscillators.map(o => o.node.detune),
+            'filter.frequency': [filter.detune],
+            'filter.Q': [filter.Q],
+        };
+        this.audioState.modulationMatrix?.connectVoice(voice);
+        // Pitch bend (global and per note) adds its cents to every oscillator
+        voice.modTargets['oscillator.detune'].forEach(param => {
+            if (this.audioState.pitchBendSource) this.audioState.pitchBendSource.connect(param);
+            voice.bendSource.connect(param);
+        });
+        // All oscillators stop together, so the first one's end signals cleanup
+        voice.oscillators[0].node.onended = () => this._cleanupVoice(voice);
+        return voice;
+    }
+
+    /**
+     * Builds one oscillator layer of a voice (its unison copies and level gain) into the voice's filter.
+     * @param {object} voice - Voice being built or already sounding.
+     * @param {{name: string, settings: object, allowUnison: boolean}} layer - Layer from _getOscillatorLayers().
+     * @param {number} startTime - AudioContext time the layer's initial values apply from.
+     * @returns {object[]} The layer's new voice.oscillators entries (not started).
+     */
+    _buildVoiceLayer(voice, { name, settings, allowUnison }, startTime) {
+        const ac = this.audioState.audioContext;
+        const unison = this.audioState.parameters.unison || {};
+        const count = allowUnison ? Math.max(1, Math.min(MAX_UNISON_VOICES, Math.round(unison.voices || 1))) : 1;
+        const layerGain = ac.createGain();
+        // Equal-power sum so unison thickens without jumping in level
+        layerGain.gain.setValueAtTime(this._getLayerLevel(settings) / Math.sqrt(count), startTime);
+        layerGain.connect(voice.filter);
+        voice.layerGains[name] = { node: layerGain, count };
+
+        const oscillators = [];
+        for (let i = 0; i < count; i++) {
+            // Spread copies evenly from -1 to +1 across the unison width
+            const position = count > 1 ? (i / (count - 1)) * 2 - 1 : 0;
+            const unisonOffset = position * (unison.detune || 0);
+            const osc = ac.createOscillator();
+            osc.type = settings.type || 'sine';
+            osc.frequency.setValueAtTime(voice.frequency, startTime);
+            osc.detune.setValueAtTime(this._getLayerCents(name) + unisonOffset, startTime);
+
+            const spread = Math.max(0, Math.min(1, unison.spread || 0));
+            if (count > 1 && spread > 0 && typeof ac.createStereoPanner === 'function') {
+                const panner = ac.createStereoPanner();
+                panner.pan.setValueAtTime(position * spread, startTime);
+                osc.connect(panner);
+                panner.connect(layerGain);
+                voice.mixNodes.push(panner);
+            } else {
+                osc.connect(layerGain);
+            }
+            oscillators.push({ node: osc, layer: name, unisonOffset });
+        }
+        voice.oscillators.push(...oscillators);
+        voice.mixNodes.push(layerGain);
+        return oscillators;
+    }
+
+    /**
+     * Switches a layer on or off on the held voices, fading its level over to `time`, so a
+     * layer turned on (e.g. while morphing presets) joins notes already sounding. Voices
+     * without the layer get it built and started at zero level; switching off fades it to
+     * zero and the oscillators run on silently until the voice ends. Arp steps are short
+     * and pick up the change on the next step.
+     */
+    _setVoiceLayerActive(layerName, isActive, time) {
+        const ac = this.audioState.audioContext;
+        const now = ac.currentTime;
+        const layer = this._getOscillatorLayers().find(({ name }) => name === layerName);
+        const matrix = this.audioState.modulationMatrix;
+        this.audioState.voiceAllocator.getHeldVoices().filter(voice => !voice.isArpVoice).forEach(voice => {
+            if (!voice.layerGains[layerName]) {
+                if (!isActive || !layer) return;
+                const oscillators = this._buildVoiceLayer(voice, layer, now);
+                voice.layerGains[layerName].node.gain.setValueAtTime(0, now);
+                // Modulation routes and pitch bend reach the new oscillators like the others
+                matrix?.disconnectVoice(voice);
+                voice.modTargets['oscillator.detune'] = voice.oscillators.map(o => o.node.detune);
+                matrix?.connectVoice(voice);
+                oscillators.forEach(({ node }) => {
+                    if (this.audioState.pitchBendSource) this.audioState.pitchBendSource.connect(node.detune);
+                    voice.bendSource.connect(node.detune);
+                    node.start(now);
+                });
+            }
+            const { node, count } = voice.layerGains[layerName];
+            const level = isActive ? this._getLayerLevel(this.audioState.parameters[layerName]) / Math.sqrt(count) : 0;
+            node.gain.linearRampToValueAtTime(level, time);
+        });
+    }
+
+    /**
+     * Active oscillator layers for new voices. The main oscillator is always on;
+     * oscillator2/3 and the sub-oscillator join when their `active` flag is set.
+     * @returns {{name: string, settings: object, allowUnison: boolean}[]}
+     */
+    _getOscillatorLayers() {
+        const params = this.audioState.parameters;
+        const layers = [{ name: 'oscillator', settings: params.oscillator, allowUnison: true }];
+        ['oscillator2', 'oscillator3'].forEach(name => {
+            if (params[name]?.active) layers.push({ name, settings: params[name], allowUnison: true });
+        });
+        if (params.subOscillator?.active) {
+            layers.push({ name: 'subOscillator', settings: params.subOscillator, allowUnison: false });
+        }
+        return layers;
+    }
+
+    /** Layer pitch offset in cents (octave/semitone/fine plus the global oscillator.detune). */
+    _getLayerCents(layerName) {
+        const params = this.audioState.parameters;
+        const settings = params[layerName] || {};
+        const globalDetune = params.oscillator.detune || 0;
+        if (layerName === 'subOscillator') {
+            return (settings.octave ?? -1) * 1200 + globalDetune; // Sub follows octaves only
+        }
+        return (settings.octave || 0) * 1200 + (settings.semitone || 0) * 100 + (settings.fine || 0) + globalDetune;
+    }
+
+    _getLayerLevel(settings) {
+        return Math.max(0, Math.min(1, settings.level ?? 1.0));
+    }
+
+    /** Constant sources carrying a voice's per-note expression. */
+    _getVoiceControlSources(voice) {
+        return [...Object.values(voice.modSources || {}), voice.bendSource].filter(Boolean);
+    }
+
+    /** Starts every oscillator (and expression source) of a voice at `time`. */
+    _startVoice(voice, time) {
+        voice.oscillators.forEach(({ node }) => node.start(time));
+        this._getVoiceControlSources(voice).forEach(source => source.start(time));
+    }
+
+    /** Schedules every oscillator of a voice to stop at `time` (omit for immediately). */
+    _stopVoice(voice, time) {
+        [...voice.oscillators.map(({ node }) => node), ...this._getVoiceControlSources(voice)].forEach(node => {
+            try { node.stop(time); } catch(e) { /* Already stopped */ }
+        });
+    }
+
+    /**
+     * Base filter cutoff for a voice: filter.frequency scaled by key tracking.
+     * keyTracking 0 keeps the cutoff fixed, 1 moves it with the note (1:1 relative to C4).
+     * @param {number} noteFrequency - Frequency of the voice's note (Hz).
+     * @param {number} [offsetCents=0] - The voice's own cutoff offset (voice.cutoffCents).
+     * @returns {number} Clamped cutoff in Hz.
+     */
+    _getVoiceCutoff(noteFrequency, offsetCents = 0) {
+        const ac = this.audioState.audioContext;
+        const filterParams = this.audioState.parameters.filter;
+        const keyTracking = Math.max(0, Math.min(1, filterParams.keyTracking || 0));
+        const trackingRatio = noteFrequency ? Math.pow(noteFrequency / KEY_TRACKING_REFERENCE_HZ, keyTracking) : 1;
+        // Clamp values to prevent errors
+        const offsetRatio = Math.pow(2, (offsetCents || 0) / 1200);
+        return Math.max(10, Math.min(ac.sampleRate / 2, (filterParams.frequency || 1000) * trackingRatio * offsetRatio));
+    }
+
+    /** Filter envelope depth in cents (amount is bipolar, in octaves). */
+    _getFilterEnvelopeCents() {
+        const amount = Math.max(-MAX_FILTER_ENV_OCTAVES, Math.min(MAX_FILTER_ENV_OCTAVES, this.audioState.parameters.filterEnvelope?.amount || 0));
+        return amount * 1200;
+    }
+
+    /**
+     * Makes room for a new voice, stealing one if the polyphony limit is reached.
+     * @param {string|null} note - Note about to start.
+     * @param {number} [time] - AudioContext time the new voice starts (the stolen voice is cut then).
+     */
+    _allocateVoiceSlot(note, time) {
+        const stolen = this.audioState.voiceAllocator.stealVoiceFor(note);
+        if (stolen) this._releaseVoice(stolen, false, 0.005, time);
+    }
+
+    _playSustainedNote(note, velocity = 1, tag = null) {
         const ac = this.audioState.audioContext;
         const params = this.audioState.parameters;
         const frequency = this.noteFrequencies[note];
@@ -266,245 +1144,519 @@ export default class SoundModule {
             return false;
         }
         const now = ac.currentTime;
+        const allocator = this.audioState.voiceAllocator;
+        const portamento = this._getPortamento();
+        const previousFrequency = this.audioState.currentNoteFrequency;
 
         try {
-            // --- Create Nodes ---
-            const osc = ac.createOscillator();
-            const filter = ac.createBiquadFilter();
-            const gainNode = ac.createGain(); // Envelope control
-
-            osc.type = params.oscillator.type || 'sine';
-            osc.frequency.setValueAtTime(frequency, now);
-
-            filter.type = params.filter.type || 'lowpass';
-            // Clamp values to prevent errors
-            filter.frequency.setValueAtTime(Math.max(10, Math.min(ac.sampleRate / 2, params.filter.frequency || 1000)), now);
-            filter.Q.setValueAtTime(Math.max(0.0001, params.filter.Q || 1), now);
-
-            // --- Envelope Attack ---
-            gainNode.gain.setValueAtTime(0, now); // Start at zero
-            const attackTime = Math.max(0.001, params.envelope.attack || 0.01); // Ensure positive time
-            const targetGain = Math.max(0, Math.min(1, params.oscillator.gain || 0.5)); // Clamp gain
-            gainNode.gain.linearRampToValueAtTime(targetGain, now + attackTime);
-
-            // --- Connections ---
-            // Source -> Filter -> Envelope Gain -> Master Gain
-            osc.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.audioState.masterGain);
-            // Connect envelope gain output to active effects
-            this._connectEffectsToNode(gainNode);
-
-            // --- Store References & State ---
-            this.audioState.currentOscillator = osc;
-            this.audioState.currentFilter = filter;
-            this.audioState.currentGainNode = gainNode;
-            this.audioState.isPlaying = true; // Mark as playing NOW
+            // Re-striking a held note retriggers it instead of stacking a duplicate voice (tagged: only its own)
+            allocator.getHeldVoices(note).filter(voice => tag === null || voice.tag === tag)
+                .forEach(voice => this._releaseVoice(voice, false));
+
+            // Portamento: a held voice slides over to the new note instead of a new voice starting, when the
+            // preset is mono or the voice belongs to the same tag (e.g. the same MPE channel)
+            const heldVoices = allocator.getHeldVoices().filter(voice => !voice.isArpVoice);
+            if (portamento.time > 0) {
+                const isMono = allocator.options.maxVoices === 1;
+                const legatoVoice = heldVoices.filter(voice => isMono || (tag !== null && voice.tag === tag)).pop();
+                if (legatoVoice) {
+                    this._glideVoiceToNote(legatoVoice, note, velocity, now, portamento.time);
+                    legatoVoice.tag = tag;
+                    return true;
+                }
+            }
+            this._allocateVoiceSlot(note);
+
+            const response = this._getVelocityResponse(velocity);
+            const voice = this._createVoice(note, frequency, now, response.cutoffCents);
+            // A new voice glides in from the last note: always, or in legato mode while other keys are held
+            const isGliding = portamento.mode === 'always' || heldVoices.length > 0;
+            if (portamento.time > 0 && isGliding && previousFrequency && previousFrequency !== frequency) {
+                this._glideVoice(voice, frequency, now, portamento.time, previousFrequency);
+            }
+
+            // --- Envelope Attack / Hold / Decay (sustain is held until release) ---
+            const targetGain = Math.max(0, Math.min(1, params.oscillator.gain || 0.5)) * response.gain; // Clamp gain
+            voice.velocity = velocity;
+            voice.tag = tag;
+            this._scheduleEnvelopeOnset(voice.gainNode.gain, targetGain, now, this._scaleEnvelopeTimes(params.envelope, response.timeScale));
+            // Filter envelope sweeps the cutoff (bipolar, always linear so it can cross zero)
+            if (params.filterEnvelope?.amount) {
+                const filterEnvelope = this._scaleEnvelopeTimes(params.filterEnvelope, response.timeScale);
+                this._scheduleEnvelopeOnset(voice.filter.detune, this._getFilterEnvelopeCents(), now, { ...filterEnvelope, curve: 'linear' });
+            }
+
+            allocator.addVoice(voice);
             this.audioState.currentNoteFrequency = frequency; // Update last played frequency
 
-            osc.start(now);
+            this._startVoice(voice, now);
+            voice.noteEvent = { note, offset: 0, isArp: false };
+            this._emitNoteEvent({ ...voice.noteEvent, type: 'noteOn', velocity, time: now });
             return true;
         } catch (e) {
             console.error(`SoundModule: Error creating sustained note ${note}:`, e);
-            this._cleanupCurrentNoteNodes(); // Clean up on failure
-            this.audioState.isPlaying = false;
-            this.audioState.currentNoteFrequency = null;
             return false;
         }
     }
 
-    _stopSustainedNote(useRelease = true) {
-        if (!this.audioState?.currentOscillator || !this.audioState.currentGainNode || !this.audioState.audioContext) {
-            // console.warn("Attempted to stop note, but nodes are missing.");
-            return;
+    /**
+     * How a strike velocity shapes a note, through the preset's velocity curve and routing.
+     * @param {number} velocity - Strike velocity 0-1.
+     * @returns {{gain: number, cutoffCents: number, timeScale: number}} Level multiplier, cutoff
+     *   offset and attack/decay time multiplier.
+     */
+    _getVelocityResponse(velocity) {
+        const settings = this.audioState.parameters.velocity || {};
+        const curve = VELOCITY_CURVES[settings.curve] || VELOCITY_CURVES.linear;
+        const response = curve(Math.max(0, Math.min(1, Number.isFinite(Number(velocity)) ? Number(velocity) : 1)));
+        const amplitude = Math.max(0, Math.min(1, settings.amplitude ?? 1));
+        const filterOctaves = Math.max(-MAX_FILTER_ENV_OCTAVES, Math.min(MAX_FILTER_ENV_OCTAVES, Number(settings.filter) || 0));
+        const envelope = Math.max(-1, Math.min(1, Number(settings.envelope) || 0));
+        return {
+            gain: 1 - amplitude + amplitude * response,
+            cutoffCents: filterOctaves * 1200 * response,
+            timeScale: Math.pow(4, -envelope * response), // envelope 1: a full strike is 4x snappier
+        };
+    }
+
+    /** Copy of an envelope with its attack and decay times multiplied by `scale`. */
+    _scaleEnvelopeTimes(envelope, scale) {
+        if (scale === 1) return envelope;
+        return { ...envelope, attack: (envelope.attack || 0.01) * scale, decay: (envelope.decay || 0.1) * scale };
+    }
+
+    /**
+     * Ramps held voices that have finished attack and decay to gain x sustain x their velocity
+     * level; voices still in attack or decay reach the new level through their own envelope.
+     * Arp steps keep their accent and pick up the change on the next step.
+     * @param {number} time - AudioContext time the ramp ends.
+     */
+    _rampHeldVoicesToSustain(time) {
+        const params = this.audioState.parameters;
+        const now = this.audioState.audioContext.currentTime;
+        const gain = Math.max(0, Math.min(1, params.oscillator.gain || 0.5));
+        const sustain = Math.max(0, Math.min(1, params.envelope.sustain ?? 1.0));
+        this.audioState.voiceAllocator.getHeldVoices().filter(voice => !voice.isArpVoice).forEach(voice => {
+            const response = this._getVelocityResponse(voice.velocity);
+            const env = this._scaleEnvelopeTimes(params.envelope, response.timeScale);
+            const decayEnd = voice.startTime + (env.attack || 0) + (env.hold || 0) + (env.decay || 0);
+            if (now >= decayEnd) voice.gainNode.gain.linearRampToValueAtTime(gain * sustain * response.gain, time);
+        });
+    }
+
+    /** Portamento settings: { time (s, 0 = off), mode ('legato' | 'always') }. */
+    _getPortamento() {
+        const settings = this.audioState.parameters.portamento || {};
+        return {
+            time: Math.max(0, Math.min(MAX_PORTAMENTO_TIME, Number(settings.time) || 0)),
+            mode: PORTAMENTO_MODES.includes(settings.mode) ? settings.mode : 'legato',
+        };
+    }
+
+    /**
+     * Slides a voice's oscillators (and its key-tracked cutoff) to a new frequency, exponentially
+     * so the glide moves evenly in pitch.
+     * @param {object} voice - Voice to glide.
+     * @param {number} frequency - Target frequency in Hz.
+     * @param {number} time - AudioContext time the glide starts.
+     * @param {number} glideTime - Seconds to reach the target.
+     * @param {number} [fromFrequency] - Pitch to start from; by default wherever the voice is at `time`
+     *   (mid-glide if a previous glide hasn't finished).
+     */
+    _glideVoice(voice, frequency, time, glideTime, fromFrequency) {
+        const glide = (param, target, from) => {
+            if (from === undefined && typeof param.cancelAndHoldAtTime === 'function') {
+                param.cancelAndHoldAtTime(time);
+            } else {
+                param.cancelScheduledValues(time);
+                param.setValueAtTime(from ?? param.value, time);
+            }
+            param.exponentialRampToValueAtTime(target, time + Math.max(0.001, glideTime));
+        };
+        voice.oscillators.forEach(({ node }) => glide(node.frequency, frequency, fromFrequency));
+        // Without key tracking the cutoff doesn't depend on the note, so live cutoff changes are left alone
+        if (this.audioState.parameters.filter.keyTracking > 0) {
+            const cents = voice.cutoffCents;
+            glide(voice.filter.frequency, this._getVoiceCutoff(frequency, cents), fromFrequency && this._getVoiceCutoff(fromFrequency, cents));
         }
+        voice.frequency = frequency;
+    }
+
+    /**
+     * Legato portamento: moves a sounding voice over to another note without retriggering its
+     * envelope. The voice is re-keyed to the new note, so releasing that key releases it.
+     * @param {object} voice - Held voice to move.
+     * @param {string} note - Note to glide to.
+     * @param {number} velocity - Velocity reported to note listeners for the new note.
+     * @param {number} time - AudioContext time the glide starts.
+     * @param {number} glideTime - Seconds to reach the new pitch.
+     */
+    _glideVoiceToNote(voice, note, velocity, time, glideTime) {
+        const frequency = this.noteFrequencies[note];
+        this._glideVoice(voice, frequency, time, glideTime);
+        // Listeners get a legato pair: the new note starts before the old one ends
+        const previousEvent = voice.noteEvent;
+        voice.note = note;
+        voice.noteEvent = { note, offset: 0, isArp: false };
+        this._emitNoteEvent({ ...voice.noteEvent, type: 'noteOn', velocity, time });
+        if (previousEvent) this._emitNoteEvent({ ...previousEvent, type: 'noteOff', velocity: 0, time });
+        this.audioState.currentNoteFrequency = frequency;
+    }
+
+    /**
+     * Moves a voice into its release phase and schedules the oscillators to stop.
+     * Node cleanup happens in the oscillators' onended handler.
+     * @param {object} voice - Voice to release.
+     * @param {boolean} [useRelease=true] - Use the envelope release time, or fade out over `fadeTime`.
+     * @param {number} [fadeTime=0.005] - Fade duration (s) when not using the envelope release.
+     * @param {number} [time] - AudioContext time to start releasing (defaults to now; later for scheduled steps).
+     */
+    _releaseVoice(voice, useRelease = true, fadeTime = 0.005, time) {
+        if (!voice || voice.releasing || !this.audioState?.audioContext) return;
+        voice.releasing = true;
 
         const ac = this.audioState.audioContext;
         const params = this.audioState.parameters;
-        const now = ac.currentTime;
-        const gainParam = this.audioState.currentGainNode.gain;
-        const currentOsc = this.audioState.currentOscillator; // Reference before cleanup
-        const releaseTime = Math.max(0.005, params.envelope?.release || 0.5); // Ensure minimum release
+        const now = Math.max(ac.currentTime, time ?? 0);
+        const releaseTime = useRelease ? Math.max(0.005, params.envelope?.release || 0.5) : fadeTime;
+        // Quick fades are always linear so stolen/cut voices vanish on time
+        const curve = useRelease ? params.envelope?.curve : 'linear';
+        this._emitVoiceNoteOff(voice, now);
 
         try {
-            gainParam.cancelScheduledValues(now); // Stop any ongoing ramps (like attack)
-            // Explicitly set value before starting release ramp for reliability
-            gainParam.setValueAtTime(gainParam.value, now);
-
-            if (useRelease && releaseTime > 0.005) {
-                gainParam.linearRampToValueAtTime(0, now + releaseTime);
-                currentOsc.stop(now + releaseTime + 0.1); // Schedule stop after release
-            } else {
-                gainParam.linearRampToValueAtTime(0, now + 0.005); // Very quick fade
-                currentOsc.stop(now + 0.01);
+            this._scheduleEnvelopeRelease(voice.gainNode.gain, now, releaseTime, curve);
+            if (params.filterEnvelope?.amount) {
+                const filterRelease = useRelease ? Math.max(0.005, params.filterEnvelope.release || 0.3) : fadeTime;
+                this._scheduleEnvelopeRelease(voice.filter.detune, now, filterRelease, 'linear');
             }
+            this._stopVoice(voice, now + releaseTime + (useRelease ? 0.1 : 0.005)); // Stop after release
         } catch (e) {
             console.error("Error scheduling note stop/release:", e);
             // Attempt immediate stop as fallback
-            try { currentOsc.stop(now); } catch(stopErr) { /* Ignore */ }
+            this._stopVoice(voice, now);
         }
+    }
 
-        // Schedule cleanup slightly after the oscillator is supposed to stop
-        const cleanupDelay = (useRelease ? releaseTime + 0.15 : 0.05) * 1000; // ms
-        setTimeout(() => {
-             // Check if these are still the nodes we intended to clean up
-             if (this.audioState?.currentOscillator === currentOsc) {
-                 this._cleanupCurrentNoteNodes();
-             }
-         }, Math.max(50, cleanupDelay)); // Ensure minimum delay
+    /**
+     * Schedules the attack, hold and decay stages of an ADSR envelope on an AudioParam.
+     * The param must already be at zero at `startTime`.
+     * @param {AudioParam} param - Param to automate (e.g. a voice's gain).
+     * @param {number} peak - Level reached at the end of the attack.
+     * @param {number} startTime - AudioContext time the note starts.
+     * @param {object} envelope - { attack, hold, decay, sustain (0-1, relative to peak), curve: 'linear'|'exponential' }.
+     */
+    _scheduleEnvelopeOnset(param, peak, startTime, envelope) {
+        const attackTime = Math.max(0.001, envelope.attack || 0.01); // Ensure positive time
+        const holdTime = Math.max(0, envelope.hold || 0);
+        const decayTime = Math.max(0.001, envelope.decay || 0.1);
+        const sustainLevel = peak * Math.max(0, Math.min(1, envelope.sustain ?? 1.0));
+        const attackEnd = startTime + attackTime;
+        const decayStart = attackEnd + holdTime;
+
+        if (envelope.curve === 'exponential') {
+            // Exponential ramps can't start from or reach zero, so use a tiny floor
+            const floor = 0.0001;
+            param.setValueAtTime(floor, startTime);
+            param.exponentialRampToValueAtTime(Math.max(floor, peak), attackEnd);
+            param.setValueAtTime(Math.max(floor, peak), decayStart);
+            param.exponentialRampToValueAtTime(Math.max(floor, sustainLevel), decayStart + decayTime);
+            if (sustainLevel < floor) param.setValueAtTime(0, decayStart + decayTime);
+        } else {
+            param.linearRampToValueAtTime(peak, attackEnd);
+            param.setValueAtTime(peak, decayStart);
+            param.linearRampToValueAtTime(sustainLevel, decayStart + decayTime);
+        }
+    }
 
-        // Note: isPlaying and activeNote are typically cleared in the calling stopNote() function
+    /**
+     * Schedules the release stage from whatever level the param is currently at.
+     * @param {AudioParam} param - Param to automate.
+     * @param {number} time - AudioContext time the release starts.
+     * @param {number} releaseTime - Release duration in seconds.
+     * @param {string} [curve='linear'] - 'linear' or 'exponential'.
+     */
+    _scheduleEnvelopeRelease(param, time, releaseTime, curve = 'linear') {
+        if (typeof param.cancelAndHoldAtTime === 'function') {
+            param.cancelAndHoldAtTime(time); // Freeze mid-ramp values (e.g. released during attack)
+        } else if (time > this.audioState.audioContext.currentTime) {
+            // Future release without cancelAndHold: the level at `time` is unknown, so decay from it
+            param.cancelScheduledValues(time);
+            param.setTargetAtTime(0, time, releaseTime / 5);
+            return;
+        } else {
+            param.cancelScheduledValues(time);
+            // Explicitly set value before starting release ramp for reliability
+            param.setValueAtTime(param.value, time);
+        }
+        if (curve === 'exponential') {
+            // Time constant chosen so the level is below 1% when the release ends
+            param.setTargetAtTime(0, time, releaseTime / 5);
+        } else {
+            param.linearRampToValueAtTime(0, time + releaseTime);
+        }
     }
 
-    _playArpNote(frequency) {
+    /**
+     * Plays one arp step starting at a scheduled AudioContext time.
+     * @param {string} note - Held note the step comes from (used for voice bookkeeping).
+     * @param {number} frequency - Step frequency in Hz.
+     * @param {number} time - AudioContext time the step starts (from the lookahead scheduler).
+     * @param {number} stepDuration - Length of the step in seconds (after swing).
+     * @param {number} [level=1] - Step level (0-1) from the accent pattern.
+     * @param {number} [offset=0] - Semitones the step sits above `note` (for note listeners).
+     */
+    _playArpNote(note, frequency, time, stepDuration, level = 1, offset = 0) {
         const ac = this.audioState.audioContext;
         const params = this.audioState.parameters;
         if (!this.audioState || !frequency || !ac || !params || !params.oscillator || !params.filter || !params.envelope) {
             console.error(`SoundModule: Cannot play arp note. Missing context or parameters.`);
             return;
         }
-        const now = ac.currentTime;
+        const arp = this.audioState.arp;
 
         // --- Calculate Timing ---
-        const rate = Math.max(0.1, this.audioState.arp.rate || 8);
-        const stepDuration = 1.0 / rate;
-        // Ensure note duration is positive and slightly less than step duration for separation
-        const noteDuration = Math.max(0.01, stepDuration * 0.8);
+        // Gate sets how much of the step the note lasts (1.0 = legato into the next step)
+        const gate = Math.max(0.05, Math.min(1, Number(this._getArpSettings().gate) || 0.8));
+        const noteDuration = Math.max(0.01, stepDuration * gate);
         // Short release within the note's duration
-        const arpReleaseTime = Math.min(0.05, Math.max(0.005, stepDuration * 0.1));
+        const arpReleaseTime = Math.min(0.05, Math.max(0.005, stepDuration * 0.1), noteDuration / 2);
+
+        // --- Portamento ---
+        // Steps slide in from the previous step's pitch; in 'legato' mode only tied steps (gate 1.0) do
+        const portamento = this._getPortamento();
+        const glideFrom = portamento.time > 0 && (portamento.mode === 'always' || (gate >= 1 && arp.currentVoice))
+            ? (arp.currentVoice?.frequency ?? this.audioState.currentNoteFrequency)
+            : null;
 
         // --- Stop Previous Arp Note ---
-        // Stop previous oscillator immediately for clear articulation
-        if (this.audioState.currentOscillator) {
-            try {
-                // Don't use release envelope for previous arp notes, just cut them
-                this.audioState.currentOscillator.stop(now);
-                this._cleanupCurrentNoteNodes(); // Clean up previous nodes now
-            } catch(e) { /* ignore errors stopping already stopped osc */ }
-        }
+        // Cut the previous arp voice at this step's start for clear articulation (no release envelope)
+        if (arp.currentVoice) this._releaseVoice(arp.currentVoice, false, 0.005, time);
 
         try {
-            // --- Create New Nodes ---
-            const osc = ac.createOscillator();
-            const filter = ac.createBiquadFilter();
-            const gainNode = ac.createGain(); // Envelope for THIS arp note
-
-            osc.type = params.oscillator.type || 'sine';
-            osc.frequency.setValueAtTime(frequency, now);
-
-            filter.type = params.filter.type || 'lowpass';
-            filter.frequency.setValueAtTime(Math.max(10, Math.min(ac.sampleRate / 2, params.filter.frequency || 1000)), now);
-            filter.Q.setValueAtTime(Math.max(0.0001, params.filter.Q || 1), now);
+            this._allocateVoiceSlot(note, time);
+            // The step level (accent) plays the part of velocity
+            const response = this._getVelocityResponse(level);
+            const voice = this._createVoice(note, frequency, time, response.cutoffCents);
+            voice.isArpVoice = true;
+            voice.velocity = level;
+            if (glideFrom && glideFrom !== frequency) {
+                this._glideVoice(voice, frequency, time, Math.min(portamento.time, noteDuration), glideFrom);
+            }
+            const gainParam = voice.gainNode.gain;
 
             // --- Short Envelope ---
-            gainNode.gain.setValueAtTime(0, now);
-            const attackTime = Math.min(0.01, stepDuration * 0.1); // Very short attack
-            const targetGain = Math.max(0, Math.min(1, params.oscillator.gain || 0.5));
-            gainNode.gain.linearRampToValueAtTime(targetGain, now + attackTime);
+            const attackTime = Math.min(0.01, stepDuration * 0.1, noteDuration / 2); // Very short attack
+            const targetGain = Math.max(0, Math.min(1, params.oscillator.gain || 0.5)) * response.gain;
+            gainParam.linearRampToValueAtTime(targetGain, time + attackTime);
             // Hold gain until release starts
-            gainNode.gain.setValueAtTime(targetGain, Math.max(now + attackTime, now + noteDuration - arpReleaseTime));
+            gainParam.setValueAtTime(targetGain, Math.max(time + attackTime, time + noteDuration - arpReleaseTime));
             // Release ramp to zero at the end of noteDuration
-            gainNode.gain.linearRampToValueAtTime(0, now + noteDuration);
-
-            // --- Connections ---
-            osc.connect(filter);
-            filter.connect(gainNode);
-            gainNode.connect(this.audioState.masterGain);
-            this._connectEffectsToNode(gainNode);
-
-            // --- Store Refs & State ---
-            this.audioState.currentOscillator = osc;
-            this.audioState.currentFilter = filter;
-            this.audioState.currentGainNode = gainNode;
-            this.audioState.currentNoteFrequency = frequency; // Update last played frequency
+            gainParam.linearRampToValueAtTime(0, time + noteDuration);
+
+            // --- Filter Envelope (each step plucks the filter) ---
+            if (params.filterEnvelope?.amount) {
+                const detuneParam = voice.filter.detune;
+                const filterEnvelope = this._scaleEnvelopeTimes(params.filterEnvelope, response.timeScale);
+                this._scheduleEnvelopeOnset(detuneParam, this._getFilterEnvelopeCents(), time, { ...filterEnvelope, curve: 'linear' });
+                const filterRelease = Math.max(0.005, params.filterEnvelope.release || 0.3);
+                detuneParam.setTargetAtTime(0, time + noteDuration - arpReleaseTime, filterRelease / 5);
+            }
 
-            osc.start(now);
-            osc.stop(now + noteDuration + 0.1); // Schedule stop after envelope ends
+            this.audioState.voiceAllocator.addVoice(voice);
+            arp.currentVoice = voice;
+            this.audioState.currentNoteFrequency = frequency; // Update last played frequency
 
-            // Auto-cleanup is handled by the next arp step or stopArpeggiator
+            this._startVoice(voice, time);
+            this._stopVoice(voice, time + noteDuration + 0.1); // Schedule stop after envelope ends
 
+            // The step's length is known now, so its note-off is announced with the note-on
+            const noteEvent = { note, offset, isArp: true };
+            this._emitNoteEvent({ ...noteEvent, type: 'noteOn', velocity: level, time });
+            this._emitNoteEvent({ ...noteEvent, type: 'noteOff', velocity: 0, time: time + noteDuration });
         } catch (e) {
             console.error(`SoundModule: Error playing arp note (${frequency.toFixed(2)} Hz):`, e);
-            this._cleanupCurrentNoteNodes(); // Clean up failed attempt
             this.audioState.currentNoteFrequency = null;
         }
     }
 
-    _cleanupCurrentNoteNodes() {
-        if (!this.audioState) return;
+    _cleanupVoice(voice) {
+        if (!voice) return;
         // Use try/catch for disconnect errors
-        if(this.audioState.currentOscillator) {
-            try { this.audioState.currentOscillator.disconnect(); } catch(e){}
-            // Note: Oscillator stop() is usually handled by the release envelope logic
-            this.audioState.currentOscillator = null;
-        }
-        if(this.audioState.currentFilter) {
-             try { this.audioState.currentFilter.disconnect(); } catch(e){}
-            this.audioState.currentFilter = null;
-        }
-        if(this.audioState.currentGainNode) {
-             try { this.audioState.currentGainNode.disconnect(); } catch(e){}
-            this.audioState.currentGainNode = null;
-        }
+        voice.oscillators.forEach(({ node }) => { try { node.disconnect(); } catch(e){} });
+        this._getVoiceControlSources(voice).forEach(node => { try { node.disconnect(); } catch(e){} });
+        voice.mixNodes.forEach(node => { try { node.disconnect(); } catch(e){} });
+        try { voice.filter.disconnect(); } catch(e){}
+        try { voice.gainNode.disconnect(); } catch(e){}
+        if (!this.audioState) return;
+        this.audioState.modulationMatrix?.disconnectVoice(voice);
+        (voice.modTargets?.['oscillator.detune'] || []).forEach(param => {
+            try { this.audioState.pitchBendSource?.disconnect(param); } catch(e) { /* Not connected */ }
+        });
+        this.audioState.voiceAllocator.removeVoice(voice);
+        if (this.audioState.arp.currentVoice === voice) this.audioState.arp.currentVoice = null;
+    }
+
+    /** Immediately stops and disconnects every voice (used on dispose). */
+    _cleanupAllVoices() {
+        if (!this.audioState) return;
+        this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+            this._stopVoice(voice);
+            this._cleanupVoice(voice);
+        });
     }
 
     // --- Arpeggiator Control ---
-    _startArpeggiator() {
-        if (!this.audioState?.isInitialized || this.audioState.arp.intervalId || !this.audioState.arp.active) return;
 
-        const rate = Math.max(0.1, this.audioState.arp.rate || 8);
-        const stepTimeMs = 1000.0 / rate;
+    /** Arpeggiator preset fields (mode, octaves, gate, swing, accents, latch). */
+    _getArpSettings() {
+        return this.audioState.parameters?.effects?.arpeggiator || {};
+    }
 
-        this._arpStep(); // Immediately play the first note
-        this.audioState.arp.intervalId = setInterval(this._arpStep.bind(this), stepTimeMs);
+    /**
+     * Length of arp step `index` in seconds. The rate (steps per second, or a note division synced
+     * to the transport) is read every step, so rate and tempo changes apply on the next step;
+     * swing lengthens even steps and shortens odd ones, keeping each pair in time.
+     */
+    _getArpStepDuration(index = 0) {
+        const baseDuration = 1.0 / this.getArpStepsPerSecond();
+        const swing = Math.max(0, Math.min(MAX_ARP_SWING, Number(this._getArpSettings().swing) || 0));
+        return baseDuration * (index % 2 === 0 ? 1 + swing : 1 - swing);
     }
 
-    _stopArpeggiator() {
-        if (!this.audioState?.arp.intervalId) return;
-
-        clearInterval(this.audioState.arp.intervalId);
-        this.audioState.arp.intervalId = null;
-
-        // Stop the currently sounding arp note using a quick release
-        if (this.audioState.currentOscillator && this.audioState.currentGainNode && this.audioState.audioContext) {
-             const ac = this.audioState.audioContext;
-             const now = ac.currentTime;
-             const gainParam = this.audioState.currentGainNode.gain;
-             const currentOsc = this.audioState.currentOscillator;
-             try {
-                 gainParam.cancelScheduledValues(now);
-                 gainParam.setValueAtTime(gainParam.value, now);
-                 gainParam.linearRampToValueAtTime(0, now + 0.02); // Quick fade
-                 currentOsc.stop(now + 0.05);
-             } catch(e) {
-                 console.error("Error stopping final arp note:", e);
-                 try { currentOsc.stop(now); } catch(stopErr) {} // Fallback stop
-             }
-              // Schedule cleanup shortly after stopping
-              setTimeout(() => {
-                  // Check if nodes weren't replaced and arp is still stopped
-                  if (this.audioState && !this.audioState.arp.intervalId && this.audioState.currentOscillator === currentOsc) {
-                     this._cleanupCurrentNoteNodes();
-                  }
-                }, 100); // ms
+    /**
+     * Builds the steps the arp walks through. With two or more keys held (or latched) the steps are
+     * those keys; with a single key they are the interval `pattern` on top of it. Either set is
+     * repeated over the octave range, then ordered by mode ('asPlayed' keeps press/pattern order).
+     * @returns {object[]} Steps { note, offset } in playing order, offset in semitones from note
+     *   ('random' picks from them each step).
+     */
+    _getArpSequence() {
+        const settings = this._getArpSettings();
+        const octaves = Math.max(1, Math.min(MAX_ARP_OCTAVES, Math.round(Number(settings.octaves)) || 1));
+        const notes = this.audioState.arp.notes.filter(note => this.noteFrequencies[note]);
+        const chord = notes.length > 1
+            ? notes.map(note => ({ note, offset: 0 }))
+            : this.audioState.arp.pattern.map(offset => ({ note: notes[0], offset }));
+
+        // An octave spans one period of the tuning (12 keys in 12-note tunings)
+        const keysPerOctave = this.tuning.getKeysPerPeriod();
+        const played = [];
+        for (let octave = 0; octave < octaves; octave++) {
+            chord.forEach(step => played.push({ note: step.note, offset: step.offset + keysPerOctave * octave }));
+        }
+
+        // Pitch-ordered modes drop repeated pitches (e.g. the 7 in [0, 7, 12, 7])
+        const pitchOf = (step) => this._getOffsetFrequency(step.note, step.offset) || 0;
+        const ascending = [];
+        played.slice().sort((a, b) => pitchOf(a) - pitchOf(b)).forEach(step => {
+            const previous = ascending[ascending.length - 1];
+            if (!previous || Math.abs(pitchOf(step) - pitchOf(previous)) > 0.01) ascending.push(step);
+        });
+
+        switch (settings.mode) {
+            case 'up':
+                return ascending;
+            case 'down':
+                return ascending.reverse();
+            case 'upDown':
+                // Don't repeat the top and bottom notes at the turnarounds
+                return ascending.concat(ascending.slice(1, -1).reverse());
+            case 'random':
+            case 'asPlayed':
+            default:
+                return played;
         }
+    }
+
+    /** Current arp rate in steps per second, resolving a synced division ('1/16t') against the transport. */
+    getArpStepsPerSecond() {
+        const rate = this.audioState?.arp.rate;
+        const transport = this.audioState?.transport;
+        if (Transport.isDivision(rate) && transport) return 1.0 / transport.divisionToSeconds(rate);
+        return Math.max(0.1, Number(rate) || 8);
+    }
+
+    /**
+     * Starts stepping the arp on the shared scheduler.
+     * @param {number} [startTime] - AudioContext time of the first step (defaults to now, or the next grid line).
+     */
+    _startArpeggiator(startTime) {
+        const scheduler = this.audioState?.scheduler;
+        if (!this.audioState?.isInitialized || !scheduler || this.audioState.arp.isRunning || !this.audioState.arp.active) return;
+        if (this._isArpGatedByTransport()) return; // Waits for the external clock's start
+
+        this.audioState.arp.isRunning = true;
+        // Steps are queued ahead on the AudioContext timeline; the first plays immediately, or on the
+        // next grid line when the rate is synced and the transport is running
+        const rate = this.audioState.arp.rate;
+        const transport = this.audioState.transport;
+        scheduler.addTrack('arpeggiator', {
+            startTime: startTime ?? (Transport.isDivision(rate) && transport ? transport.getNextGridTime(rate) : undefined),
+            getStepDuration: (index) => this._getArpStepDuration(index),
+            onStep: (time, index) => this._arpStep(time, index),
+        });
+    }
+
+    _stopArpeggiator() {
+        if (!this.audioState?.arp.isRunning) return;
+
+        this.audioState.arp.isRunning = false;
+        this.audioState.scheduler?.removeTrack('arpeggiator');
+
+        // Fade every arp voice, including steps already queued inside the lookahead window
+        this.audioState.voiceAllocator.getActiveVoices()
+            .filter(voice => voice.isArpVoice)
+            .forEach(voice => this._cutVoice(voice, 0.02));
+        this._emitNoteEvent({ type: 'arpStop', isArp: true, time: this.audioState.audioContext.currentTime });
         // Don't clear last played frequency here
     }
 
-    _arpStep() {
-        // Check essential state
-        if (!this.audioState?.arp.active || !this.audioState.arp.pattern || this.audioState.arp.pattern.length === 0 || !this.audioState.arp.baseNote || !this.noteFrequencies[this.audioState.arp.baseNote]) {
+    /** Fades a voice out right now, overriding any release already scheduled. */
+    _cutVoice(voice, fadeTime = 0.02) {
+        const ac = this.audioState?.audioContext;
+        if (!voice || !ac) return;
+        voice.releasing = true;
+        const now = ac.currentTime;
+        this._emitVoiceNoteOff(voice, now);
+        try {
+            this._scheduleEnvelopeRelease(voice.gainNode.gain, now, fadeTime, 'linear');
+            this._stopVoice(voice, now + fadeTime + 0.005); // A later stop() call replaces earlier ones
+        } catch (e) {
+            console.error("Error cutting voice:", e);
+            this._stopVoice(voice);
+        }
+    }
+
+    /**
+     * Plays the arp step scheduled at `time`.
+     * @param {number} time - AudioContext time of the step.
+     * @param {number} index - Scheduler step index (its parity drives swing).
+     */
+    _arpStep(time, index) {
+        // Check essential state (no playable keys, or a single key with an empty pattern)
+        const sequence = this.audioState?.arp.active && Array.isArray(this.audioState.arp.pattern) ? this._getArpSequence() : [];
+        if (sequence.length === 0 || !sequence[0].note) {
             console.warn("Arp step failed: Invalid state or parameters.");
             this._stopArpeggiator(); // Stop if state is invalid
             return;
         }
 
         const arp = this.audioState.arp;
-        const baseFrequency = this.noteFrequencies[arp.baseNote];
-        const semitoneOffset = arp.pattern[arp.currentStep % arp.pattern.length];
-        const stepFrequency = baseFrequency * Math.pow(this.semitoneRatio, semitoneOffset);
-
-        this._playArpNote(stepFrequency); // Play the calculated note
+        const settings = this._getArpSettings();
+        const position = settings.mode === 'random'
+            ? Math.floor(this.random() * sequence.length)
+            : arp.currentStep % sequence.length;
+        const step = sequence[position];
+        const stepFrequency = this._getOffsetFrequency(step.note, step.offset);
+
+        // Accents are step levels cycled independently of the sequence length
+        const accents = Array.isArray(settings.accents) ? settings.accents : [];
+        const level = accents.length > 0 ? Number(accents[arp.currentStep % accents.length]) : 1;
+
+        // Keys a keyboard mapping leaves unmapped are rests
+        if (stepFrequency) {
+            this._playArpNote(step.note, stepFrequency, time, this._getArpStepDuration(index), Number.isFinite(level) ? level : 1, step.offset);
+        }
 
         arp.currentStep++; // Move to the next step
     }
@@ -536,6 +1688,8 @@ export default class SoundModule {
 
         // --- Update Stored Parameter ---
         paramGroup[name] = value;
+        // Tuning only affects the frequency table, so it applies before initialization too
+        if (type === 'tuning') this._computeNoteFrequencies();
 
         // --- Apply Change to Active Audio Nodes (if initialized) ---
         if (!this.audioState.isInitialized || !this.audioState.audioContext) return;
@@ -544,35 +1698,70 @@ export default class SoundModule {
         const rampTime = 0.02; // Short ramp for smooth changes
 
         try {
+            // LFO settings and routes live in arrays; hand them to the modulation matrix
+            if (path[0] === 'modulation') {
+                this._applyModulationParameter(path, name, value);
+                return;
+            }
+            // Per-layer oscillator settings (tuning, level, waveform) apply to sounding voices
+            if (OSCILLATOR_LAYERS.includes(type) && this._applyOscillatorLayerParameter(type, name, value, now + rampTime)) {
+                return;
+            }
+
             const fullParamName = `${type}.${name}`;
             switch (fullParamName) {
-                // Oscillator gain affects current note's gain node
+                // Oscillator gain moves held voices to their new sustain level (releasing voices keep fading)
                 case 'oscillator.gain':
-                    if (this.audioState.currentGainNode) {
-                        // Only ramp if the note isn't in release phase? Tricky. Simple ramp for now.
-                        this.audioState.currentGainNode.gain.linearRampToValueAtTime(Math.max(0, Math.min(1, value)), now + rampTime);
-                    }
+                    this._rampHeldVoicesToSustain(now + rampTime);
+                    break;
+                // Static pitch offset (cents) for the whole voice; LFO pitch modulation adds on top
+                case 'oscillator.detune':
+                    this._retuneVoiceLayers(null, now + rampTime);
                     break;
-                // Filter params affect current filter node
+                // Filter params affect every sounding voice's filter node (cutoff includes key tracking)
                 case 'filter.frequency':
-                     if (this.audioState.currentFilter) {
-                        this.audioState.currentFilter.frequency.exponentialRampToValueAtTime(Math.max(10, Math.min(ac.sampleRate / 2, value)), now + rampTime);
-                     }
+                case 'filter.keyTracking':
+                    this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+                        voice.filter.frequency.exponentialRampToValueAtTime(this._getVoiceCutoff(voice.frequency, voice.cutoffCents), now + rampTime);
+                    });
                     break;
                 case 'filter.Q':
-                     if (this.audioState.currentFilter) {
-                        this.audioState.currentFilter.Q.linearRampToValueAtTime(Math.max(0.0001, value), now + rampTime);
-                     }
+                    this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+                        voice.filter.Q.linearRampToValueAtTime(Math.max(0.0001, value), now + rampTime);
+                    });
                     break;
-                // Envelope times affect next note trigger/release
+                // Envelope shape affects next note trigger/release
                 case 'envelope.attack':
+                case 'envelope.hold':
+                case 'envelope.decay':
                 case 'envelope.release':
-                    // No immediate audio node change needed for these time parameters
+                case 'envelope.curve':
+                    // No immediate audio node change needed for these parameters
+                    break;
+                // Sustain level also moves held voices that have reached their sustain stage
+                case 'envelope.sustain':
+                    this._rampHeldVoicesToSustain(now + rampTime);
+                    break;
+
+                // Filter envelope shape and amount apply from the next note
+                case 'filterEnvelope.attack':
+                case 'filterEnvelope.decay':
+                case 'filterEnvelope.sustain':
+                case 'filterEnvelope.release':
+                case 'filterEnvelope.amount':
+                    break;
+
+                // Polyphony: shrinking the voice count cuts the excess voices
+                case 'polyphony.voices':
+                    this.audioState.voiceAllocator.setMaxVoices(value).forEach(voice => this._releaseVoice(voice, false));
+                    break;
+                case 'polyphony.stealMode':
+                    this.audioState.voiceAllocator.setStealMode(value);
                     break;
 
                 // Effect Parameters
-                case 'effects.delay.time':
-                    if(this.audioState.delayNode) this.audioState.delayNode.delayTime.linearRampToValueAtTime(Math.max(0, Math.min(2.0, value)), now + rampTime); // Clamp to max delay
+                case 'effects.delay.time': // Seconds, or a note division synced to the transport
+                    if(this.audioState.delayNode) this.audioState.delayNode.delayTime.linearRampToValueAtTime(this._getDelayTimeSeconds(value), now + rampTime);
                     break;
                 case 'effects.delay.feedback':
                     if(this.audioState.delayFeedback) this.audioState.delayFeedback.gain.linearRampToValueAtTime(Math.max(0, Math.min(0.98, value)), now + rampTime); // Clamp feedback
@@ -584,23 +1773,52 @@ export default class SoundModule {
                     if(this.audioState.reverbGain) this.audioState.reverbGain.gain.linearRampToValueAtTime(Math.max(0, Math.min(1.0, value)), now + rampTime);
                     break;
 
-                // Arpeggiator parameters (require restart if rate changes)
+                // Re-apply the current bend so a new range takes effect immediately
+                case 'controllers.pitchBendRange':
+                    this.setPitchBend(this.audioState.controllers.pitchBend);
+                    break;
+
+                // Transport: a BPM change retunes synced parameters through the 'tempo' listener
+                case 'transport.bpm':
+                    this.audioState.transport?.setBpm(value);
+                    break;
+                case 'transport.timeSignature':
+                    this.audioState.transport?.setTimeSignature(value);
+                    break;
+
+                // Arpeggiator parameters (the scheduler reads the rate every step, no restart needed)
                 case 'effects.arpeggiator.rate':
                      this.audioState.arp.rate = value; // Update internal arp state too
-                     if (this.audioState.arp.active && this.audioState.arp.intervalId) {
-                         this._stopArpeggiator();
-                         // Restart only if a note is supposed to be playing
-                         if (this.audioState.activeNote) {
-                             this._startArpeggiator();
-                             this.audioState.isPlaying = true; // Ensure playing state is correct
-                         }
-                     }
                      break;
                 case 'effects.arpeggiator.pattern':
                      this.audioState.arp.pattern = value; // Update internal arp state too
                      // Optional: Reset step count?
                      // this.audioState.arp.currentStep = 0;
                      break;
+                // Mode, octave range, gate, swing and accents are read every step
+                case 'effects.arpeggiator.mode':
+                     if (!ARP_MODES.includes(value)) console.warn(`SoundModule: Unknown arp mode '${value}', playing as played.`);
+                     break;
+                case 'effects.arpeggiator.octaves':
+                case 'effects.arpeggiator.gate':
+                case 'effects.arpeggiator.swing':
+                case 'effects.arpeggiator.accents':
+                     break;
+                // The velocity curve shapes the next notes; sounding ones keep their level
+                case 'velocity.curve':
+                     if (!VELOCITY_CURVES[value]) console.warn(`SoundModule: Unknown velocity curve '${value}', using linear.`);
+                     break;
+                // Portamento applies from the next note
+                case 'portamento.mode':
+                     if (!PORTAMENTO_MODES.includes(value)) console.warn(`SoundModule: Unknown portamento mode '${value}', using legato.`);
+                     break;
+                case 'effects.arpeggiator.latch':
+                     // Unlatching with no keys down lets the arp stop
+                     if (!value && this.audioState.arp.isRunning && !this.audioState.activeNote) {
+                         this._stopArpeggiator();
+                         this.audioState.isPlaying = false;
+                     }
+                     break;
                  default:
                     // Parameter exists in structure but no specific handler
                     // console.log(`SoundModule: Parameter ${fullParamName} updated internally.`);
@@ -611,27 +1829,91 @@ export default class SoundModule {
         }
     }
 
+    /**
+     * Applies a change under parameters.modulation, e.g. setParameter('modulation.lfos.0', 'rate', 2)
+     * or setParameter('modulation.routes.1', 'amount', -0.5).
+     */
+    _applyModulationParameter(path, name, value) {
+        const matrix = this.audioState.modulationMatrix;
+        if (!matrix) return;
+        const index = Number(path[2]);
+        if (path[1] === 'lfos' && Number.isInteger(index)) {
+            matrix.setLfo(index, { [name]: value });
+        } else if (path[1] === 'routes' && Number.isInteger(index) && name === 'amount') {
+            matrix.setRouteAmount(index, value);
+        } else {
+            // Source/target changes (or whole-array replacement) need the routes rebuilt
+            matrix.setRoutes(this.audioState.parameters.modulation.routes);
+        }
+    }
+
+    /**
+     * Live-applies oscillator layer settings to sounding voices.
+     * @returns {boolean} True if the parameter was handled here.
+     */
+    _applyOscillatorLayerParameter(layerName, name, value, time) {
+        const voices = this.audioState.voiceAllocator.getActiveVoices();
+        switch (name) {
+            case 'octave':
+            case 'semitone':
+            case 'fine':
+                this._retuneVoiceLayers(layerName, time);
+                return true;
+            case 'level': {
+                // A layer switched off stays silent on the voices it was faded out of
+                const isActive = layerName === 'oscillator' || !!this.audioState.parameters[layerName].active;
+                voices.forEach(voice => {
+                    const layer = voice.layerGains[layerName];
+                    if (layer) layer.node.gain.linearRampToValueAtTime(isActive ? this._getLayerLevel({ level: value }) / Math.sqrt(layer.count) : 0, time);
+                });
+                return true;
+            }
+            case 'active':
+                if (layerName === 'oscillator') return false; // The main layer is always on
+                this._setVoiceLayerActive(layerName, !!value, time);
+                return true;
+            case 'type':
+                if (layerName === 'oscillator') return false; // Validated by setOscillatorType
+                voices.forEach(voice => voice.oscillators
+                    .filter(o => o.layer === layerName)
+                    .forEach(o => { try { o.node.type = value; } catch(e) { console.error("Error setting osc type:", e); } }));
+                return true;
+            default:
+                // Unison settings shape the next voice
+                return false;
+        }
+    }
+
+    /** Re-applies layer tuning to sounding voices (one layer, or all layers if layerName is null). */
+    _retuneVoiceLayers(layerName, time) {
+        this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+            voice.oscillators
+                .filter(o => layerName === null || o.layer === layerName)
+                .forEach(o => o.node.detune.linearRampToValueAtTime(this._getLayerCents(o.layer) + o.unisonOffset, time));
+        });
+    }
+
     setOscillatorType(type) {
         if (!this.audioState?.parameters?.oscillator) return;
-        const validTypes = ['sine', 'square', 'sawtooth', 'triangle'];
-        if (validTypes.includes(type)) {
+        if (OSCILLATOR_TYPES.includes(type)) {
             this.audioState.parameters.oscillator.type = type;
-            // Apply to current oscillator if playing
-            if (this.audioState.isPlaying && this.audioState.currentOscillator) {
-                try { this.audioState.currentOscillator.type = type; } catch(e) { console.error("Error setting osc type:", e); }
-            }
+            // Apply to the main oscillator layer of sounding voices
+            this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+                voice.oscillators.filter(o => o.layer === 'oscillator').forEach(o => {
+                    try { o.node.type = type; } catch(e) { console.error("Error setting osc type:", e); }
+                });
+            });
         } else { console.warn(`SoundModule: Invalid oscillator type ${type}`); }
     }
 
     setFilterType(type) {
         if (!this.audioState?.parameters?.filter) return;
-        const validTypes = ['lowpass', 'highpass', 'bandpass', 'notch', 'lowshelf', 'highshelf', 'peaking', 'allpass'];
-        if (validTypes.includes(type)) {
+        if (FILTER_TYPES.includes(type)) {
              this.audioState.parameters.filter.type = type;
-             // Apply to current filter if playing
-             if (this.audioState.isPlaying && this.audioState.currentFilter) {
-                 try { this.audioState.currentFilter.type = type; } catch(e) { console.error("Error setting filter type:", e); }
-             }
+             // Apply to sounding voices
+             this.audioState.voiceAllocator.getActiveVoices().forEach(voice => {
+                 try { voice.filter.type = type; } catch(e) { console.error("Error setting filter type:", e); }
+             });
          } else { console.warn(`SoundModule: Invalid filter type ${type}`); }
     }
 
@@ -640,11 +1922,14 @@ export default class SoundModule {
             console.error("SoundModule toggleEffect: Effects parameters missing.");
             return;
         }
-        const effectParams = this.audioState.parameters.effects[effectName];
+        let effectParams = this.audioState.parameters.effects[effectName];
         if (effectParams === undefined) {
             // Initialize default arp params if toggling arp and it's missing
             if (effectName === 'arpeggiator') {
-                 this.audioState.parameters.effects.arpeggiator = { active: false, rate: 8, pattern: [0, 4, 7] };
+                 this.audioState.parameters.effects.arpeggiator = {
+                     active: false, rate: 8, pattern: [0, 4, 7],
+                     mode: 'asPlayed', octaves: 1, gate: 0.8, swing: 0, accents: [], latch: false
+                 };
                  console.log("Initialized default arpeggiator params during toggle.");
             } else if (effectName === 'glitch') {
                  this.audioState.parameters.effects.glitch = { active: false }; // Store toggle state even if no audio effect
@@ -654,10 +1939,13 @@ export default class SoundModule {
                 console.warn(`SoundModule: Cannot toggle unknown effect '${effectName}'`);
                 return;
             }
+            effectParams = this.audioState.parameters.effects[effectName];
         }
 
         const newState = !!isActive; // Ensure boolean
-        if (effectParams.active === newState) return; // No change
+        // The arp compares against its running flag so presets that enable it actually start it
+        const currentState = effectName === 'arpeggiator' ? this.audioState.arp.active : effectParams.active;
+        if (currentState === newState) return; // No change
 
         effectParams.active = newState;
         // console.log(`SoundModule: Toggled ${effectName} to ${newState}`);
@@ -667,32 +1955,29 @@ export default class SoundModule {
             this.audioState.arp.active = newState; // Sync internal state flag
             if (newState) {
                 // If a note is currently held (activeNote), start the arp
-                if (this.audioState.activeNote && !this.audioState.arp.intervalId) {
-                    this._stopSustainedNote(false); // Stop sustained if it was playing
-                    this.audioState.arp.baseNote = this.audioState.activeNote;
+                if (this.audioState.activeNote && !this.audioState.arp.isRunning) {
+                    // Stop sustained voices abruptly; the arp takes over
+                    this.audioState.voiceAllocator.getHeldVoices().forEach(voice => this._releaseVoice(voice, false));
+                    this.audioState.arp.notes = this.audioState.heldNotes.slice();
                     this.audioState.arp.currentStep = 0;
                     this._startArpeggiator();
-                    this.audioState.isPlaying = true; // Arp is now playing
                 }
             } else {
                 // Turning Arp OFF
-                if (this.audioState.arp.intervalId) {
+                if (this.audioState.arp.isRunning) {
                     this._stopArpeggiator();
-                    // If the base note key is still held, transition back to sustained
-                    if (this.audioState.activeNote) {
-                        this._playSustainedNote(this.audioState.activeNote);
-                        // isPlaying should be set by _playSustainedNote
-                    } else {
-                       this.audioState.isPlaying = false; // No note held, just ensure stopped
-                    }
+                    // Keys still held transition back to sustained voices (one per tag holding the note),
+                    // struck as hard as the keys were
+                    this.audioState.heldNotes.forEach(note => {
+                        const tags = this.audioState.heldTags.get(note);
+                        if (tags) tags.forEach(tag => this._playSustainedNote(note, this._getHeldVelocity(note, tag), tag));
+                        else this._playSustainedNote(note, this._getHeldVelocity(note));
+                    });
                 }
             }
         } else {
-            // For other effects (Delay, Reverb), re-evaluate connections
-            // This ensures the current playing note (sustained or arp) connects/disconnects correctly
-            if (this.audioState.currentGainNode) {
-                this._connectEffectsToNode(this.audioState.currentGainNode);
-            }
+            // For other effects (Delay, Reverb), re-evaluate the voice bus sends
+            this._connectEffectsToNode(this.audioState.voiceBus);
         }
     }
 
@@ -701,25 +1986,19 @@ export default class SoundModule {
         if (!sourceNode || !this.audioState?.isInitialized || !this.audioState.parameters?.effects) return;
         const effects = this.audioState.parameters.effects;
 
-        // Use try/catch for disconnect errors if nodes aren't connected
-        try {
-            // Delay Connection
-            if (this.audioState.delayNode) {
-                sourceNode.disconnect(this.audioState.delayNode); // Always try disconnecting first
-                if (effects.delay?.active) {
-                    sourceNode.connect(this.audioState.delayNode);
-                }
-            }
-            // Reverb Connection
-            if (this.audioState.reverbNode) {
-                 sourceNode.disconnect(this.audioState.reverbNode); // Always try disconnecting first
-                if (effects.reverb?.active) {
-                    sourceNode.connect(this.audioState.reverbNode);
-                }
+        // Disconnect throws if the nodes weren't connected; handle each send separately
+        // so a missing delay connection doesn't prevent the reverb from being wired.
+        const sends = [
+            { node: this.audioState.delayNode, active: effects.delay?.active },
+            { node: this.audioState.reverbNode, active: effects.reverb?.active },
+        ];
+        sends.forEach(({ node, active }) => {
+            if (!node) return;
+            try { sourceNode.disconnect(node); } catch(e) { /* Not connected yet */ }
+            if (active) {
+                try { sourceNode.connect(node); } catch(e) { console.error("SoundModule: Error connecting effect send:", e); }
             }
-        } catch(e) {
-            // console.warn("SoundModule: Minor error during effect disconnection (may be expected):", e.message);
-        }
+        });
     }
 
      // Applies the current toggle states from parameters (used during init)
@@ -731,8 +2010,42 @@ export default class SoundModule {
                  this.toggleEffect(effectName, effects[effectName].active);
              }
          }
+         // toggleEffect skips unchanged states, so make sure the sends match the parameters
+         this._connectEffectsToNode(this.audioState.voiceBus);
      }
 
+    // --- Output Streams ---
+
+    /**
+     * Opens a MediaStream carrying the master output (what is heard, effects included),
+     * e.g. for MediaRecorder. Close it with closeOutputStream() when done.
+     * @returns {MediaStream|null} The stream, or null if audio isn't initialized (or is offline).
+     */
+    createOutputStream() {
+        const ac = this.audioState?.audioContext;
+        if (!this.audioState?.isInitialized || !ac || !this.audioState.masterGain || typeof ac.createMediaStreamDestination !== 'function') {
+            console.warn("SoundModule: Cannot open an output stream. Audio not ready.");
+            return null;
+        }
+        try {
+            const destination = ac.createMediaStreamDestination();
+            this.audioState.masterGain.connect(destination);
+            this.audioState.outputStreams.set(destination.stream, destination);
+            return destination.stream;
+        } catch (e) {
+            console.error("SoundModule: Error creating output stream:", e);
+            return null;
+        }
+    }
+
+    /** Disconnects a stream opened with createOutputStream(). */
+    closeOutputStream(stream) {
+        const destination = this.audioState?.outputStreams.get(stream);
+        if (!destination) return;
+        this.audioState.outputStreams.delete(stream);
+        try { this.audioState.masterGain.disconnect(destination); } catch (e) { /* Already disconnected */ }
+    }
+
     // --- Audio Analysis ---
     getAudioLevels() {
         // Return zero values if not initialized or analyser missing
@@ -811,17 +2124,138 @@ export default class SoundModule {
         console.log(`SoundModule: Applying audio preset '${presetName}'`);
         this.audioState.activePresetName = presetName;
 
+        const mergedParams = this._mergeWithDefaults(preset);
+        // The transport is global: tempo and meter carry over from the current parameters
+        mergedParams.transport = { ...mergedParams.transport, ...(this.audioState.parameters?.transport || {}) };
+        mergedParams.tuning = { ...mergedParams.tuning, ...(this.audioState.parameters?.tuning || {}) };
+        this._applyParameters(mergedParams);
+    }
+
+    /**
+     * Glides between two presets: numeric parameters are interpolated, discrete ones switch
+     * at the midpoint or crossfade (see morphParameters()). Only the parameters that change
+     * are applied, with the usual short ramps, so it can follow a slider or controller
+     * continuously without cutting sounding notes. The transport and tuning stay as they are.
+     * @param {string} fromName - Preset at amount 0.
+     * @param {string} toName - Preset at amount 1.
+     * @param {number} amount - Position between them, 0-1.
+     * @returns {boolean} True if both presets exist.
+     */
+    morphPresets(fromName, toName, amount) {
+        const presets = this.audioState?.presets;
+        if (!presets) return false;
+        if (!presets[fromName] || !presets[toName]) {
+            console.warn(`SoundModule: Can't morph between '${fromName}' and '${toName}': preset not found.`);
+            return false;
+        }
+        const position = Math.max(0, Math.min(1, Number(amount) || 0));
+        const resolve = (name) => {
+            const parameters = this._mergeWithDefaults(presets[name]);
+            parameters.transport = { ...parameters.transport, ...(this.audioState.parameters?.transport || {}) };
+            parameters.tuning = { ...parameters.tuning, ...(this.audioState.parameters?.tuning || {}) };
+            return parameters;
+        };
+        this.audioState.activePresetName = position < MORPH_SWITCH_POINT ? fromName : toName;
+        this._setParameters(morphParameters(resolve(fromName), resolve(toName), position));
+        return true;
+    }
+
+    /**
+     * Moves to `parameters` by applying only the values that differ from the current ones,
+     * so sounding voices follow instead of being reset as by _applyParameters().
+     */
+    _setParameters(parameters) {
+        const current = this.audioState.parameters;
+        if (!this.audioState.isInitialized || !current) {
+            this._applyParameters(parameters);
+            return;
+        }
+        const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const apply = (group, name, value) => {
+            const path = `${group}.${name}`;
+            if (path === 'oscillator.type') this.setOscillatorType(value);
+            else if (path === 'filter.type') this.setFilterType(value);
+            else if (group.startsWith('effects.') && name === 'active') this.toggleEffect(group.slice('effects.'.length), value);
+            else this.setParameter(group, name, value);
+        };
+        const isGroup = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const walk = (group, from, to) => {
+            Object.entries(to).forEach(([name, value]) => {
+                const path = group ? `${group}.${name}` : name;
+                if (!differs(from?.[name], value)) return;
+                if (path === 'modulation.routes') this._setModulationRoutes(from?.[name] || [], value);
+                else if ((isGroup(value) || path === 'modulation.lfos') && from?.[name] !== undefined) walk(path, from[name], value);
+                else apply(group, name, value);
+            });
+        };
+        walk('', current, parameters);
+    }
+
+    /** Changes the modulation routes, ramping only the depths if sources and targets are unchanged. */
+    _setModulationRoutes(from, to) {
+        const sameRoutes = from.length === to.length
+            && to.every((route, index) => route.source === from[index].source && route.target === from[index].target);
+        if (!sameRoutes) {
+            this.setParameter('modulation', 'routes', JSON.parse(JSON.stringify(to)));
+            return;
+        }
+        to.forEach((route, index) => {
+            if (route.amount !== from[index].amount) this.setParameter(`modulation.routes.${index}`, 'amount', route.amount);
+        });
+    }
+
+    /**
+     * Restores a complete parameter state, such as a getParameters() snapshot taken when a
+     * performance was recorded. Unlike a preset, it also sets the transport and tuning.
+     * @param {object} parameters - Parameter groups; missing groups and keys keep their defaults.
+     */
+    restoreParameters(parameters) {
+        if (!this.audioState || !parameters || typeof parameters !== 'object') return;
+        this._applyParameters(this._mergeWithDefaults(parameters));
+    }
+
+    /** Deep copy of the current parameters, safe to keep or serialize. */
+    getParameters() {
+        return JSON.parse(JSON.stringify(this.audioState?.parameters || {}));
+    }
+
+    /** Merges preset-shaped parameter groups over a deep copy of the default preset. */
+    _mergeWithDefaults(preset) {
         // --- Deep Copy & Merge with Defaults ---
         // Start with a deep copy of default structure to ensure all keys exist
         const defaultPreset = this.getPresetsDefinition()['default'];
         const mergedParams = JSON.parse(JSON.stringify(defaultPreset));
 
-        // Merge oscillator params
-        if (preset.oscillator) { Object.assign(mergedParams.oscillator, preset.oscillator); }
+        // Merge oscillator params (all layers, unison and sub-oscillator)
+        ['oscillator', 'oscillator2', 'oscillator3', 'subOscillator', 'unison'].forEach(group => {
+            if (preset[group]) { Object.assign(mergedParams[group], preset[group]); }
+        });
         // Merge filter params
         if (preset.filter) { Object.assign(mergedParams.filter, preset.filter); }
-        // Merge envelope params
+        // Merge filter envelope params
+        if (preset.filterEnvelope) { Object.assign(mergedParams.filterEnvelope, preset.filterEnvelope); }
+        // Merge envelope params (older attack/release-only presets get sustain 1.0, i.e. the old hold-at-peak shape)
         if (preset.envelope) { Object.assign(mergedParams.envelope, preset.envelope); }
+        // Merge polyphony params
+        if (preset.polyphony) { Object.assign(mergedParams.polyphony, preset.polyphony); }
+        // Merge controller params
+        if (preset.controllers) { Object.assign(mergedParams.controllers, preset.controllers); }
+        // Merge portamento params
+        if (preset.portamento) { Object.assign(mergedParams.portamento, preset.portamento); }
+        // Merge velocity params
+        if (preset.velocity) { Object.assign(mergedParams.velocity, preset.velocity); }
+        // Merge transport and tuning (presets leave them to applyPresetAudio, snapshots carry them)
+        if (preset.transport) { Object.assign(mergedParams.transport, preset.transport); }
+        if (preset.tuning) { Object.assign(mergedParams.tuning, preset.tuning); }
+        // Merge modulation: LFOs per index over the defaults, routes replaced wholesale
+        if (preset.modulation) {
+            (preset.modulation.lfos || []).forEach((lfo, index) => {
+                if (mergedParams.modulation.lfos[index]) Object.assign(mergedParams.modulation.lfos[index], lfo);
+            });
+            if (Array.isArray(preset.modulation.routes)) {
+                mergedParams.modulation.routes = JSON.parse(JSON.stringify(preset.modulation.routes));
+            }
+        }
         // Merge effects params (individually)
         if (preset.effects) {
             for (const effectKey in preset.effects) {
@@ -832,7 +2266,13 @@ export default class SoundModule {
                 }
             }
         }
-        this.audioState.parameters = mergedParams;
+        return mergedParams;
+    }
+
+    /** Makes `parameters` current: frequency table, arp and voice settings, and the audio nodes once initialized. */
+    _applyParameters(parameters) {
+        this.audioState.parameters = parameters;
+        this._computeNoteFrequencies();
 
         // --- Sync Internal Arp State ---
         const arpParams = this.audioState.parameters.effects.arpeggiator;
@@ -840,19 +2280,28 @@ export default class SoundModule {
         this.audioState.arp.pattern = arpParams.pattern;
         // Active state is handled by _applyCurrentToggleStates below
 
+        // --- Voice Allocation (applies even before the AudioContext exists) ---
+        const polyParams = this.audioState.parameters.polyphony;
+        this.audioState.voiceAllocator.setMaxVoices(polyParams.voices).forEach(voice => this._releaseVoice(voice, false));
+        this.audioState.voiceAllocator.setStealMode(polyParams.stealMode);
+
         // --- Apply Parameters to Audio Nodes (if initialized) ---
         if (this.audioState.isInitialized) {
            this.setOscillatorType(this.audioState.parameters.oscillator.type);
            this.setFilterType(this.audioState.parameters.filter.type);
            this.setParameter('filter', 'frequency', this.audioState.parameters.filter.frequency);
            this.setParameter('filter', 'Q', this.audioState.parameters.filter.Q);
-           // Envelope params (attack, release) don't need immediate application
+           // Envelope params (attack, hold, decay, sustain, release, curve) apply to the next note
            this.setParameter('effects.delay', 'time', this.audioState.parameters.effects.delay.time);
            this.setParameter('effects.delay', 'feedback', this.audioState.parameters.effects.delay.feedback);
            this.setParameter('effects.reverb', 'decay', this.audioState.parameters.effects.reverb.decay);
            this.setParameter('effects.reverb', 'wet', this.audioState.parameters.effects.reverb.wet);
            this.setParameter('effects.arpeggiator', 'rate', arpParams.rate);
            this.setParameter('effects.arpeggiator', 'pattern', arpParams.pattern);
+           this.setParameter('effects.arpeggiator', 'latch', arpParams.latch); // Releases a latched arp the preset doesn't latch
+           this.setParameter('transport', 'bpm', this.audioState.parameters.transport.bpm);
+           this.setParameter('transport', 'timeSignature', this.audioState.parameters.transport.timeSignature);
+           this._applyModulationParams(); // LFOs and routes from the preset
 
            // Apply toggle states AFTER params are set
             this._applyCurrentToggleStates();
@@ -862,14 +2311,54 @@ export default class SoundModule {
     getPresetsDefinition() {
         // Define a default structure first
         const defaultStructure = {
-             oscillator: {type: 'sawtooth', gain: 0.5},
-             filter: {type: 'lowpass', frequency: 1500, Q: 1.0},
-             envelope: {attack: 0.05, release: 0.5}, // Added default attack
+             // gain is the voice amplitude; level mixes the layer; octave/semitone/fine (cents) tune it
+             oscillator: {type: 'sawtooth', gain: 0.5, detune: 0, octave: 0, semitone: 0, fine: 0, level: 1.0},
+             oscillator2: {active: false, type: 'sawtooth', octave: 0, semitone: 0, fine: 7, level: 0.5},
+             oscillator3: {active: false, type: 'square', octave: -1, semitone: 0, fine: 0, level: 0.5},
+             subOscillator: {active: false, type: 'sine', octave: -1, level: 0.5},
+             unison: {voices: 1, detune: 10, spread: 0.5}, // detune: +/- cents; spread: stereo width 0-1
+             filter: {type: 'lowpass', frequency: 1500, Q: 1.0, keyTracking: 0}, // keyTracking: 0 (fixed) to 1 (follows note)
+             // Second ADSR on the cutoff; amount is bipolar in octaves (-4 to +4), 0 disables it
+             filterEnvelope: {attack: 0.01, decay: 0.3, sustain: 0, release: 0.3, amount: 0},
+             // sustain is relative to oscillator.gain; curve: 'linear' | 'exponential'
+             envelope: {attack: 0.05, hold: 0, decay: 0.1, sustain: 1.0, release: 0.5, curve: 'linear'},
+             polyphony: {voices: 8, stealMode: 'oldest'}, // stealMode: 'oldest' | 'quietest' | 'same-note'
+             controllers: {pitchBendRange: 2}, // Semitones at full bend
+             // Glide between notes: time in seconds (0 = off); mode: 'legato' | 'always'
+             portamento: {time: 0, mode: 'legato'},
+             // How strike velocity (MIDI, touch force, XY pad height; arp accents) shapes a note.
+             // curve: 'linear' | 'soft' | 'hard' | 'fixed'; amplitude: 0 (level ignores velocity) to 1;
+             // filter: cutoff shift at full velocity in octaves (-4 to +4); envelope: -1 to 1,
+             // positive makes harder strikes' attack and decay shorter (up to 4x)
+             velocity: {curve: 'linear', amplitude: 1.0, filter: 0, envelope: 0},
+             // Global clock; arp rate, delay time and LFO rate also accept note divisions ('1/4', '1/8d', '1/16t')
+             transport: {bpm: 120, timeSignature: [4, 4]},
+             // Global, like the transport. scale: a built-in tuning ('12tet', 'just', 'meantone', 'slendro'...)
+             // or 'custom' with Scala file contents in scl; kbm: optional .kbm keyboard mapping contents
+             tuning: {a4: 440, scale: '12tet', scl: null, kbm: null},
+             // LFO shape: 'sine' | 'triangle' | 'square' | 'sawtooth' | 'sampleHold'; synced LFOs use `division`
+             // Routes: { source: 'lfo1'...'lfo3' | 'modWheel' | 'aftertouch' | 'polyPressure' | 'slide', target: <parameter path>, amount: -1..1 }
+             // ('polyPressure' and 'slide' are per note, so they can only reach per-voice targets)
+             modulation: {
+                 lfos: [
+                     {shape: 'sine', rate: 1.0, sync: false, division: '1/4'},
+                     {shape: 'triangle', rate: 0.25, sync: false, division: '1/1'},
+                     {shape: 'sampleHold', rate: 4.0, sync: false, division: '1/16'},
+                 ],
+                 routes: [
+                     {source: 'modWheel', target: 'filter.frequency', amount: 0.5}, // Wheel opens the filter
+                     {source: 'slide', target: 'filter.frequency', amount: 0.25},   // MPE slide: +1 octave per finger
+                     {source: 'polyPressure', target: 'filter.frequency', amount: 0.15}, // Pressing harder brightens the note
+                 ],
+             },
              effects: {
                  delay: {active: false, time: 0.3, feedback: 0.3},
                  reverb: {active: false, decay: 1.5, wet: 0.3},
                  glitch: {active: false}, // Only needs active state
-                 arpeggiator: {active: false, rate: 8, pattern: [0, 7, 12]}
+                 // mode: one of ARP_MODES; octaves: range 1-4; gate: note length as a fraction of the step;
+                 // swing: 0-0.75 (delays every second step); accents: per-step levels (0-1) cycled across
+                 // steps, [] = all full; latch: keep arpeggiating after the keys are released
+                 arpeggiator: {active: false, rate: 8, pattern: [0, 7, 12], mode: 'asPlayed', octaves: 1, gate: 0.8, swing: 0, accents: [], latch: false}
              },
         };
 
@@ -879,7 +2368,13 @@ export default class SoundModule {
             'vaporwave': {
                 oscillator: {type: 'sine', gain: 0.4},
                 filter: {frequency: 800, Q: 1.0},
-                envelope: {attack: 0.8, release: 2.0},
+                envelope: {attack: 0.8, decay: 0.3, sustain: 1.0, release: 2.0},
+                polyphony: {voices: 8, stealMode: 'quietest'}, // Pads: let long tails give way first
+                modulation: { // Slow tape wow on pitch
+                    lfos: [{shape: 'sine', rate: 0.4}],
+                    // Routes replace the default list, so the controller routes are kept explicitly
+                    routes: [{source: 'lfo1', target: 'oscillator.detune', amount: 0.012}, ...defaultStructure.modulation.routes],
+                },
                 effects: {
                     delay: {active: true, time: 0.5, feedback: 0.4},
                     reverb: {active: true, decay: 3.0, wet: 0.7},
@@ -889,7 +2384,8 @@ export default class SoundModule {
              'ambient_drone': {
                 oscillator: {type: 'sine', gain: 0.4},
                 filter: {frequency: 600, Q: 1.5},
-                envelope: {attack: 2.5, release: 4.0}, // Long A/R
+                envelope: {attack: 2.5, decay: 0.5, sustain: 1.0, release: 4.0}, // Long A/R
+                polyphony: {voices: 10, stealMode: 'quietest'}, // Room for overlapping drone chords
                 effects: {
                     delay: {active: true, time: 0.7, feedback: 0.55},
                     reverb: {active: true, decay: 5.0, wet: 0.8},
@@ -899,9 +2395,9 @@ export default class SoundModule {
             'synthwave_lead': {
                 oscillator: {type: 'sawtooth', gain: 0.6},
                 filter: {frequency: 1200, Q: 5.0}, // High Q for resonance
-                envelope: {attack: 0.02, release: 0.4},
+                envelope: {attack: 0.02, decay: 0.1, sustain: 1.0, release: 0.4},
                 effects: {
-                    delay: {active: true, time: 0.25, feedback: 0.3},
+                    delay: {active: true, time: '1/8', feedback: 0.3}, // Eighth-note echo at the transport tempo
                     reverb: {active: true, decay: 1.5, wet: 0.4},
                     arpeggiator: {active: true, rate: 12, pattern: [0, 7, 12, 7]} // Faster arp
                 },
@@ -909,13 +2405,38 @@ export default class SoundModule {
              'grimoire_pulse': {
                 oscillator: {type: 'square', gain: 0.4}, // Square wave
                 filter: {type: 'bandpass', frequency: 900, Q: 6.0}, // Resonant bandpass
-                envelope: {attack: 0.01, release: 0.2}, // Very short pulse
+                envelope: {attack: 0.01, decay: 0.05, sustain: 1.0, release: 0.2}, // Very short pulse
                 effects: {
                     delay: {active: true, time: 0.15, feedback: 0.6}, // Short, feedbacky delay
                     reverb: {active: false},
                     glitch: {active: true}, // Enable potential visual glitch
                     arpeggiator: {active: true, rate: 10, pattern: [0, 3, 7, 10]} // Minor chord arp
                 },
+             },
+             'hex_cascade': { // Swung up-and-down arp over two octaves with accented steps
+                oscillator: {type: 'triangle', gain: 0.45},
+                filter: {frequency: 1400, Q: 4.0},
+                envelope: {attack: 0.005, decay: 0.15, sustain: 0.6, release: 0.25},
+                effects: {
+                    delay: {active: true, time: 0.2, feedback: 0.45},
+                    reverb: {active: true, decay: 2.5, wet: 0.35},
+                    arpeggiator: {active: true, rate: 10, pattern: [0, 3, 7, 10], mode: 'upDown', octaves: 2, gate: 0.5, swing: 0.2, accents: [1, 0.6, 0.8, 0.6]}
+                },
+             },
+             'neon_stack': { // Layered mono lead: detuned saws over a square sub, spread in unison, gliding
+                oscillator: {type: 'sawtooth', gain: 0.5, level: 0.6},
+                oscillator2: {active: true, type: 'sawtooth', octave: 0, fine: 9, level: 0.5}, // Detuned second saw
+                subOscillator: {active: true, type: 'square', octave: -1, level: 0.35},
+                unison: {voices: 3, detune: 12, spread: 0.6},
+                filter: {frequency: 1800, Q: 3.0},
+                envelope: {attack: 0.02, decay: 0.2, sustain: 0.8, release: 0.5},
+                polyphony: {voices: 1, stealMode: 'oldest'},
+                portamento: {time: 0.08, mode: 'legato'}, // Slides between overlapping notes
+                effects: {
+                    delay: {active: true, time: 0.3, feedback: 0.3},
+                    reverb: {active: true, decay: 2.0, wet: 0.4},
+                    arpeggiator: {active: false}
+                },
              }
          };
     }
@@ -926,6 +2447,37 @@ export default class SoundModule {
         return Object.keys(this.audioState.presets).filter(name => name !== 'default');
     }
 
+    /** True for the built-in presets, which can't be replaced or removed. */
+    isFactoryPreset(name) {
+        return Object.prototype.hasOwnProperty.call(this.getPresetsDefinition(), name);
+    }
+
+    /**
+     * Adds (or replaces) a user preset so applyPresetAudio() can load it by name.
+     * @param {string} name - Preset name; factory names are refused.
+     * @param {object} preset - Preset groups, e.g. a getParameters() snapshot.
+     * @returns {boolean} True if the preset was added.
+     */
+    addPreset(name, preset) {
+        if (!this.audioState || !name || !preset || typeof preset !== 'object') return false;
+        if (this.isFactoryPreset(name)) {
+            console.warn(`SoundModule: '${name}' is a factory preset and can't be replaced.`);
+            return false;
+        }
+        this.audioState.presets[name] = JSON.parse(JSON.stringify(preset));
+        return true;
+    }
+
+    /**
+     * Removes a user preset. The current parameters stay as they are, even if it was the active preset.
+     * @returns {boolean} True if a user preset was removed.
+     */
+    removePreset(name) {
+        if (!this.audioState?.presets[name] || this.isFactoryPreset(name)) return false;
+        delete this.audioState.presets[name];
+        return true;
+    }
+
 
     // --- Cleanup ---
     dispose() {
@@ -934,25 +2486,36 @@ export default class SoundModule {
 
         // Stop any sound generation
         this._stopArpeggiator();
-        this.stopNote(false); // Force stop any sustained note immediately
+        this.stopNote(null, false); // Force stop all sustained notes immediately
 
         // Disconnect nodes and close context if initialized
         if (this.audioState.isInitialized && this.audioState.audioContext) {
             const ac = this.audioState.audioContext;
             console.log("SoundModule: Disconnecting nodes...");
              try { // Gracefully attempt disconnects
-                 if (this.audioState.masterGain) this.audioState.masterGain.disconnect();
+                 if (this.audioState.voiceBus) this.audioState.voiceBus.disconnect();
+                 if (this.audioState.masterGain) this.audioState.masterGain.disconnect(); // Output streams included
+                 this.audioState.outputStreams.clear();
                  if (this.audioState.analyser) this.audioState.analyser.disconnect();
                  if (this.audioState.delayNode) this.audioState.delayNode.disconnect();
                  if (this.audioState.delayFeedback) this.audioState.delayFeedback.disconnect();
                  if (this.audioState.reverbNode) this.audioState.reverbNode.disconnect();
                  if (this.audioState.reverbGain) this.audioState.reverbGain.disconnect();
+                 if (this.audioState.modulationMatrix) this.audioState.modulationMatrix.dispose();
+                 ['pitchBendSource', 'modWheelSource', 'aftertouchSource'].forEach(key => {
+                     const source = this.audioState[key];
+                     if (!source) return;
+                     try { source.stop(); } catch(e) {}
+                     source.disconnect();
+                 });
+                 if (this.audioState.scheduler) this.audioState.scheduler.dispose();
+                 if (this.audioState.transport) this.audioState.transport.dispose();
                  // Ensure any remaining synth nodes are cleaned
-                 this._cleanupCurrentNoteNodes();
+                 this._cleanupAllVoices();
              } catch(e) { console.warn("SoundModule: Error during node disconnection:", e); }
 
-             // Close the AudioContext
-             if (ac.state !== 'closed') {
+             // Close the AudioContext (offline contexts end with their render and can't be closed)
+             if (ac.state !== 'closed' && typeof ac.close === 'function') {
                 ac.close().then(() => {
                     console.log("SoundModule: AudioContext closed.");
                 }).catch(e => console.error("SoundModule: Error closing AudioContext:", e));
@@ -963,4 +2526,10 @@ export default class SoundModule {
         this.resolveInit = null;
         console.log("SoundModule: Disposed.");
     }
-}
\ No newline at end of file
+}
+
+export {
+    PERFORMANCE_METHODS, OSCILLATOR_LAYERS, OSCILLATOR_TYPES, FILTER_TYPES, ENVELOPE_CURVES,
+    MAX_FILTER_ENV_OCTAVES, MODULATION_LFO_COUNT, MAX_UNISON_VOICES, ARP_MODES, MAX_ARP_OCTAVES, MAX_ARP_SWING,
+    PORTAMENTO_MODES, MAX_PORTAMENTO_TIME, VELOCITY_CURVES, MIN_A4_HZ, MAX_A4_HZ,
+};
@@ -0,0 +1,267 @@
+/* sound/transport.js */
+
+/**
+ * Global musical clock for SoundModule: tempo, time signature, start/stop and
+ * bar/beat position on the AudioContext timeline. Tempo-synced features (arp
+ * rate, delay time, LFO rates) express their timing as note divisions and ask
+ * the transport to turn them into seconds, so a BPM change retunes all of them.
+ *
+ * Beats are always counted in quarter notes; the time signature only decides
+ * how many of them make a bar.
+ */
+
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+const TRANSPORT_EVENTS = ['tempo', 'timeSignature', 'start', 'stop', 'clockSource'];
+/** 'internal': the transport keeps its own time; 'external': it follows incoming MIDI clock. */
+const CLOCK_SOURCES = ['internal', 'external'];
+
+class Transport {
+    /**
+     * Creates a new Transport instance.
+     * @param {BaseAudioContext} audioContext - Context whose currentTime is the clock.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.bpm=120] - Tempo in quarter notes per minute.
+     * @param {number[]} [options.timeSignature=[4, 4]] - [beats per bar, beat unit].
+     */
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.options = this._mergeDefaults(options);
+        this.bpm = this._clampBpm(this.options.bpm);
+        this.timeSignature = this._validateTimeSignature(this.options.timeSignature) || [4, 4];
+        this.isRunning = false;
+        this.clockSource = 'internal';
+        // Position anchor: the transport was at `anchorBeats` at AudioContext time `anchorTime`
+        this.anchorTime = 0;
+        this.anchorBeats = 0;
+        /** @type {Object.<string, Set<function>>} Listeners, keyed by event name. */
+        this.listeners = {};
+        TRANSPORT_EVENTS.forEach(event => { this.listeners[event] = new Set(); });
+    }
+
+    _mergeDefaults(options) {
+        return {
+            bpm: 120,
+            timeSignature: [4, 4],
+            ...options
+        };
+    }
+
+    _clampBpm(bpm) {
+        const parsed = Number(bpm);
+        return Number.isFinite(parsed) && parsed > 0 ? Math.max(MIN_BPM, Math.min(MAX_BPM, parsed)) : 120;
+    }
+
+    _validateTimeSignature(timeSignature) {
+        if (!Array.isArray(timeSignature) || timeSignature.length !== 2) return null;
+        const [beatsPerBar, beatUnit] = timeSignature.map(value => Math.round(Number(value)));
+        if (!(beatsPerBar >= 1 && beatsPerBar <= 32) || ![1, 2, 4, 8, 16, 32].includes(beatUnit)) return null;
+        return [beatsPerBar, beatUnit];
+    }
+
+    // --- Divisions ---
+
+    /**
+     * Converts a note division ('1/4', '1/8d' dotted, '1/16t' triplet) to a length in beats (quarter notes).
+     * @param {string} division - Note division.
+     * @returns {number|null} Length in beats, or null if the division is invalid.
+     */
+    static divisionToBeats(division) {
+        const match = /^(\d+)\/(\d+)([dt]?)$/.exec(String(division).trim());
+        if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) return null;
+        let beats = (Number(match[1]) / Number(match[2])) * 4;
+        if (match[3] === 'd') beats *= 1.5;
+        if (match[3] === 't') beats *= 2 / 3;
+        return beats;
+    }
+
+    /** True if a parameter value is a note division (tempo-synced) rather than a plain number. */
+    static isDivision(value) {
+        return typeof value === 'string' && Transport.divisionToBeats(value) !== null;
+    }
+
+    /** Length of one beat (quarter note) in seconds at the current tempo. */
+    getBeatDuration() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * Length of a note division in seconds at the current tempo.
+     * @param {string} division - Note division, e.g. '1/8d'.
+     * @returns {number|null} Seconds, or null if the division is invalid.
+     */
+    divisionToSeconds(division) {
+        const beats = Transport.divisionToBeats(division);
+        return beats === null ? null : beats * this.getBeatDuration();
+    }
+
+    /** Rate in Hz of something that repeats once per division (e.g. a synced LFO), or null. */
+    divisionToHz(division) {
+        const seconds = this.divisionToSeconds(division);
+        return seconds ? 1 / seconds : null;
+    }
+
+    // --- Tempo & Meter ---
+
+    /**
+     * Changes the tempo. A running transport keeps its current position.
+     * @param {number} bpm - Quarter notes per minute (clamped to 20-300).
+     */
+    setBpm(bpm) {
+        const newBpm = this._clampBpm(bpm);
+        if (newBpm === this.bpm) return;
+        const now = this.audioContext.currentTime;
+        if (this.isRunning) {
+            this.anchorBeats = this.getBeatsAtTime(now);
+            this.anchorTime = now;
+        }
+        this.bpm = newBpm;
+        this._emit('tempo', { bpm: this.bpm, time: now });
+    }
+
+    /**
+     * Changes the time signature.
+     * @param {number[]} timeSignature - [beats per bar (1-32), beat unit (1, 2, 4, 8, 16 or 32)].
+     */
+    setTimeSignature(timeSignature) {
+        const validated = this._validateTimeSignature(timeSignature);
+        if (!validated) {
+            console.warn(`Transport: Invalid time signature '${timeSignature}'. Keeping ${this.timeSignature.join('/')}.`);
+            return;
+        }
+        this.timeSignature = validated;
+        this._emit('timeSignature', { timeSignature: validated.slice() });
+    }
+
+    /** Length of one bar in beats (quarter notes). */
+    getBeatsPerBar() {
+        return this.timeSignature[0] * (4 / this.timeSignature[1]);
+    }
+
+    // --- Clock Source ---
+
+    /**
+     * Chooses who drives the transport. While external, start/stop and tempo come from
+     * MIDI clock, and synced tracks only run while the transport is running.
+     * @param {string} source - 'internal' or 'external'.
+     */
+    setClockSource(source) {
+        if (!CLOCK_SOURCES.includes(source)) {
+            console.warn(`Transport: Invalid clock source '${source}'.`);
+            return;
+        }
+        if (source === this.clockSource) return;
+        this.clockSource = source;
+        this._emit('clockSource', { clockSource: source });
+    }
+
+    // --- Start / Stop ---
+
+    /**
+     * Starts the transport from a position.
+     * @param {number} [time] - AudioContext time the first beat falls on (defaults to now).
+     * @param {number} [fromBeat=0] - Position to start from, in beats.
+     */
+    start(time, fromBeat = 0) {
+        const startTime = Math.max(this.audioContext.currentTime, time ?? 0);
+        this.anchorTime = startTime;
+        this.anchorBeats = Math.max(0, Number(fromBeat) || 0);
+        this.isRunning = true;
+        this._emit('start', { time: startTime, beat: this.anchorBeats });
+    }
+
+    /** Stops the transport, remembering where it stopped. */
+    stop(time) {
+        if (!this.isRunning) return;
+        const stopTime = Math.max(this.audioContext.currentTime, time ?? 0);
+        this.anchorBeats = this.getBeatsAtTime(stopTime);
+        this.anchorTime = stopTime;
+        this.isRunning = false;
+        this._emit('stop', { time: stopTime, beat: this.anchorBeats });
+    }
+
+    // --- Position ---
+
+    /** Position in beats at an AudioContext time (frozen while stopped). */
+    getBeatsAtTime(time) {
+        if (!this.isRunning) return this.anchorBeats;
+        return this.anchorBeats + (time - this.anchorTime) / this.getBeatDuration();
+    }
+
+    /**
+     * Re-anchors the position without emitting start/stop (e.g. to correct drift against an external clock).
+     * @param {number} beats - Position in beats.
+     * @param {number} [time] - AudioContext time the position is reached (defaults to now).
+     */
+    setPosition(beats, time) {
+        this.anchorBeats = Math.max(0, Number(beats) || 0);
+        this.anchorTime = time ?? this.audioContext.currentTime;
+    }
+
+    /** AudioContext time at which the transport reaches a position (assuming the tempo holds). */
+    getTimeAtBeats(beats) {
+        return this.anchorTime + (beats - this.anchorBeats) * this.getBeatDuration();
+    }
+
+    /**
+     * Musical position at an AudioContext time.
+     * @param {number} [time] - Defaults to now.
+     * @returns {{bar: number, beat: number, totalBeats: number}} 0-based bar, beat within the bar (fractional) and beats since start.
+     */
+    getPosition(time) {
+        const totalBeats = Math.max(0, this.getBeatsAtTime(time ?? this.audioContext.currentTime));
+        const beatsPerBar = this.getBeatsPerBar();
+        return {
+            bar: Math.floor(totalBeats / beatsPerBar),
+            beat: totalBeats % beatsPerBar,
+            totalBeats,
+        };
+    }
+
+    /**
+     * Next time at or after `time` that falls on the grid of a division, so synced
+     * tracks started mid-bar land on the beat. Returns `time` when stopped.
+     * @param {string} division - Grid division, e.g. '1/16'.
+     * @param {number} [time] - Defaults to now.
+     */
+    getNextGridTime(division, time) {
+        const from = time ?? this.audioContext.currentTime;
+        const gridBeats = Transport.divisionToBeats(division);
+        if (!this.isRunning || !gridBeats) return from;
+        const beats = this.getBeatsAtTime(from);
+        const nextBeats = Math.ceil(beats / gridBeats - 1e-6) * gridBeats;
+        return Math.max(from, this.getTimeAtBeats(nextBeats));
+    }
+
+    // --- Events ---
+
+    /**
+     * Subscribes to a transport event.
+     * @param {string} event - 'tempo', 'timeSignature', 'start', 'stop' or 'clockSource'.
+     * @param {function(object): void} callback - Receives an event detail object.
+     * @returns {function(): void} Unsubscribe function.
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            console.warn(`Transport: Unknown event '${event}'.`);
+            return () => {};
+        }
+        this.listeners[event].add(callback);
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    _emit(event, detail) {
+        this.listeners[event].forEach(callback => {
+            try { callback(detail); } catch (e) { console.error(`Transport: Error in '${event}' listener:`, e); }
+        });
+    }
+
+    /** Drops every listener. */
+    dispose() {
+        this.isRunning = false;
+        TRANSPORT_EVENTS.forEach(event => this.listeners[event].clear());
+    }
+}
+
+export { Transport, TRANSPORT_EVENTS, CLOCK_SOURCES, MIN_BPM, MAX_BPM };
+export default Transport;
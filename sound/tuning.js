@@ -0,0 +1,251 @@
+/* sound/tuning.js */
+
+/**
+ * Tuning subsystem for SoundModule: maps MIDI note numbers to frequencies through
+ * a scale (a list of pitches per period, usually the octave) and a keyboard
+ * mapping (which key plays which scale degree, and which key sounds at the
+ * reference frequency).
+ *
+ * Scales and mappings can come from Scala files (.scl / .kbm, see
+ * https://www.huygens-fokker.org/scala/scl_format.html) or from the built-in
+ * just intonation, historical and non-Western tunings below. Without a keyboard
+ * mapping the Scala default applies: consecutive keys play consecutive degrees,
+ * degree 0 sits on middle C (MIDI 60) and A4 (MIDI 69) sounds at the A4 reference.
+ */
+
+import { midiToFrequency } from './notes.js';
+
+const DEFAULT_MIDDLE_NOTE = 60;
+const DEFAULT_REFERENCE_NOTE = 69;
+
+/**
+ * Built-in tunings, as Scala pitch lines (ratios or cents) for the degrees above 1/1,
+ * the last one being the period. '12tet' has no pitches: it is plain equal temperament.
+ */
+const BUILT_IN_TUNINGS = {
+    '12tet': { label: '12-TET', pitches: null },
+    'just': {
+        label: 'JUST (5-LIMIT)',
+        pitches: ['16/15', '9/8', '6/5', '5/4', '4/3', '45/32', '3/2', '8/5', '5/3', '9/5', '15/8', '2/1'],
+    },
+    'pythagorean': {
+        label: 'PYTHAGOREAN',
+        pitches: ['256/243', '9/8', '32/27', '81/64', '4/3', '729/512', '3/2', '128/81', '27/16', '16/9', '243/128', '2/1'],
+    },
+    'meantone': { // Quarter-comma meantone
+        label: 'MEANTONE 1/4',
+        pitches: ['76.049', '193.157', '310.265', '386.314', '503.422', '579.471', '696.578', '772.627', '889.735', '1006.843', '1082.892', '1200.0'],
+    },
+    'werckmeister3': {
+        label: 'WERCKMEISTER III',
+        pitches: ['90.225', '192.180', '294.135', '390.225', '498.045', '588.270', '696.090', '792.180', '888.270', '996.090', '1092.180', '1200.0'],
+    },
+    'kirnberger3': {
+        label: 'KIRNBERGER III',
+        pitches: ['90.225', '193.157', '294.135', '386.314', '498.045', '590.224', '696.578', '792.180', '889.735', '996.090', '1088.269', '1200.0'],
+    },
+    'quarterTone': { // 24-EDO, for maqam-based music
+        label: '24-EDO',
+        pitches: Array.from({ length: 24 }, (_, i) => `${((i + 1) * 50).toFixed(1)}`),
+    },
+    'shruti': { // The 22 shrutis of Indian classical theory
+        label: '22 SHRUTI',
+        pitches: ['256/243', '16/15', '10/9', '9/8', '32/27', '6/5', '5/4', '81/64', '4/3', '27/20', '45/32',
+            '729/512', '3/2', '128/81', '8/5', '5/3', '27/16', '16/9', '9/5', '15/8', '243/128', '2/1'],
+    },
+    'slendro': { // Javanese gamelan; tunings vary by ensemble, this is a typical measured set
+        label: 'SLENDRO',
+        pitches: ['231.0', '474.0', '717.0', '955.0', '1200.0'],
+    },
+    'pelog': { // Javanese gamelan, 7 tones; likewise one representative measurement
+        label: 'PELOG',
+        pitches: ['120.0', '258.0', '539.0', '675.0', '785.0', '943.0', '1200.0'],
+    },
+};
+
+/**
+ * Parses one Scala pitch line: cents if it contains a period, otherwise a ratio ('3/2') or integer ('2').
+ * @param {string} line - Pitch line; anything after the first whitespace is ignored.
+ * @returns {number} Pitch in cents.
+ */
+function parsePitch(line) {
+    const token = String(line).trim().split(/\s+/)[0];
+    if (token.includes('.')) {
+        const cents = Number(token);
+        if (!Number.isFinite(cents)) throw new Error(`Invalid cents value '${token}'.`);
+        return cents;
+    }
+    const [numerator, denominator = '1'] = token.split('/');
+    const ratio = Number(numerator) / Number(denominator);
+    if (!Number.isFinite(ratio) || ratio <= 0) throw new Error(`Invalid ratio '${token}'.`);
+    return 1200 * Math.log2(ratio);
+}
+
+/** Non-comment lines of a Scala file (comments start with '!'). */
+function scalaLines(text) {
+    return String(text).split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+}
+
+/**
+ * Parses a Scala scale file.
+ * @param {string} text - Contents of a .scl file.
+ * @returns {{description: string, cents: number[]}} Degrees above 1/1 in cents; the last is the period.
+ * @throws {Error} If the file is malformed.
+ */
+function parseScl(text) {
+    const lines = scalaLines(text);
+    if (lines.length < 2) throw new Error("Scale file is too short.");
+    const description = lines[0].trim();
+    const count = Number(lines[1].trim().split(/\s+/)[0]);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid note count '${lines[1].trim()}'.`);
+    const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+    if (pitchLines.length < count) throw new Error(`Expected ${count} pitches, found ${pitchLines.length}.`);
+    const cents = pitchLines.slice(0, count).map(parsePitch);
+    if (count === 0) cents.push(1200); // A zero-note scale is just 1/1 repeating at the octave
+    if (cents[cents.length - 1] <= 0) throw new Error("The period (last pitch) must be above 1/1.");
+    return { description, cents };
+}
+
+/**
+ * Parses a Scala keyboard mapping file.
+ * @param {string} text - Contents of a .kbm file.
+ * @returns {object} { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping (degree or null per key) }.
+ * @throws {Error} If the file is malformed.
+ */
+function parseKbm(text) {
+    const values = scalaLines(text).map(line => line.trim()).filter(line => line !== '');
+    if (values.length < 7) throw new Error("Keyboard mapping file is too short.");
+    const field = (index, name) => {
+        const value = Number(values[index].split(/\s+/)[0]);
+        if (!Number.isFinite(value)) throw new Error(`Invalid ${name} '${values[index]}'.`);
+        return value;
+    };
+    const size = field(0, 'map size');
+    const mapping = values.slice(7, 7 + size).map(entry => {
+        const token = entry.split(/\s+/)[0];
+        return token.toLowerCase() === 'x' ? null : Number(token);
+    });
+    if (mapping.some(degree => degree !== null && !Number.isInteger(degree))) throw new Error("Invalid degree in key mapping.");
+    while (mapping.length < size) mapping.push(null); // Missing entries are unmapped keys
+    return {
+        size,
+        firstNote: field(1, 'first note'),
+        lastNote: field(2, 'last note'),
+        middleNote: field(3, 'middle note'),
+        referenceNote: field(4, 'reference note'),
+        referenceFrequency: field(5, 'reference frequency'),
+        octaveDegree: field(6, 'octave degree'),
+        mapping,
+    };
+}
+
+class Tuning {
+    /**
+     * Creates a new Tuning instance.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number[]|null} [options.cents=null] - Scale degrees above 1/1 in cents (last = period); null for 12-TET.
+     * @param {object|null} [options.keyboardMapping=null] - Parsed .kbm mapping; null for the default linear mapping.
+     * @param {string} [options.name='12-TET'] - Display name.
+     */
+    constructor(options = {}) {
+        this.options = this._mergeDefaults(options);
+        this.cents = Array.isArray(this.options.cents) && this.options.cents.length > 0 ? this.options.cents.slice() : null;
+        this.keyboardMapping = this.options.keyboardMapping;
+        this.name = this.options.name;
+    }
+
+    _mergeDefaults(options) {
+        return {
+            cents: null,
+            keyboardMapping: null,
+            name: '12-TET',
+            ...options
+        };
+    }
+
+    /**
+     * Builds a tuning from Scala file contents.
+     * @param {string} sclText - .scl contents.
+     * @param {string|null} [kbmText=null] - Optional .kbm contents.
+     * @returns {Tuning}
+     * @throws {Error} If either file is malformed.
+     */
+    static fromScala(sclText, kbmText = null) {
+        const scale = parseScl(sclText);
+        return new Tuning({
+            cents: scale.cents,
+            keyboardMapping: kbmText ? parseKbm(kbmText) : null,
+            name: scale.description || 'SCALA',
+        });
+    }
+
+    /**
+     * Builds one of the built-in tunings (unknown names give 12-TET).
+     * @param {string} name - Key of BUILT_IN_TUNINGS, e.g. 'just' or 'slendro'.
+     * @param {string|null} [kbmText=null] - Optional .kbm contents to map it with.
+     */
+    static builtIn(name, kbmText = null) {
+        const definition = BUILT_IN_TUNINGS[name] || BUILT_IN_TUNINGS['12tet'];
+        return new Tuning({
+            cents: definition.pitches ? definition.pitches.map(parsePitch) : null,
+            keyboardMapping: kbmText ? parseKbm(kbmText) : null,
+            name: definition.label,
+        });
+    }
+
+    /** Number of degrees per period. */
+    getSize() {
+        return this.cents ? this.cents.length : 12;
+    }
+
+    /** Keys from one period (octave) to the next, e.g. for arpeggiator octave spans. */
+    getKeysPerPeriod() {
+        return this.keyboardMapping?.size || this.getSize();
+    }
+
+    /** Pitch in cents of a (possibly negative) number of scale steps above degree 0. */
+    _stepsToCents(steps) {
+        if (!this.cents) return steps * 100;
+        const size = this.cents.length;
+        const period = this.cents[size - 1];
+        const degree = ((steps % size) + size) % size;
+        const periods = Math.floor(steps / size);
+        return periods * period + (degree === 0 ? 0 : this.cents[degree - 1]);
+    }
+
+    /** Scale steps above the mapping's degree 0 played by a key, or null if the key is unmapped. */
+    _keyToSteps(noteNumber) {
+        const map = this.keyboardMapping;
+        if (!map) return noteNumber - DEFAULT_MIDDLE_NOTE;
+        if (noteNumber < map.firstNote || noteNumber > map.lastNote) return null;
+        const offset = noteNumber - map.middleNote;
+        if (map.size === 0) return offset; // Linear mapping
+        const index = ((offset % map.size) + map.size) % map.size;
+        const degree = map.mapping[index];
+        if (degree === null || degree === undefined) return null;
+        return Math.floor(offset / map.size) * map.octaveDegree + degree;
+    }
+
+    /**
+     * Frequency of a key.
+     * @param {number} noteNumber - MIDI note number (integers outside 0-127 are extrapolated).
+     * @param {number} [a4=440] - A4 reference in Hz, used unless a keyboard mapping sets its own reference.
+     * @returns {number|null} Hz, or null if the keyboard mapping leaves the key unmapped.
+     */
+    getFrequency(noteNumber, a4 = 440) {
+        if (!this.cents && !this.keyboardMapping) return midiToFrequency(noteNumber, a4);
+        const steps = this._keyToSteps(noteNumber);
+        if (steps === null) return null;
+
+        const map = this.keyboardMapping;
+        const referenceFrequency = map ? map.referenceFrequency : a4;
+        const referenceNote = map ? map.referenceNote : DEFAULT_REFERENCE_NOTE;
+        // The reference key may itself be unmapped; its pitch is then taken as if mapped linearly
+        const referenceSteps = (map ? this._keyToSteps(referenceNote) : null) ?? (referenceNote - (map ? map.middleNote : DEFAULT_MIDDLE_NOTE));
+        const cents = this._stepsToCents(steps) - this._stepsToCents(referenceSteps);
+        return referenceFrequency * Math.pow(2, cents / 1200);
+    }
+}
+
+export { Tuning, BUILT_IN_TUNINGS, parseScl, parseKbm };
+export default Tuning;
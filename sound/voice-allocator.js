@@ -0,0 +1,136 @@
+/* sound/voice-allocator.js */
+
+/**
+ * Bookkeeping for SoundModule's polyphonic voices.
+ * Tracks which voices are sounding and decides which one to steal when the
+ * voice limit is reached. Voices are plain objects whose audio nodes are built
+ * and torn down by SoundModule; the allocator never touches the nodes itself.
+ */
+
+/** Supported voice-stealing policies. */
+const STEAL_MODES = ['oldest', 'quietest', 'same-note'];
+const MAX_VOICE_LIMIT = 32;
+
+class VoiceAllocator {
+    /**
+     * Creates a new VoiceAllocator instance.
+     * @param {object} [options={}] - Configuration options.
+     * @param {number} [options.maxVoices=8] - Maximum number of simultaneously sounding voices.
+     * @param {string} [options.stealMode='oldest'] - One of STEAL_MODES.
+     * @param {function(object): number} [options.getVoiceLevel] - Returns the current output level of a voice (used by 'quietest').
+     */
+    constructor(options = {}) {
+        this.options = this._mergeDefaults(options);
+        this.options.maxVoices = this._clampVoiceCount(this.options.maxVoices);
+        /** @type {object[]} Voices in the order they were started (oldest first). */
+        this.voices = [];
+        this._nextVoiceId = 1;
+    }
+
+    _mergeDefaults(options) {
+        return {
+            maxVoices: 8,
+            stealMode: 'oldest',
+            getVoiceLevel: (voice) => voice.gainNode?.gain?.value ?? 0,
+            ...options
+        };
+    }
+
+    _clampVoiceCount(count) {
+        const parsed = Math.round(Number(count));
+        return Number.isFinite(parsed) ? Math.max(1, Math.min(MAX_VOICE_LIMIT, parsed)) : 8;
+    }
+
+    /**
+     * Changes the voice limit.
+     * @param {number} count - New maximum voice count (clamped to 1-32).
+     * @returns {object[]} Voices over the new limit (oldest first) that the caller should stop.
+     */
+    setMaxVoices(count) {
+        this.options.maxVoices = this._clampVoiceCount(count);
+        const excess = [];
+        while (this.voices.length - excess.length > this.options.maxVoices) {
+            excess.push(this._pickVoiceToSteal(null, this.voices.filter(v => !excess.includes(v))));
+        }
+        excess.forEach(voice => this.removeVoice(voice));
+        return excess;
+    }
+
+    /** @param {string} mode - One of 'oldest', 'quietest' or 'same-note'. */
+    setStealMode(mode) {
+        if (!STEAL_MODES.includes(mode)) {
+            console.warn(`VoiceAllocator: Invalid steal mode '${mode}'. Keeping '${this.options.stealMode}'.`);
+            return;
+        }
+        this.options.stealMode = mode;
+    }
+
+    /**
+     * Registers a newly built voice.
+     * @param {object} voice - Voice object built by SoundModule (note, nodes, etc.).
+     * @returns {object} The same voice, stamped with an id and bookkeeping fields.
+     */
+    addVoice(voice) {
+        voice.id = this._nextVoiceId++;
+        voice.releasing = false;
+        this.voices.push(voice);
+        return voice;
+    }
+
+    /** Forgets a voice. Safe to call more than once. */
+    removeVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index !== -1) this.voices.splice(index, 1);
+    }
+
+    /**
+     * Picks a voice to make room for a new note, if the limit has been reached.
+     * The returned voice is removed from the allocator; the caller must stop it.
+     * @param {string|null} note - The note about to be started.
+     * @returns {object|null} The voice to steal, or null if a slot is free.
+     */
+    stealVoiceFor(note) {
+        if (this.voices.length < this.options.maxVoices) return null;
+        const voice = this._pickVoiceToSteal(note, this.voices);
+        this.removeVoice(voice);
+        return voice;
+    }
+
+    _pickVoiceToSteal(note, candidates) {
+        // Voices already in their release phase are always the first to go
+        const releasing = candidates.filter(v => v.releasing);
+        const pool = releasing.length > 0 ? releasing : candidates;
+
+        switch (this.options.stealMode) {
+            case 'quietest': {
+                let quietest = pool[0];
+                let lowestLevel = Infinity;
+                pool.forEach(voice => {
+                    const level = this.options.getVoiceLevel(voice);
+                    if (level < lowestLevel) { lowestLevel = level; quietest = voice; }
+                });
+                return quietest;
+            }
+            case 'same-note': {
+                const sameNote = candidates.find(v => note !== null && v.note === note);
+                return sameNote || pool[0];
+            }
+            case 'oldest':
+            default:
+                return pool[0];
+        }
+    }
+
+    /** Returns the held (non-releasing) voices playing a note, or all held voices if note is null. */
+    getHeldVoices(note = null) {
+        return this.voices.filter(v => !v.releasing && (note === null || v.note === note));
+    }
+
+    /** Returns every voice that is still sounding, including releasing ones. */
+    getActiveVoices() {
+        return this.voices.slice();
+    }
+}
+
+export { VoiceAllocator, STEAL_MODES, MAX_VOICE_LIMIT };
+export default VoiceAllocator;
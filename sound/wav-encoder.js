@@ -0,0 +1,92 @@
+/* sound/wav-encoder.js */
+
+/**
+ * Encodes an AudioBuffer (or anything shaped like one: numberOfChannels, length,
+ * sampleRate, getChannelData()) as a RIFF/WAVE file. Integer depths are written
+ * as PCM with samples clipped to [-1, 1]; 32 bits is written as IEEE float and
+ * keeps the samples as rendered.
+ */
+
+/** Supported bit depths: 16 and 24 are integer PCM, 32 is float. */
+const WAV_BIT_DEPTHS = [16, 24, 32];
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+/**
+ * Encodes audio as a WAV file.
+ * @param {AudioBuffer} audioBuffer - Audio to encode; channels are interleaved.
+ * @param {number} [bitDepth=16] - 16, 24 (PCM) or 32 (float).
+ * @returns {ArrayBuffer} Complete file contents.
+ * @throws {Error} If the bit depth is not supported.
+ */
+function encodeWav(audioBuffer, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) throw new Error(`Unsupported WAV bit depth '${bitDepth}'.`);
+    const isFloat = bitDepth === 32;
+    const channels = audioBuffer.numberOfChannels;
+    const frames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+    // Float files carry the extended fmt chunk (cbSize) and a fact chunk, as the format requires
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, headerSize - 8 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    let offset = 12;
+    writeString(view, offset, 'fmt ');
+    view.setUint32(offset + 4, fmtSize, true);
+    view.setUint16(offset + 8, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+    view.setUint16(offset + 10, channels, true);
+    view.setUint32(offset + 12, audioBuffer.sampleRate, true);
+    view.setUint32(offset + 16, audioBuffer.sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(offset + 20, blockAlign, true);
+    view.setUint16(offset + 22, bitDepth, true);
+    if (isFloat) view.setUint16(offset + 24, 0, true); // No extension bytes
+    offset += 8 + fmtSize;
+
+    if (isFloat) {
+        writeString(view, offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, frames, true);
+        offset += factSize;
+    }
+
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = channelData[channel][frame];
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const clipped = Math.max(-1, Math.min(1, sample || 0));
+                if (bitDepth === 16) {
+                    view.setInt16(offset, Math.round(clipped < 0 ? clipped * 0x8000 : clipped * 0x7FFF), true);
+                } else {
+                    const value = Math.round(clipped < 0 ? clipped * 0x800000 : clipped * 0x7FFFFF);
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return buffer;
+}
+
+export { encodeWav, WAV_BIT_DEPTHS };
+export default encodeWav;
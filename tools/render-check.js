@@ -0,0 +1,171 @@
+/* tools/render-check.js */
+
+/**
+ * Audio regression check for the offline renderer. Renders a fixed performance
+ * (notes, a filter sweep, the arpeggiator in random mode and a preset with a
+ * seeded reverb impulse) and checks that:
+ *
+ *   - two renders with the same seed encode to byte-identical WAV files,
+ *   - the WAV file decodes back to the rendered samples (header and quantization),
+ *   - the render matches a stored reference WAV within a small tolerance.
+ *
+ * Run it headless with `node tools/run-render-check.mjs` (exit code 1 on failure,
+ * `--update` writes a new reference), or in a browser by opening
+ * tools/render-check.html from a local web server. The reference has to be
+ * rendered by the same Web Audio implementation that checks against it; without
+ * tools/render-check.reference.wav the check fails.
+ */
+
+import OfflineRenderer from '../sound/offline-renderer.js';
+import { encodeWav } from '../sound/wav-encoder.js';
+
+/** The performance rendered by the check (see OfflineRenderer for the format). */
+const RENDER_CHECK_PERFORMANCE = {
+    preset: 'vaporwave',
+    duration: 4.5,
+    events: [
+        { time: 0, type: 'startNote', args: ['C3', 0.8] },
+        { time: 0.5, type: 'setParameter', args: ['filter', 'frequency', 900] },
+        { time: 1, type: 'startNote', args: ['G3', 0.6] },
+        { time: 1.5, type: 'setParameter', args: ['effects.arpeggiator', 'mode', 'random'] },
+        { time: 1.5, type: 'toggleEffect', args: ['arpeggiator', true] },
+        { time: 2.5, type: 'toggleEffect', args: ['arpeggiator', false] },
+        { time: 3, type: 'stopNote', args: [null] },
+    ],
+};
+/** Render settings the reference was made with; changing them needs a new reference. */
+const RENDER_CHECK_OPTIONS = { sampleRate: 44100, channels: 2, seed: 1 };
+const RENDER_CHECK_BIT_DEPTH = 16;
+/** Largest sample difference (in 16-bit steps) accepted against the reference. */
+const DEFAULT_TOLERANCE = 2;
+
+/**
+ * Reads the format and samples of a PCM (16/24-bit) or float (32-bit) WAV file.
+ * @param {ArrayBuffer} arrayBuffer - File contents.
+ * @returns {{sampleRate: number, channels: number, bitDepth: number, frames: number, samples: Float32Array[]}}
+ * @throws {Error} If the file is not a WAV file this project writes.
+ */
+function decodeWav(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const readString = (offset, length) => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, length));
+    if (view.byteLength < 12 || readString(0, 4) !== 'RIFF' || readString(8, 4) !== 'WAVE') throw new Error("Not a RIFF/WAVE file.");
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const id = readString(offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            format = {
+                isFloat: view.getUint16(body, true) === 3,
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitDepth: view.getUint16(body + 14, true),
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error("WAV data chunk before its fmt chunk.");
+            const { channels, bitDepth, isFloat } = format;
+            const bytesPerSample = bitDepth / 8;
+            const frames = Math.floor(Math.min(size, view.byteLength - body) / (channels * bytesPerSample));
+            const samples = Array.from({ length: channels }, () => new Float32Array(frames));
+            for (let frame = 0, position = body; frame < frames; frame++) {
+                for (let channel = 0; channel < channels; channel++, position += bytesPerSample) {
+                    let sample;
+                    if (isFloat) {
+                        sample = view.getFloat32(position, true);
+                    } else if (bitDepth === 16) {
+                        sample = view.getInt16(position, true) / 0x8000;
+                    } else {
+                        const value = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+                        sample = value / 0x800000;
+                    }
+                    samples[channel][frame] = sample;
+                }
+            }
+            return { sampleRate: format.sampleRate, channels, bitDepth, frames, samples };
+        }
+        offset = body + size + (size % 2); // Chunks are padded to an even size
+    }
+    throw new Error("WAV file has no data chunk.");
+}
+
+/**
+ * Largest difference between two decoded WAV files.
+ * @returns {{matches: boolean, maxDifference: number, detail: string}} maxDifference is in 16-bit steps.
+ */
+function compareWav(actual, reference, tolerance = DEFAULT_TOLERANCE) {
+    if (actual.sampleRate !== reference.sampleRate || actual.channels !== reference.channels || actual.frames !== reference.frames) {
+        const describe = (wav) => `${wav.channels} ch, ${wav.sampleRate} Hz, ${wav.frames} frames`;
+        return { matches: false, maxDifference: Infinity, detail: `Format differs: ${describe(actual)} vs ${describe(reference)}.` };
+    }
+    let maxDifference = 0;
+    let worstFrame = 0;
+    actual.samples.forEach((channelData, channel) => {
+        const referenceData = reference.samples[channel];
+        for (let frame = 0; frame < channelData.length; frame++) {
+            const difference = Math.abs(channelData[frame] - referenceData[frame]) * 0x8000;
+            if (difference > maxDifference) { maxDifference = difference; worstFrame = frame; }
+        }
+    });
+    const seconds = (worstFrame / actual.sampleRate).toFixed(3);
+    return {
+        matches: maxDifference <= tolerance,
+        maxDifference,
+        detail: `Largest difference ${maxDifference.toFixed(1)} steps (tolerance ${tolerance}) at ${seconds}s.`,
+    };
+}
+
+function sameBytes(a, b) {
+    if (a.byteLength !== b.byteLength) return false;
+    const bytesA = new Uint8Array(a);
+    const bytesB = new Uint8Array(b);
+    for (let i = 0; i < bytesA.length; i++) {
+        if (bytesA[i] !== bytesB[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Renders the check performance and runs the checks.
+ * @param {object} options - Options.
+ * @param {function} options.OfflineAudioContext - Context constructor to render with.
+ * @param {ArrayBuffer|null} [options.reference=null] - Reference WAV file, or null if there is none yet.
+ * @param {number} [options.tolerance=2] - Largest accepted difference from the reference, in 16-bit steps.
+ * @returns {Promise<{passed: boolean, checks: {name: string, passed: boolean, detail: string}[], wav: ArrayBuffer}>}
+ *   `wav` is the render, e.g. to save as the reference.
+ */
+async function runRenderCheck({ OfflineAudioContext, reference = null, tolerance = DEFAULT_TOLERANCE }) {
+    const renderer = new OfflineRenderer({ ...RENDER_CHECK_OPTIONS, OfflineAudioContext });
+    const render = async () => encodeWav(await renderer.render(RENDER_CHECK_PERFORMANCE), RENDER_CHECK_BIT_DEPTH);
+    const wav = await render();
+    const checks = [];
+
+    const isRepeatable = sameBytes(wav, await render());
+    checks.push({ name: 'deterministic', passed: isRepeatable, detail: isRepeatable ? 'Two renders are identical.' : 'Two renders with the same seed differ.' });
+
+    try {
+        const decoded = decodeWav(wav);
+        const expectedFrames = Math.ceil(RENDER_CHECK_PERFORMANCE.duration * RENDER_CHECK_OPTIONS.sampleRate);
+        const formatOk = decoded.sampleRate === RENDER_CHECK_OPTIONS.sampleRate && decoded.channels === RENDER_CHECK_OPTIONS.channels
+            && decoded.bitDepth === RENDER_CHECK_BIT_DEPTH && decoded.frames === expectedFrames;
+        const peak = decoded.samples.reduce((max, channelData) => channelData.reduce((m, s) => Math.max(m, Math.abs(s)), max), 0);
+        checks.push({
+            name: 'wav',
+            passed: formatOk && peak > 0,
+            detail: `${decoded.channels} ch, ${decoded.sampleRate} Hz, ${decoded.bitDepth}-bit, ${decoded.frames} frames, peak ${peak.toFixed(3)}.`,
+        });
+        if (reference) {
+            const comparison = compareWav(decoded, decodeWav(reference), tolerance);
+            checks.push({ name: 'reference', passed: comparison.matches, detail: comparison.detail });
+        } else {
+            checks.push({ name: 'reference', passed: false, detail: 'No reference file; save this render as tools/render-check.reference.wav.' });
+        }
+    } catch (e) {
+        checks.push({ name: 'wav', passed: false, detail: e.message });
+    }
+    return { passed: checks.every(check => check.passed), checks, wav };
+}
+
+export { runRenderCheck, decodeWav, compareWav, RENDER_CHECK_PERFORMANCE, RENDER_CHECK_OPTIONS };
+export default runRenderCheck;
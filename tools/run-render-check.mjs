@@ -0,0 +1,70 @@
+/* tools/run-render-check.mjs */
+
+/**
+ * Runs the render check (see render-check.js) from the command line:
+ *
+ *   node tools/run-render-check.mjs            compare against render-check.reference.wav
+ *   node tools/run-render-check.mjs --update   render and save a new reference
+ *
+ * Node has no Web Audio of its own; the OfflineAudioContext comes from the global
+ * scope if one is installed, otherwise from the node-web-audio-api package
+ * (`npm install --no-save node-web-audio-api`). Exits with 0 when every check
+ * passes, 1 when one fails and 2 when the check can't run.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { runRenderCheck } from './render-check.js';
+
+const REFERENCE_URL = new URL('./render-check.reference.wav', import.meta.url);
+
+async function loadOfflineAudioContext() {
+    if (globalThis.OfflineAudioContext) return globalThis.OfflineAudioContext;
+    try {
+        const webAudio = await import('node-web-audio-api');
+        return webAudio.OfflineAudioContext;
+    } catch (e) {
+        console.error("Render check: No OfflineAudioContext available; install node-web-audio-api to run the check.", e.message);
+        return null;
+    }
+}
+
+async function loadReference() {
+    try {
+        const file = await readFile(REFERENCE_URL);
+        return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.warn("Render check: Could not read the reference file:", e.message);
+        return null;
+    }
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const OfflineAudioContext = await loadOfflineAudioContext();
+    if (!OfflineAudioContext) return 2;
+
+    let result;
+    try {
+        result = await runRenderCheck({ OfflineAudioContext, reference: update ? null : await loadReference() });
+    } catch (e) {
+        console.error("Render check: Rendering failed:", e);
+        return 2;
+    }
+
+    if (update) {
+        const failed = result.checks.filter(check => check.name !== 'reference' && !check.passed);
+        if (failed.length) {
+            failed.forEach(check => console.log(`FAIL  ${check.name}: ${check.detail}`));
+            console.log('Render check failed; the reference was not updated.');
+            return 1;
+        }
+        await writeFile(REFERENCE_URL, new Uint8Array(result.wav));
+        console.log(`Saved ${REFERENCE_URL.pathname} (${result.wav.byteLength} bytes).`);
+        return 0;
+    }
+    result.checks.forEach(check => console.log(`${check.passed ? 'PASS' : 'FAIL'}  ${check.name}: ${check.detail}`));
+    console.log(result.passed ? 'All checks passed.' : 'Render check failed.');
+    return result.passed ? 0 : 1;
+}
+
+process.exitCode = await main();